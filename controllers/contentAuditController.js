@@ -1,19 +1,12 @@
 import { runContentAudit } from '../services/contentAuditService.js';
 import { saveAudit } from '../services/mongodbService.js';
+import { LLM_PROVIDERS, isValidProviderName } from '../services/llm/index.js';
+import { AUDIT_MODE_IDS } from '../services/auditModes.js';
+import { OUTPUT_LANGUAGES, isValidOutputLanguage } from '../services/contentLanguages.js';
+import { statusForRiskLevel } from '../services/riskScoring.js';
 
 const VALID_TYPES = ['text', 'url', 'image', 'video', 'audio'];
-const VALID_MODES = ['standard'];
-
-function mapRiskLevelToStatus(riskLevel) {
-  switch (riskLevel) {
-    case 'HIGH':
-      return 'NON_COMPLIANT';
-    case 'MEDIUM':
-      return 'NEEDS_REVIEW';
-    default:
-      return 'COMPLIANT';
-  }
-}
+const VALID_MODES = AUDIT_MODE_IDS;
 
 export async function auditContent(req, res) {
   try {
@@ -27,7 +20,7 @@ export async function auditContent(req, res) {
       });
     }
 
-    let { type, content, url, filePath, industry, mode } = req.body || {};
+    let { type, content, url, filePath, industry, mode, provider, outputLanguage } = req.body || {};
     let fileBuffer = null;
     let filename = null;
     let mimeType = null;
@@ -89,6 +82,33 @@ export async function auditContent(req, res) {
       });
     }
 
+    if (mode === 'quick' && type === 'image') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid mode',
+        message: 'quick mode runs text rules only; use standard, deep or pre-publication for images'
+      });
+    }
+
+    if (provider && !isValidProviderName(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid provider',
+        message: `provider must be one of: ${LLM_PROVIDERS.join(', ')}`
+      });
+    }
+
+    // Summary and guidance language; evidence and fixes stay in the content's language
+    if (!outputLanguage) {
+      outputLanguage = 'source';
+    } else if (!isValidOutputLanguage(outputLanguage)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid outputLanguage',
+        message: `outputLanguage must be one of: ${OUTPUT_LANGUAGES.join(', ')}`
+      });
+    }
+
     if (!content && !url && !filePath && !fileBuffer) {
       return res.status(400).json({
         success: false,
@@ -97,38 +117,50 @@ export async function auditContent(req, res) {
       });
     }
 
-    const { normalized, extractedText, transcription } = await runContentAudit({
+    const { normalized, extractedText, contentHash, transcription, page } = await runContentAudit({
       type,
       content,
       url,
       filePath,
       industry,
       mode,
+      outputLanguage,
       fileBuffer,
       filename,
-      mimeType
+      mimeType,
+      provider,
+      organizationId: req.user?.organizationId
     });
 
-    const status = mapRiskLevelToStatus(normalized.riskLevel);
+    // Pre-publication mode blocks on any MEDIUM or HIGH finding
+    const status = normalized.publication_blocked ? 'NON_COMPLIANT' : statusForRiskLevel(normalized.riskLevel);
 
     const auditDoc = {
       userId,
       sourceType: type,
       sourceId: url || filePath || filename || `${type}-${Date.now()}`,
+      mode,
       sourceMetadata: {
         industry,
+        industryProfile: normalized.profile?.id,
         mode,
+        outputLanguage,
+        provider: provider || process.env.LLM_PROVIDER || 'openai',
         url,
         filePath,
         filename,
         mimeType,
         userEmail,
-        transcription
+        transcription,
+        page,
+        // { sha256, basis } of the uploaded media; text audits are hashed from extractedText
+        ...(contentHash && { contentHash })
       },
       extractedText: extractedText || `[${type} audit content unavailable]`,
       auditResult: {
         status,
         risk_score: normalized.riskScore,
+        score_breakdown: normalized.scoreBreakdown,
         violations: normalized.violations,
         rules_triggered: [],
         explanation: normalized.verdict,
@@ -0,0 +1,145 @@
+/**
+ * CUSTOM RULE CONTROLLER
+ * CRUD for per-organisation audit rules (/api/rules)
+ */
+
+import {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  getRuleHistory
+} from '../services/customRuleService.js';
+
+function formatRule(rule) {
+  const obj = rule.toObject ? rule.toObject() : rule;
+  const { _id, __v, history, ...rest } = obj;
+  return { id: _id.toString(), ...rest };
+}
+
+function sendError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(`❌ ${fallbackMessage}:`, error);
+  }
+  return res.status(status).json({
+    error: status >= 500 ? fallbackMessage : error.message,
+    code: error.code,
+    message: error.message
+  });
+}
+
+function requireOrganization(req, res) {
+  const organizationId = req.user?.organizationId;
+  if (!organizationId) {
+    res.status(401).json({
+      error: 'Authentication required',
+      message: 'User not authenticated'
+    });
+    return null;
+  }
+  return organizationId;
+}
+
+/**
+ * GET /api/rules?includeInactive=true
+ */
+export async function list(req, res) {
+  const organizationId = requireOrganization(req, res);
+  if (!organizationId) return;
+
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+    const rules = await listRules(organizationId, { includeInactive });
+    res.json({
+      success: true,
+      organizationId,
+      rules: rules.map(formatRule),
+      count: rules.length
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch rules');
+  }
+}
+
+/**
+ * GET /api/rules/:id
+ */
+export async function get(req, res) {
+  const organizationId = requireOrganization(req, res);
+  if (!organizationId) return;
+
+  try {
+    const rule = await getRule(organizationId, req.params.id);
+    res.json({ success: true, rule: formatRule(rule) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch rule');
+  }
+}
+
+/**
+ * POST /api/rules
+ * Body: { type, name, severity?, lang?, phrases?, products?, claims?, triggers?, description?, guidance? }
+ */
+export async function create(req, res) {
+  const organizationId = requireOrganization(req, res);
+  if (!organizationId) return;
+
+  try {
+    const rule = await createRule(organizationId, req.body || {}, req.user.userId);
+    console.log(`✅ Custom rule created: ${rule.name} (${rule._id}) for ${organizationId}`);
+    res.status(201).json({ success: true, rule: formatRule(rule) });
+  } catch (error) {
+    sendError(res, error, 'Failed to create rule');
+  }
+}
+
+/**
+ * PUT /api/rules/:id
+ * Partial updates are accepted; every change creates a new version.
+ */
+export async function update(req, res) {
+  const organizationId = requireOrganization(req, res);
+  if (!organizationId) return;
+
+  try {
+    const rule = await updateRule(organizationId, req.params.id, req.body || {}, req.user.userId);
+    console.log(`✅ Custom rule updated: ${rule.name} (${rule._id}) → v${rule.version}`);
+    res.json({ success: true, rule: formatRule(rule) });
+  } catch (error) {
+    sendError(res, error, 'Failed to update rule');
+  }
+}
+
+/**
+ * DELETE /api/rules/:id
+ * Deactivates the rule (kept for version history).
+ */
+export async function remove(req, res) {
+  const organizationId = requireOrganization(req, res);
+  if (!organizationId) return;
+
+  try {
+    const rule = await deleteRule(organizationId, req.params.id, req.user.userId);
+    console.log(`🗑️  Custom rule deactivated: ${rule.name} (${rule._id}) → v${rule.version}`);
+    res.json({ success: true, rule: formatRule(rule) });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete rule');
+  }
+}
+
+/**
+ * GET /api/rules/:id/versions
+ */
+export async function versions(req, res) {
+  const organizationId = requireOrganization(req, res);
+  if (!organizationId) return;
+
+  try {
+    const history = await getRuleHistory(organizationId, req.params.id);
+    res.json({ success: true, versions: history, count: history.length });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch rule versions');
+  }
+}
@@ -3,21 +3,38 @@
  * Single controller for all source types using centralized audit engine
  */
 
-import { auditText } from '../services/auditService.js';
-import { 
-  extractFromScreen, 
-  extractFromVoice, 
-  extractFromVideo,
-  extractFromScanner,
-  extractFromResearch
-} from '../services/sourceExtractionService.js';
 import Audit from '../models/Audit.js';
-import { saveAudit } from '../services/mongodbService.js';
+import mongoose from 'mongoose';
+import { saveAudit, getAuditById, deleteAudit, saveAuditVersion, searchUserAudits } from '../services/mongodbService.js';
+import { SOURCE_TYPES, runSourceAudit, buildAuditDoc, rerunStoredAudit } from '../services/auditPipeline.js';
+import { enqueueAuditJob, getAuditJob, removeAuditFiles } from '../services/auditJobService.js';
+import { expandBatchItems, runBatchAudit } from '../services/batchAuditService.js';
+import { createAuditReport } from '../services/reportService.js';
+import { buildHighlights } from '../services/evidenceSpans.js';
+import { EXPORT_FORMATS, streamAuditExport } from '../services/exportService.js';
+import { LLM_PROVIDERS, isValidProviderName } from '../services/llm/index.js';
+import { AUDIT_MODE_IDS, isValidAuditMode } from '../services/auditModes.js';
+import { OUTPUT_LANGUAGES, isValidOutputLanguage } from '../services/contentLanguages.js';
+import { generateEventStreamToken, EVENT_STREAM_TOKEN_TTL_SECONDS } from '../middleware/jwtAuth.js';
+
+// Multipart requests send structured fields as JSON strings
+function parseJsonField(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
 
 /**
  * Unified audit endpoint
  * POST /api/audit
- * Body: { sourceType, sourceData, metadata }
+ * Body: { sourceType, sourceData, metadata, provider?, industry?, mode?, outputLanguage?, async? }
+ * outputLanguage ('source' | 'bilingual' | language code) sets the language of the summary and guidance;
+ * evidence and fixed lines always stay in the language of the content.
+ * With async=true the audit is queued and 202 is returned with the audit id.
  */
 export async function auditContent(req, res) {
   try {
@@ -31,123 +48,84 @@ export async function auditContent(req, res) {
       });
     }
 
-    const { sourceType, sourceData, metadata = {} } = req.body;
+    const { sourceType, provider, industry } = req.body;
+    const mode = req.body.mode || 'standard';
+    const outputLanguage = req.body.outputLanguage || 'source';
+    const sourceData = parseJsonField(req.body.sourceData, {});
+    const metadata = parseJsonField(req.body.metadata, {});
 
     // Validate source type
-    const validSourceTypes = ['screen', 'voice', 'scanner', 'research', 'manual'];
-    if (!validSourceTypes.includes(sourceType)) {
+    if (!SOURCE_TYPES.includes(sourceType)) {
       return res.status(400).json({
         error: 'Invalid source type',
-        message: `Source type must be one of: ${validSourceTypes.join(', ')}`
+        message: `Source type must be one of: ${SOURCE_TYPES.join(', ')}`
       });
     }
 
-    console.log(`🔍 Starting audit for source type: ${sourceType}`);
-    console.log(`   User: ${userEmail}`);
-
-    let extractedText = '';
-    let extractionMetadata = {};
-
-    // Extract text based on source type
-    switch (sourceType) {
-      case 'screen':
-        // sourceData: { imageData (Buffer or path) }
-        const screenResult = await extractFromScreen(sourceData.imageData);
-        extractedText = screenResult.text;
-        extractionMetadata = {
-          filename: metadata.filename,
-          confidence: screenResult.confidence,
-          method: screenResult.method
-        };
-        break;
-
-      case 'voice':
-        // sourceData: { audioData (Buffer or path) }
-        const voiceResult = await extractFromVoice(sourceData.audioData);
-        extractedText = voiceResult.text;
-        extractionMetadata = {
-          duration: voiceResult.duration,
-          method: 'speech-to-text'
-        };
-        break;
-
-      case 'scanner':
-        // sourceData: { fileData (Buffer or path), filename, mimeType }
-        const scannerResult = await extractFromScanner(
-          sourceData.fileData,
-          sourceData.filename,
-          sourceData.mimeType
-        );
-        extractedText = scannerResult.text;
-        extractionMetadata = {
-          filename: sourceData.filename,
-          fileType: scannerResult.fileType,
-          method: scannerResult.method
-        };
-        break;
-
-      case 'research':
-        // sourceData: { url }
-        const researchResult = await extractFromResearch(sourceData.url);
-        extractedText = researchResult.text;
-        extractionMetadata = {
-          url: sourceData.url,
-          title: researchResult.title
-        };
-        break;
-
-      case 'manual':
-        // sourceData: { text }
-        extractedText = sourceData.text || '';
-        extractionMetadata = {
-          submittedBy: userEmail
-        };
-        break;
-
-      default:
-        return res.status(400).json({
-          error: 'Invalid source type',
-          message: `Unsupported source type: ${sourceType}`
-        });
+    if (provider && !isValidProviderName(provider)) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        message: `provider must be one of: ${LLM_PROVIDERS.join(', ')}`
+      });
     }
 
-    if (!extractedText || extractedText.trim().length === 0) {
+    if (!isValidAuditMode(mode)) {
       return res.status(400).json({
-        error: 'No text extracted',
-        message: 'Failed to extract text from source. Please check your input.'
+        error: 'Invalid mode',
+        message: `mode must be one of: ${AUDIT_MODE_IDS.join(', ')}`
       });
     }
 
-    console.log(`✅ Text extracted: ${extractedText.length} characters`);
-
-    // Run audit using centralized engine
-    const auditResult = await auditText(extractedText, sourceType, {
-      ...extractionMetadata,
-      ...metadata
-    });
+    if (!isValidOutputLanguage(outputLanguage)) {
+      return res.status(400).json({
+        error: 'Invalid outputLanguage',
+        message: `outputLanguage must be one of: ${OUTPUT_LANGUAGES.join(', ')}`
+      });
+    }
 
-    // Save audit to MongoDB
-    const auditDoc = {
+    // Queue long-running audits (e.g. video/voice) instead of holding the request open
+    const runAsync = req.body.async === true || req.body.async === 'true' || req.query.async === 'true';
+    const input = {
       userId,
+      userEmail,
+      organizationId: req.user?.organizationId,
       sourceType,
-      sourceId: metadata.sourceId || extractionMetadata.url || 'manual',
-      sourceMetadata: {
-        ...extractionMetadata,
-        ...metadata
-      },
-      extractedText,
-      auditResult: {
-        status: auditResult.status,
-        risk_score: auditResult.risk_score,
-        violations: auditResult.violations,
-        rules_triggered: auditResult.rules_triggered,
-        explanation: auditResult.explanation,
-        recommended_fix: auditResult.recommended_fix
-      },
-      status: 'completed'
+      sourceData,
+      metadata,
+      provider,
+      industry,
+      mode,
+      outputLanguage
     };
+    const file = req.file ? { buffer: req.file.buffer, originalname: req.file.originalname, mimetype: req.file.mimetype } : null;
+
+    if (runAsync) {
+      const queued = await enqueueAuditJob({ ...input, file });
+      const id = queued._id.toString();
+      const eventsToken = generateEventStreamToken(userId, id);
+      return res.status(202).json({
+        success: true,
+        audit: {
+          id,
+          sourceType,
+          status: queued.status,
+          stage: queued.job.stage,
+          mode,
+          createdAt: queued.createdAt
+        },
+        events: `${req.baseUrl}/${id}/events?token=${encodeURIComponent(eventsToken)}`,
+        eventsTokenExpiresIn: EVENT_STREAM_TOKEN_TTL_SECONDS
+      });
+    }
+
+    console.log(`🔍 Starting audit for source type: ${sourceType}`);
+    console.log(`   User: ${userEmail}`);
+
+    const result = await runSourceAudit({ ...input, file });
+    const { extractedText, auditResult } = result;
 
-    const savedAudit = await saveAudit(auditDoc);
+    // Save audit to MongoDB
+    const savedAudit = await saveAudit(buildAuditDoc(input, result));
     console.log(`✅ Audit saved to MongoDB: ${savedAudit._id}`);
 
     res.json({
@@ -157,19 +135,364 @@ export async function auditContent(req, res) {
         sourceType,
         status: auditResult.status,
         risk_score: auditResult.risk_score,
+        score_breakdown: auditResult.score_breakdown,
         violations: auditResult.violations,
         rules_triggered: auditResult.rules_triggered,
         explanation: auditResult.explanation,
         recommended_fix: auditResult.recommended_fix,
+        industry_profile: auditResult.industry_profile,
+        mode: auditResult.mode,
+        publication_blocked: auditResult.publication_blocked,
+        blocking_violations: auditResult.blocking_violations,
         extractedTextLength: extractedText.length,
         createdAt: savedAudit.createdAt
       }
     });
+  } catch (error) {
+    // Input problems (no text extracted, payload too large) keep their 4xx status
+    const status = error.status && error.status < 500 ? error.status : 500;
+    if (status === 500) {
+      console.error(`❌ Audit error for user ${req.user?.email}:`, error);
+    }
+    res.status(status).json({
+      error: status === 500 ? 'Audit failed' : error.message,
+      code: error.code,
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Batch audit: many files, ZIP archives and/or JSON items in one request
+ * POST /api/audit/batch
+ */
+export async function auditBatch(req, res) {
+  try {
+    const userId = req.user?.userId;
+    const userEmail = req.user?.email;
+
+    if (!userId || !userEmail) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'User not authenticated'
+      });
+    }
+
+    const { provider, industry } = req.body;
+    const mode = req.body.mode || 'standard';
+    const outputLanguage = req.body.outputLanguage || 'source';
+    const metadata = parseJsonField(req.body.metadata, {});
+
+    if (provider && !isValidProviderName(provider)) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        message: `provider must be one of: ${LLM_PROVIDERS.join(', ')}`
+      });
+    }
+
+    if (!isValidAuditMode(mode)) {
+      return res.status(400).json({
+        error: 'Invalid mode',
+        message: `mode must be one of: ${AUDIT_MODE_IDS.join(', ')}`
+      });
+    }
+
+    if (!isValidOutputLanguage(outputLanguage)) {
+      return res.status(400).json({
+        error: 'Invalid outputLanguage',
+        message: `outputLanguage must be one of: ${OUTPUT_LANGUAGES.join(', ')}`
+      });
+    }
+
+    const files = (req.files || []).map(f => ({ buffer: f.buffer, originalname: f.originalname, mimetype: f.mimetype }));
+    const items = await expandBatchItems({ files, items: parseJsonField(req.body.items, []) });
+
+    console.log(`📦 Batch audit requested by ${userEmail}: ${items.length} item(s)`);
+    const batch = await runBatchAudit(items, {
+      userId,
+      userEmail,
+      organizationId: req.user?.organizationId,
+      provider,
+      industry,
+      mode,
+      outputLanguage,
+      metadata
+    });
+
+    res.json({
+      success: true,
+      batch: {
+        ...batch,
+        history: `${req.baseUrl}/history?batch=${batch.id}`
+      }
+    });
+  } catch (error) {
+    const status = error.status && error.status < 500 ? error.status : 500;
+    if (status === 500) {
+      console.error(`❌ Batch audit error for user ${req.user?.email}:`, error);
+    }
+    res.status(status).json({
+      error: status === 500 ? 'Batch audit failed' : error.message,
+      code: error.code,
+      message: error.message
+    });
+  }
+}
+
+// Full audit for the single-audit endpoints (raw model responses and queued input are left out)
+function formatAudit(audit) {
+  const obj = audit.toObject ? audit.toObject() : audit;
+  return {
+    id: obj._id.toString(),
+    sourceType: obj.sourceType,
+    sourceId: obj.sourceId,
+    mode: obj.mode,
+    status: obj.status,
+    version: obj.version || 1,
+    sourceMetadata: obj.sourceMetadata || {},
+    extractedText: obj.extractedText || '',
+    auditResult: obj.auditResult || null,
+    rulePacks: obj.rulePacks || [],
+    job: obj.job
+      ? { stage: obj.job.stage, progress: obj.job.progress, attempts: obj.job.attempts, error: obj.job.error }
+      : undefined,
+    versions: (obj.versions || []).map(v => ({
+      version: v.version,
+      status: v.auditResult?.status,
+      risk_score: v.auditResult?.risk_score,
+      violationCount: (v.auditResult?.violations || []).length,
+      mode: v.mode,
+      industryProfile: v.industryProfile,
+      provider: v.provider,
+      rulePacks: v.rulePacks || [],
+      auditedAt: v.auditedAt
+    })),
+    createdAt: obj.createdAt,
+    updatedAt: obj.updatedAt
+  };
+}
+
+// Load the user's audit or send 401/404; returns null when a response was sent
+async function loadUserAudit(req, res) {
+  const userId = req.user?.userId;
+  if (!userId) {
+    res.status(401).json({
+      error: 'Authentication required',
+      message: 'User not authenticated'
+    });
+    return null;
+  }
+
+  const audit = mongoose.isValidObjectId(req.params.id) ? await getAuditById(userId, req.params.id) : null;
+  if (!audit) {
+    res.status(404).json({
+      error: 'Audit not found',
+      code: 'AUDIT_NOT_FOUND',
+      message: `No audit with id ${req.params.id}`
+    });
+    return null;
+  }
+  return audit;
+}
+
+/**
+ * Get one audit with full violations, extracted text and metadata
+ * GET /api/audit/:id
+ *
+ * Query params:
+ *   - version: return an earlier result (from a re-run) instead of the current one
+ */
+export async function getAudit(req, res) {
+  try {
+    const audit = await loadUserAudit(req, res);
+    if (!audit) return;
+
+    const formatted = formatAudit(audit);
+    if (req.query.version !== undefined && Number(req.query.version) !== formatted.version) {
+      const previous = (audit.versions || []).find(v => v.version === Number(req.query.version));
+      if (!previous) {
+        return res.status(404).json({
+          error: 'Version not found',
+          code: 'VERSION_NOT_FOUND',
+          message: `Audit ${formatted.id} has no version ${req.query.version}`
+        });
+      }
+      formatted.version = previous.version;
+      formatted.auditResult = previous.auditResult;
+      formatted.rulePacks = previous.rulePacks || [];
+      formatted.mode = previous.mode;
+    }
+
+    res.json({ success: true, audit: formatted });
+  } catch (error) {
+    console.error(`❌ Get audit error:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch audit',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Delete an audit and its stored files
+ * DELETE /api/audit/:id
+ */
+export async function removeAudit(req, res) {
+  try {
+    const audit = await loadUserAudit(req, res);
+    if (!audit) return;
+
+    await deleteAudit(req.user.userId, audit._id);
+    await removeAuditFiles(audit);
+    console.log(`🗑️  Audit deleted: ${audit._id}`);
+
+    res.json({ success: true, id: audit._id.toString(), deleted: true });
+  } catch (error) {
+    console.error(`❌ Delete audit error:`, error);
+    res.status(500).json({
+      error: 'Failed to delete audit',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Re-audit the stored extracted text with the current rule packs
+ * POST /api/audit/:id/rerun
+ * Body: { provider?, industry?, mode?, outputLanguage? } (default: the settings of the previous run)
+ *
+ * The previous result is kept in `versions`; the audit's version is bumped.
+ */
+export async function rerunAudit(req, res) {
+  try {
+    const audit = await loadUserAudit(req, res);
+    if (!audit) return;
+
+    const { provider, industry, mode, outputLanguage } = req.body || {};
+    if (provider && !isValidProviderName(provider)) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        message: `provider must be one of: ${LLM_PROVIDERS.join(', ')}`
+      });
+    }
+    if (mode && !isValidAuditMode(mode)) {
+      return res.status(400).json({
+        error: 'Invalid mode',
+        message: `mode must be one of: ${AUDIT_MODE_IDS.join(', ')}`
+      });
+    }
+    if (outputLanguage && !isValidOutputLanguage(outputLanguage)) {
+      return res.status(400).json({
+        error: 'Invalid outputLanguage',
+        message: `outputLanguage must be one of: ${OUTPUT_LANGUAGES.join(', ')}`
+      });
+    }
+
+    const { fields, previous } = await rerunStoredAudit(audit, {
+      provider,
+      industry,
+      mode,
+      outputLanguage,
+      organizationId: req.user?.organizationId
+    });
+
+    const updated = await saveAuditVersion(req.user.userId, audit._id, audit.version || 1, fields, previous);
+    if (!updated) {
+      return res.status(409).json({
+        error: 'Audit changed',
+        code: 'VERSION_CONFLICT',
+        message: 'The audit was re-run by another request; fetch it and try again'
+      });
+    }
+    console.log(`✅ Audit re-run saved: ${updated._id} v${updated.version}`);
 
+    res.json({ success: true, audit: formatAudit(updated) });
   } catch (error) {
-    console.error(`❌ Audit error for user ${req.user?.email}:`, error);
+    const status = error.status && error.status < 500 ? error.status : 500;
+    if (status === 500) {
+      console.error(`❌ Re-run audit error:`, error);
+    }
+    res.status(status).json({
+      error: status === 500 ? 'Re-run failed' : error.message,
+      code: error.code,
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Download the audit as a PDF compliance report
+ * GET /api/audit/:id/report.pdf
+ */
+export async function downloadReport(req, res) {
+  try {
+    const audit = await loadUserAudit(req, res);
+    if (!audit) return;
+
+    if (audit.status !== 'completed') {
+      return res.status(409).json({
+        error: 'Audit not completed',
+        code: 'AUDIT_NOT_COMPLETED',
+        message: `Audit is ${audit.status}; the report is available once it completes`
+      });
+    }
+
+    const doc = createAuditReport(audit, { generatedBy: req.user.email });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="audit-${audit._id}.pdf"`
+    });
+    doc.pipe(res);
+    doc.end();
+    console.log(`📄 PDF report generated for audit ${audit._id}`);
+  } catch (error) {
+    console.error(`❌ Report generation error:`, error);
+    if (res.headersSent) return res.end();
     res.status(500).json({
-      error: 'Audit failed',
+      error: 'Failed to generate report',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Extracted text with the character ranges to highlight for each violation
+ * GET /api/audit/:id/annotated
+ */
+export async function getAnnotatedAudit(req, res) {
+  try {
+    const audit = await loadUserAudit(req, res);
+    if (!audit) return;
+
+    if (audit.status !== 'completed') {
+      return res.status(409).json({
+        error: 'Audit not completed',
+        code: 'AUDIT_NOT_COMPLETED',
+        message: `Audit is ${audit.status}; highlights are available once it completes`
+      });
+    }
+
+    const text = audit.extractedText || '';
+    const { highlights, spans, unlocated } = buildHighlights(text, audit.auditResult?.violations);
+
+    res.json({
+      success: true,
+      audit: {
+        id: audit._id.toString(),
+        sourceType: audit.sourceType,
+        version: audit.version || 1,
+        status: audit.auditResult?.status,
+        risk_score: audit.auditResult?.risk_score
+      },
+      text,
+      highlights,
+      spans,
+      unlocated
+    });
+  } catch (error) {
+    console.error(`❌ Annotated audit error:`, error);
+    res.status(500).json({
+      error: 'Failed to annotate audit',
       message: error.message
     });
   }
@@ -178,11 +501,13 @@ export async function auditContent(req, res) {
 /**
  * Get audit history for user
  * GET /api/audit/history
+ *
+ * Query params: sourceType, mode, status, state, from, to, minRisk, maxRisk,
+ * rulePack, rule, severity, q, limit, cursor (see routes/audits.js)
  */
 export async function getAuditHistory(req, res) {
   try {
     const userId = req.user?.userId;
-    const { sourceType } = req.query;
 
     if (!userId) {
       return res.status(401).json({
@@ -190,8 +515,7 @@ export async function getAuditHistory(req, res) {
       });
     }
 
-    const { getUserAudits } = await import('../services/mongodbService.js');
-    const audits = await getUserAudits(userId, sourceType ? { sourceType } : {});
+    const { audits, total, nextCursor } = await searchUserAudits(userId, req.query);
 
     res.json({
       success: true,
@@ -199,25 +523,198 @@ export async function getAuditHistory(req, res) {
         id: audit._id.toString(),
         sourceType: audit.sourceType,
         sourceId: audit.sourceId,
+        mode: audit.mode || 'standard',
+        state: audit.status,
         status: audit.auditResult?.status || 'UNKNOWN',
         risk_score: audit.auditResult?.risk_score || 0,
         violations: audit.auditResult?.violations || [],
+        rules_triggered: audit.auditResult?.rules_triggered || [],
         explanation: audit.auditResult?.explanation || '',
         extractedTextLength: audit.extractedText?.length || 0,
+        version: audit.version || 1,
         createdAt: audit.createdAt
       })),
-      count: audits.length
+      count: audits.length,
+      total,
+      nextCursor,
+      hasMore: nextCursor !== null
     });
 
   } catch (error) {
-    console.error(`❌ Get audit history error:`, error);
-    res.status(500).json({
-      error: 'Failed to fetch audit history',
+    const status = error.status && error.status < 500 ? error.status : 500;
+    if (status === 500) {
+      console.error(`❌ Get audit history error:`, error);
+    }
+    res.status(status).json({
+      error: status === 500 ? 'Failed to fetch audit history' : error.message,
+      code: error.code,
       message: error.message
     });
   }
 }
 
+/**
+ * Export audit history (one row per violation)
+ * GET /api/audit/export?format=csv|xlsx|jsonl&<history filters>
+ */
+export async function exportAudits(req, res) {
+  try {
+    const userId = req.user?.userId;
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Authentication required'
+      });
+    }
+
+    const format = (req.query.format || 'csv').toString().toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const { audits, rows } = await streamAuditExport(res, userId, req.query, format);
+    console.log(`📤 Exported ${audits} audit(s) / ${rows} row(s) as ${format} for ${req.user.email}`);
+  } catch (error) {
+    if (res.headersSent) {
+      // Mid-stream failure: the client sees a truncated file
+      console.error(`❌ Export failed mid-stream:`, error);
+      return res.destroy(error);
+    }
+    const status = error.status && error.status < 500 ? error.status : 500;
+    if (status === 500) {
+      console.error(`❌ Export error:`, error);
+    }
+    res.status(status).json({
+      error: status === 500 ? 'Export failed' : error.message,
+      code: error.code,
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Issue a short-lived token for an audit's event stream
+ * POST /api/audit/:id/events/token
+ */
+export async function createEventStreamToken(req, res) {
+  try {
+    const userId = req.user?.userId;
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'User not authenticated'
+      });
+    }
+
+    await getAuditJob(userId, req.params.id);
+    const token = generateEventStreamToken(userId, req.params.id);
+    res.json({
+      success: true,
+      token,
+      expiresIn: EVENT_STREAM_TOKEN_TTL_SECONDS,
+      events: `${req.baseUrl}/${req.params.id}/events?token=${encodeURIComponent(token)}`
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) console.error('❌ Error issuing event stream token:', error);
+    res.status(status).json({
+      error: status === 404 ? 'Audit not found' : 'Failed to issue event stream token',
+      code: error.code,
+      message: error.message
+    });
+  }
+}
 
+const SSE_POLL_INTERVAL_MS = 1000;
+const SSE_HEARTBEAT_MS = 15000;
 
+/**
+ * Stream job progress as Server-Sent Events
+ * GET /api/audit/:id/events
+ *
+ * Events: `progress` for each stage change ({ stage, message, progress, at }),
+ * then a final `completed` or `failed` event, after which the stream closes.
+ * Event ids are positions in the job log, so reconnecting with Last-Event-ID resumes.
+ */
+export async function streamAuditEvents(req, res) {
+  const userId = req.user?.userId;
+  if (!userId) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'User not authenticated'
+    });
+  }
 
+  let job;
+  try {
+    job = await getAuditJob(userId, req.params.id);
+  } catch (error) {
+    const status = error.status || 500;
+    return res.status(status).json({
+      error: status === 404 ? 'Audit not found' : 'Failed to fetch audit',
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data, id) => {
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let sent = Number(req.headers['last-event-id']) || 0;
+  let closed = false;
+  let timer = null;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  const close = () => {
+    closed = true;
+    clearTimeout(timer);
+    clearInterval(heartbeat);
+  };
+  req.on('close', close);
+
+  const flush = () => {
+    const events = job.job?.events || [];
+    for (; sent < events.length; sent += 1) {
+      send('progress', events[sent], sent + 1);
+    }
+
+    if (job.status === 'completed' || job.status === 'failed') {
+      send(job.status, {
+        id: req.params.id,
+        status: job.status,
+        result_status: job.auditResult?.status,
+        risk_score: job.auditResult?.risk_score,
+        error: job.job?.error
+      });
+      close();
+      res.end();
+      return;
+    }
+
+    timer = setTimeout(async () => {
+      if (closed) return;
+      try {
+        job = await getAuditJob(userId, req.params.id);
+        flush();
+      } catch (error) {
+        send('failed', { id: req.params.id, status: 'failed', error: { message: error.message, code: error.code } });
+        close();
+        res.end();
+      }
+    }, SSE_POLL_INTERVAL_MS);
+  };
+
+  flush();
+}
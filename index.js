@@ -57,7 +57,11 @@ import cors from "cors";
 
 import authRoutes from "./routes/auth.js";
 import auditsRoutes from "./routes/audits.js";
+import rulesRoutes from "./routes/rules.js";
 import connectDB from "./config/database.js";
+import { LLM_PROVIDERS, getLLMProvider, isValidProviderName } from "./services/llm/index.js";
+import { startAuditWorker } from "./services/auditJobService.js";
+import { migrateLegacyRiskScores } from "./services/mongodbService.js";
 
 // =======================================================
 // APP SETUP - CREATE EXPRESS APP FIRST
@@ -156,6 +160,7 @@ app.get("/health", (_, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/audit", auditsRoutes); // Unified audit endpoint
 app.use("/api/audits", auditsRoutes); // Legacy compatibility
+app.use("/api/rules", rulesRoutes); // Per-organisation custom rules
 
 // =======================================================
 // ERROR HANDLING
@@ -173,21 +178,36 @@ async function initializeServices() {
     // 1. Connect to MongoDB (fail fast if connection fails)
     console.log("🔌 Connecting to MongoDB...");
     await connectDB();
+
+    // Background worker for audits queued with async=true (needs MongoDB)
+    startAuditWorker();
+
+    // Audits saved before the risk score direction changed (100 = no findings) are rescored in the background
+    migrateLegacyRiskScores().catch(err => {
+      console.warn(`⚠️  Legacy risk score migration failed: ${err.message}`);
+    });
     
-    // 2. Validate OpenAI API key (non-blocking - audit will gracefully degrade if unavailable)
-    console.log("🤖 Validating OpenAI service...");
-    const openaiReady = !!process.env.OPENAI_API_KEY;
-    if (!openaiReady) {
-      console.warn("⚠️  OPENAI_API_KEY not set. Audit endpoints will return fallback responses.");
+    // 2. Validate LLM provider (non-blocking - audit will gracefully degrade if unavailable)
+    const providerName = (process.env.LLM_PROVIDER || "openai").toLowerCase();
+    console.log(`🤖 Validating LLM provider: ${providerName}...`);
+    let aiReady = false;
+    if (!isValidProviderName(providerName)) {
+      console.warn(`⚠️  LLM_PROVIDER must be one of: ${LLM_PROVIDERS.join(', ')}`);
     } else {
-      console.log("✅ OpenAI service ready for audits");
+      const provider = getLLMProvider(providerName);
+      aiReady = provider.isConfigured();
+      if (!aiReady) {
+        console.warn(`⚠️  ${provider.missingConfigMessage}. Audit endpoints will return fallback responses.`);
+      } else {
+        console.log(`✅ ${provider.name} provider ready for audits`);
+      }
     }
 
     // Final confirmation
     console.log("\n" + "=".repeat(60));
     console.log("✅ MongoDB connected");
     console.log("✅ Authentication: JWT + MongoDB");
-    if (openaiReady) {
+    if (aiReady) {
       console.log("✅ AI service ready for audits");
     } else {
       console.log("⚠️  AI service unavailable - audits will use fallback");
@@ -218,7 +238,7 @@ app.listen(port, () => {
   console.log(`  http://localhost:${port}/health`);
   
   // Validate environment variables (warn but don't exit)
-  if (!process.env.OPENAI_API_KEY) {
+  if (!process.env.OPENAI_API_KEY && (process.env.LLM_PROVIDER || "openai") === "openai") {
     console.warn("⚠️  OPENAI_API_KEY not set - audit features may not work");
   }
 
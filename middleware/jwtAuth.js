@@ -8,6 +8,15 @@ import User from '../models/User.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// Scoped tokens for one audit's event stream (EventSource cannot send an Authorization header)
+const EVENT_STREAM_SCOPE = 'audit-events';
+export const EVENT_STREAM_TOKEN_TTL_SECONDS = 120;
+
+// Users without an organisation get a personal one, so per-org features still work
+function organizationIdFor(user) {
+  return user.organizationId || `user:${user._id.toString()}`;
+}
+
 /**
  * Authenticate JWT token
  */
@@ -33,6 +42,13 @@ export const authenticateJWT = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
+      if (decoded.scope) {
+        console.log(`❌ Scoped token (${decoded.scope}) used as a session token`);
+        return res.status(401).json({
+          error: 'Invalid token',
+          message: 'This token is only valid for its audit event stream'
+        });
+      }
       console.log(`✅ JWT decoded successfully:`, { userId: decoded.userId, email: decoded.email, name: decoded.name });
       
       let user = await User.findById(decoded.userId).select('-password');
@@ -80,7 +96,8 @@ export const authenticateJWT = async (req, res, next) => {
         _id: user._id.toString(),
         userId: user._id.toString(),
         email: user.email,
-        name: user.name
+        name: user.name,
+        organizationId: organizationIdFor(user)
       };
       
       console.log(`✅ JWT authenticated: ${user.email} (${user._id})`);
@@ -119,14 +136,15 @@ export const optionalJWT = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-password');
+        const user = decoded.scope ? null : await User.findById(decoded.userId).select('-password');
         
         if (user) {
           req.user = {
             _id: user._id.toString(),
             userId: user._id.toString(),
             email: user.email,
-            name: user.name
+            name: user.name,
+            organizationId: organizationIdFor(user)
           };
         }
       } catch (tokenError) {
@@ -154,3 +172,48 @@ export function generateToken(user) {
   return jwt.sign(payload, JWT_SECRET, { expiresIn: '7d' });
 }
 
+/**
+ * Generate a short-lived token for one audit's event stream
+ * The session JWT is never accepted in a URL, where it would end up in access logs and browser history.
+ */
+export function generateEventStreamToken(userId, auditId) {
+  return jwt.sign(
+    { userId, auditId: auditId.toString(), scope: EVENT_STREAM_SCOPE },
+    JWT_SECRET,
+    { expiresIn: EVENT_STREAM_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * Authenticate GET /api/audit/:id/events
+ * Accepts the session JWT in the Authorization header, or ?token= with a token from
+ * generateEventStreamToken() issued for this audit.
+ */
+export const authenticateEventStream = (req, res, next) => {
+  if (req.headers['authorization']) return authenticateJWT(req, res, next);
+
+  const token = typeof req.query.token === 'string' ? req.query.token : null;
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Provide a JWT in the Authorization header or an event stream token in ?token='
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.scope !== EVENT_STREAM_SCOPE || decoded.auditId !== req.params.id) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: 'Not an event stream token for this audit'
+      });
+    }
+    req.user = { _id: decoded.userId, userId: decoded.userId };
+    next();
+  } catch (tokenError) {
+    return res.status(401).json({
+      error: 'Invalid token',
+      message: 'Token verification failed: ' + tokenError.message
+    });
+  }
+};
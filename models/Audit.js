@@ -1,5 +1,44 @@
 import mongoose from 'mongoose';
 
+// Background job state for audits queued with async=true (absent on synchronous audits)
+const auditJobSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: ['queued', 'extraction', 'transcription', 'audit', 'save', 'done', 'failed'],
+    default: 'queued'
+  },
+  progress: { type: Number, default: 0 },
+  // Request payload, removed once the job finishes
+  input: mongoose.Schema.Types.Mixed,
+  // Uploaded file spooled to disk until the job finishes
+  file: {
+    path: String,
+    originalname: String,
+    mimetype: String,
+    size: Number
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  runAfter: { type: Date, default: Date.now },
+  lockedBy: String,
+  lockedAt: Date,
+  queuedAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  error: {
+    message: String,
+    code: String
+  },
+  // Progress events (append-only, streamed over SSE)
+  events: [{
+    _id: false,
+    stage: String,
+    message: String,
+    progress: Number,
+    at: Date
+  }]
+}, { _id: false });
+
 const auditSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -17,24 +56,54 @@ const auditSchema = new mongoose.Schema({
     type: String,
     index: true
   },
+  // Audit mode (how thorough the check was)
+  mode: {
+    type: String,
+    enum: ['standard', 'quick', 'deep', 'pre-publication'],
+    default: 'standard',
+    index: true
+  },
   // Source metadata
   sourceMetadata: {
     type: mongoose.Schema.Types.Mixed
   },
-  // Extracted text (what was audited)
+  // Extracted text (what was audited); filled in by the worker for queued audits
   extractedText: {
     type: String,
-    required: true
+    required: function () {
+      return this.status === 'completed';
+    }
   },
   // Audit result
   auditResult: {
     status: String,
+    // 0 = no findings, 100 = highest risk (see services/riskScoring.js). Results saved before
+    // that direction have no score_breakdown and are rescored at startup (migrateLegacyRiskScores)
     risk_score: Number,
+    score_breakdown: mongoose.Schema.Types.Mixed,
     violations: [mongoose.Schema.Types.Mixed],
     rules_triggered: [String],
     explanation: String,
     recommended_fix: String
   },
+  // Rule packs the current result was produced with [{ id, version }]
+  rulePacks: [mongoose.Schema.Types.Mixed],
+  // Re-runs (POST /api/audit/:id/rerun) bump the version and keep earlier results in versions
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: [{
+    _id: false,
+    version: Number,
+    auditResult: mongoose.Schema.Types.Mixed,
+    rulePacks: [mongoose.Schema.Types.Mixed],
+    mode: String,
+    industryProfile: String,
+    provider: String,
+    outputLanguage: String,
+    auditedAt: Date
+  }],
   // Legacy fields (for backward compatibility)
   emailId: {
     type: String,
@@ -60,6 +129,10 @@ const auditSchema = new mongoose.Schema({
   geminiResponse: {
     type: mongoose.Schema.Types.Mixed
   },
+  job: {
+    type: auditJobSchema,
+    default: undefined
+  },
   // Hash-based caching for deterministic results
   inputHash: {
     type: String,
@@ -82,6 +155,14 @@ auditSchema.index({ userId: 1, createdAt: -1 });
 auditSchema.index({ userId: 1, status: 1 });
 // Index for hash-based cache lookups (critical for stability)
 auditSchema.index({ inputHash: 1, status: 1 });
+// Full-text search over audited text and violation evidence (history `q` filter).
+// Language 'none' keeps Hindi/Hinglish words intact (no English stemming or stop words).
+auditSchema.index(
+  { extractedText: 'text', 'auditResult.violations.evidence': 'text' },
+  { name: 'audit_text_search', default_language: 'none', weights: { 'auditResult.violations.evidence': 3, extractedText: 1 } }
+);
+// Job queue claim order
+auditSchema.index({ status: 1, 'job.runAfter': 1 }, { partialFilterExpression: { 'job.stage': { $exists: true } } });
 
 const Audit = mongoose.model('Audit', auditSchema);
 
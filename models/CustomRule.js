@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Organisation-defined audit rule (applied alongside the built-in rule packs)
+const customRuleSchema = new mongoose.Schema({
+  organizationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['forbidden_phrase', 'required_disclaimer', 'claim_restriction'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  guidance: String,
+  severity: {
+    type: String,
+    enum: ['LOW', 'MEDIUM', 'HIGH'],
+    default: 'MEDIUM'
+  },
+  // 'any' or a content language code ('en', 'hi', 'hi-Latn', 'mr', 'bn', 'ta', 'te', 'gu', 'kn', 'ml')
+  lang: {
+    type: String,
+    default: 'any'
+  },
+  // forbidden_phrase: banned words/phrases; required_disclaimer: accepted disclaimer wordings
+  phrases: [String],
+  // claim_restriction: product names and the claims they may not carry
+  products: [String],
+  claims: [String],
+  // required_disclaimer: only required when one of these appears (empty = always)
+  triggers: [String],
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Previous versions, oldest first
+  history: [{
+    version: Number,
+    snapshot: mongoose.Schema.Types.Mixed,
+    updatedBy: String,
+    updatedAt: Date
+  }],
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+customRuleSchema.index({ organizationId: 1, active: 1 });
+
+const CustomRule = mongoose.model('CustomRule', customRuleSchema);
+
+export default CustomRule;
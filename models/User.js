@@ -23,6 +23,13 @@ const userSchema = new mongoose.Schema({
     },
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Organisation the user belongs to (assigned by an administrator; custom rules are scoped to it)
+  organizationId: {
+    type: String,
+    trim: true,
+    index: true,
+    default: null
+  },
   isAutoCreated: {
     type: Boolean,
     default: false
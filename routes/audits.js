@@ -11,25 +11,68 @@
 
 import express from 'express';
 import multer from 'multer';
-import { authenticateJWT } from '../middleware/jwtAuth.js';
+import { authenticateJWT, authenticateEventStream } from '../middleware/jwtAuth.js';
 import * as unifiedAuditController from '../controllers/unifiedAuditController.js';
 import * as contentAuditController from '../controllers/contentAuditController.js';
+import { BATCH_MAX_ITEMS } from '../services/batchAuditService.js';
+import { ZIP_LIMITS } from '../services/zipService.js';
 
 const router = express.Router();
-const upload = multer({ storage: multer.memoryStorage() });
+
+// Uploads are buffered in memory, so sizes are capped before anything is read:
+// one file as large as a ZIP entry, and a whole request as large as a ZIP's content.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ZIP_LIMITS.maxEntryBytes, files: BATCH_MAX_ITEMS }
+});
+const MAX_UPLOAD_BYTES = ZIP_LIMITS.maxTotalBytes;
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: { status: 413, message: `Each file can be at most ${Math.round(ZIP_LIMITS.maxEntryBytes / 1024 / 1024)} MB` },
+  LIMIT_FILE_COUNT: { status: 413, message: `At most ${BATCH_MAX_ITEMS} files can be uploaded at once` },
+  LIMIT_UNEXPECTED_FILE: { status: 400, message: 'Unexpected file field (or too many files for this field)' }
+};
+
+function uploadError(res, status, code, message) {
+  return res.status(status).json({ error: 'Upload rejected', code, message });
+}
 
 // Conditionally apply multer only for multipart requests (keeps JSON flow unchanged)
-function maybeMulterSingle(fieldName) {
-  const mw = upload.single(fieldName);
+function maybeMulter(mw) {
   return (req, res, next) => {
     const contentType = (req.headers['content-type'] || '').toLowerCase();
-    if (contentType.includes('multipart/form-data')) {
-      return mw(req, res, next);
+    if (!contentType.includes('multipart/form-data')) {
+      return next();
     }
-    return next();
+
+    // Node stops reading the body at Content-Length, so checking the header bounds the request
+    const length = Number(req.headers['content-length']);
+    if (!Number.isFinite(length)) {
+      return uploadError(res, 411, 'LENGTH_REQUIRED', 'Multipart uploads must send a Content-Length header');
+    }
+    if (length > MAX_UPLOAD_BYTES) {
+      return uploadError(res, 413, 'UPLOAD_TOO_LARGE', `Uploads can be at most ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB in total`);
+    }
+
+    return mw(req, res, err => {
+      if (err instanceof multer.MulterError) {
+        const known = MULTER_ERRORS[err.code] || { status: 400, message: err.message };
+        return uploadError(res, known.status, err.code, known.message);
+      }
+      return next(err);
+    });
   };
 }
 
+function maybeMulterSingle(fieldName) {
+  return maybeMulter(upload.single(fieldName));
+}
+
+// Same as maybeMulterSingle for multi-file uploads
+function maybeMulterArray(fieldName, maxCount) {
+  return maybeMulter(upload.array(fieldName, maxCount));
+}
+
 /**
  * POST /api/audit
  * Unified audit endpoint for all source types
@@ -39,25 +82,131 @@ function maybeMulterSingle(fieldName) {
  *   sourceType: 'screen' | 'voice' | 'scanner' | 'research' | 'manual',
  *   sourceData: {
  *     // For screen: { imageData: Buffer or path }
- *     // For voice: { audioData: Buffer or path }
+ *     // For voice: { audioData: base64 or data URL, filename?, mimeType? } (or multipart "file")
  *     // For scanner: { fileData: Buffer or path, filename, mimeType }
  *     // For research: { url: string }
  *     // For manual: { text: string }
  *   },
- *   metadata: { sourceId?, filename?, etc. }
+ *   metadata: { sourceId?, filename?, etc. },
+ *   provider?: 'openai' | 'gemini' | 'mock',
+ *   industry?: 'hospital' | 'pharma' | 'diagnostics' | 'ayush' | 'healthtech' | 'insurance' (default: general),
+ *   mode?: 'standard' | 'quick' | 'deep' | 'pre-publication' (default: standard),
+ *   outputLanguage?: 'source' | 'bilingual' | 'en' | 'hi' | 'ta' | ... (default: source) language of the summary
+ *     and guidance; evidence and fixed lines stay in the content's language, bilingual adds an English translation
+ *   async?: true (or ?async=true) to queue the audit: responds 202 { audit: { id, status: 'pending' }, events }
+ *     (events is the progress stream URL with a short-lived token; see POST /:id/events/token)
  * }
  */
-router.post('/', authenticateJWT, unifiedAuditController.auditContent);
+router.post('/', authenticateJWT, maybeMulterSingle('file'), unifiedAuditController.auditContent);
 router.post('/content', authenticateJWT, maybeMulterSingle('file'), contentAuditController.auditContent);
 
+/**
+ * POST /api/audit/batch
+ * Audit a campaign of many creatives; each item is saved as its own audit
+ *
+ * Multipart: "files" (any number of PDFs, DOCX, images, audio/video or ZIP archives,
+ * which are expanded to their files) plus the optional fields below.
+ * JSON / fields:
+ *   - items: [{ text } | { url } | { sourceType, sourceData, metadata? }] (strings are treated as text or URL)
+ *   - provider, industry, mode, outputLanguage, metadata: as for POST /api/audit, applied to every item
+ *
+ * Responds with { batch: { id, total, completed, failed, nonCompliant, worst, items[] } };
+ * GET /history?batch=<id> lists the saved audits.
+ */
+router.post('/batch', authenticateJWT, maybeMulterArray('files', BATCH_MAX_ITEMS), unifiedAuditController.auditBatch);
+
 /**
  * GET /api/audit/history
  * Get audit history for authenticated user
  * 
- * Query params:
- *   - sourceType: Filter by source type (optional)
+ * Query params (all optional; list params accept comma-separated values):
+ *   - sourceType: source types, e.g. manual,voice
+ *   - mode: audit modes
+ *   - batch: batch id returned by POST /batch
+ *   - status: COMPLIANT | NON_COMPLIANT | NEEDS_REVIEW
+ *   - state: pending | processing | completed | failed
+ *   - from, to: createdAt range (ISO dates)
+ *   - minRisk, maxRisk: risk_score range (0 = no findings, 100 = highest risk)
+ *   - rulePack: rule pack ids with at least one violation, e.g. dmr-act
+ *   - rule: triggered rule ids
+ *   - severity: critical | high | medium | low (any violation)
+ *   - q: full-text search over extracted text and violation evidence
+ *   - limit: page size (default 50, max 200)
+ *   - cursor: nextCursor from the previous page
+ *
+ * Response: { audits, count, total, nextCursor, hasMore }
  */
 router.get('/history', authenticateJWT, unifiedAuditController.getAuditHistory);
 
+/**
+ * GET /api/audit/export
+ * Download matching audits, one row per violation
+ *
+ * Query params:
+ *   - format: csv (default) | xlsx | jsonl
+ *   - any /history filter (sourceType, status, from, to, minRisk, rulePack, severity, q, ...)
+ */
+router.get('/export', authenticateJWT, unifiedAuditController.exportAudits);
+
+/**
+ * POST /api/audit/:id/events/token
+ * Short-lived token for opening this audit's event stream with EventSource
+ *
+ * Response: { token, expiresIn, events } (events is the stream URL including the token)
+ */
+router.post('/:id/events/token', authenticateJWT, unifiedAuditController.createEventStreamToken);
+
+/**
+ * GET /api/audit/:id/events
+ * Server-Sent Events with the progress of a queued audit
+ * (stages: queued → extraction/transcription → audit → save → done | failed)
+ *
+ * Authorization header with the session JWT, or for EventSource:
+ *   - token: event stream token from POST /:id/events/token (the session JWT is not accepted here)
+ */
+router.get('/:id/events', authenticateEventStream, unifiedAuditController.streamAuditEvents);
+
+/**
+ * GET /api/audit/:id/report.pdf
+ * Branded PDF compliance report (English and Hindi content)
+ */
+router.get('/:id/report.pdf', authenticateJWT, unifiedAuditController.downloadReport);
+
+/**
+ * GET /api/audit/:id/annotated
+ * Extracted text with highlight ranges for the violations
+ *
+ * Response: { audit, text, highlights, spans, unlocated }
+ *   - highlights: [{ violation, start, end, match, severity, description, rule_id?, page?, source_entry?, segmentIndex?, startMs?, endMs? }]
+ *     (start/end are character offsets into text; match is exact | normalized | fuzzy)
+ *   - spans: non-overlapping [{ start, end, violations }] in text order, for rendering
+ *   - unlocated: numbers of violations whose evidence could not be placed
+ */
+router.get('/:id/annotated', authenticateJWT, unifiedAuditController.getAnnotatedAudit);
+
+/**
+ * POST /api/audit/:id/rerun
+ * Re-audit the stored extracted text with the current rule packs
+ * (previous result kept as a version)
+ *
+ * Body: { provider?, industry?, mode?, outputLanguage? }
+ */
+router.post('/:id/rerun', authenticateJWT, unifiedAuditController.rerunAudit);
+
+/**
+ * GET /api/audit/:id
+ * Full audit: violations, extracted text, metadata and version list
+ *
+ * Query params:
+ *   - version: fetch an earlier result
+ */
+router.get('/:id', authenticateJWT, unifiedAuditController.getAudit);
+
+/**
+ * DELETE /api/audit/:id
+ * Delete the audit and its stored files
+ */
+router.delete('/:id', authenticateJWT, unifiedAuditController.removeAudit);
+
 export default router;
 
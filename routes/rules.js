@@ -0,0 +1,51 @@
+/**
+ * CUSTOM RULES API ROUTES
+ *
+ * Per-organisation rules applied in every audit alongside the built-in rule packs:
+ * - forbidden_phrase: banned words/phrases (matched literally, as whole words)
+ * - required_disclaimer: disclaimer that must appear (optionally only when a trigger appears)
+ * - claim_restriction: claims a product may not carry
+ */
+
+import express from 'express';
+import { authenticateJWT } from '../middleware/jwtAuth.js';
+import * as ruleController from '../controllers/ruleController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/rules
+ * List the organisation's rules
+ *
+ * Query params:
+ *   - includeInactive: 'true' to include deleted rules
+ */
+router.get('/', authenticateJWT, ruleController.list);
+
+/**
+ * POST /api/rules
+ * Create a rule (version 1)
+ */
+router.post('/', authenticateJWT, ruleController.create);
+
+/**
+ * GET /api/rules/:id/versions
+ * Version history of a rule (oldest first, current last)
+ */
+router.get('/:id/versions', authenticateJWT, ruleController.versions);
+
+router.get('/:id', authenticateJWT, ruleController.get);
+
+/**
+ * PUT /api/rules/:id
+ * Update a rule (bumps the version)
+ */
+router.put('/:id', authenticateJWT, ruleController.update);
+
+/**
+ * DELETE /api/rules/:id
+ * Deactivate a rule (bumps the version, keeps history)
+ */
+router.delete('/:id', authenticateJWT, ruleController.remove);
+
+export default router;
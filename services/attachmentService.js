@@ -1,10 +1,13 @@
-import pdfParse from 'pdf-parse';
 import mammoth from 'mammoth';
 import fs from 'fs-extra';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { createRequire } from 'module';
 import { transcribeWithWhisper } from './openaiClient.js';
+import { isZipFile, extractZipToDir } from './zipService.js';
+import { recognizeImage, createOcrSession } from './ocrService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -12,28 +15,16 @@ const __dirname = dirname(__filename);
 const TEMP_DIR = join(__dirname, '../temp');
 const MAX_SIZE = 100 * 1024 * 1024; // 100MB
 
-// Tesseract OCR - optional dependency (lazy loaded)
-let Tesseract = null;
-let tesseractLoaded = false;
-
-async function loadTesseract() {
-  if (tesseractLoaded) return Tesseract;
-
-  try {
-    const tesseractModule = await import('tesseract.js');
-    Tesseract = tesseractModule.default;
-  } catch (error) {
-    // Keep OCR optional and non-fatal. Callers should handle unsupported types.
-    Tesseract = null;
-  } finally {
-    tesseractLoaded = true;
-  }
-
-  return Tesseract;
-}
+// PDF pages with less text than this are treated as scanned and OCR'd
+const PDF_MIN_PAGE_CHARS = 20;
+const PDF_OCR_MAX_PAGES = Number(process.env.PDF_OCR_MAX_PAGES) || 30;
+// Render scale for OCR (PDF units are 1/72 inch, so 2.8 ≈ 200 DPI)
+const PDF_OCR_SCALE = 2.8;
 
 /**
  * Process attachment and extract text content
+ * ZIP archives are unpacked and every supported file is extracted; the result then
+ * also carries `entries` with each file's character range in the combined text.
  */
 export async function processAttachment(buffer, filename, mimeType) {
   try {
@@ -45,28 +36,44 @@ export async function processAttachment(buffer, filename, mimeType) {
     const ext = filename.split('.').pop()?.toLowerCase();
     let extractedText = '';
 
+    // ZIP bundles (creatives, copy decks, media)
+    if (isZipFile(filename, mimeType)) {
+      const archive = await extractFromZip(buffer, filename);
+      return {
+        success: true,
+        text: archive.text,
+        type: 'archive',
+        entries: archive.entries
+      };
+    }
     // Image processing (OCR)
-    if (mimeType?.startsWith('image/') || ['png', 'jpg', 'jpeg', 'webp', 'bmp', 'tif', 'tiff', 'gif'].includes(ext || '')) {
+    else if (mimeType?.startsWith('image/') || ['png', 'jpg', 'jpeg', 'webp', 'bmp', 'tif', 'tiff', 'gif'].includes(ext || '')) {
       extractedText = await extractFromImage(buffer, filename);
     }
-    // PDF processing
+    // PDF processing (per-page text, OCR for scanned pages)
     else if (mimeType === 'application/pdf' || ext === 'pdf') {
-      extractedText = await extractFromPDF(buffer);
+      const pdf = await extractFromPDF(buffer, filename);
+      return {
+        success: true,
+        text: pdf.text,
+        type: 'document',
+        pages: pdf.pages
+      };
     }
     // DOCX processing
     else if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || ext === 'docx') {
       extractedText = await extractFromDOCX(buffer);
     }
     // Video processing (mock transcript)
-    else if (mimeType.startsWith('video/') || ['mp4', 'mov', 'avi'].includes(ext || '')) {
+    else if (mimeType?.startsWith('video/') || ['mp4', 'mov', 'avi'].includes(ext || '')) {
       extractedText = await extractFromVideo(buffer, filename);
     }
     // Audio processing (mock transcript)
-    else if (mimeType.startsWith('audio/') || ['mp3', 'wav', 'm4a'].includes(ext || '')) {
+    else if (mimeType?.startsWith('audio/') || ['mp3', 'wav', 'm4a'].includes(ext || '')) {
       extractedText = await extractFromAudio(buffer, filename);
     }
     else {
-      throw new Error(`Unsupported file type: ${mimeType}`);
+      throw new Error(`Unsupported file type: ${mimeType || ext}`);
     }
 
     return {
@@ -80,40 +87,138 @@ export async function processAttachment(buffer, filename, mimeType) {
       success: false,
       text: '',
       error: error.message,
+      code: error.code,
+      status: error.status,
       type: 'unknown'
     };
   }
 }
 
 /**
- * Extract text from image via OCR (Tesseract)
+ * Extract text from image via OCR (Tesseract, language chosen by script detection)
  */
 async function extractFromImage(buffer, filename) {
-  const tesseract = await loadTesseract();
-  if (!tesseract) {
-    throw new Error('OCR unavailable: install tesseract.js to extract text from image attachments');
-  }
-
   try {
     console.log(`🖼️  OCR image attachment: ${filename}`);
-    const { data: { text } } = await tesseract.recognize(buffer, 'eng', {
-      logger: () => {} // quiet by default
-    });
-    return (text || '').trim();
+    const { text, languages } = await recognizeImage(buffer);
+    console.log(`   ${filename}: ${text.length} characters (${languages.join('+') || 'no text'})`);
+    return text;
   } catch (error) {
-    throw new Error(`Image OCR failed: ${error.message}`);
+    const wrapped = new Error(`Image OCR failed: ${error.message}`);
+    wrapped.code = error.code;
+    wrapped.status = error.status;
+    throw wrapped;
   }
 }
 
+// pdf.js (legacy build for Node) - loaded on first PDF
+let pdfjs = null;
+
+async function loadPdfjs() {
+  if (!pdfjs) {
+    pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjs;
+}
+
+function pdfAssetDir(name) {
+  const require = createRequire(import.meta.url);
+  return join(dirname(require.resolve('pdfjs-dist/package.json')), name) + '/';
+}
+
+async function pageText(page) {
+  const content = await page.getTextContent();
+  return content.items
+    .map(item => item.str + (item.hasEOL ? '\n' : ''))
+    .join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+}
+
+// Rasterise with pdf.js's own canvas factory (its bundled @napi-rs/canvas in Node)
+async function ocrPdfPage(doc, page, ocr) {
+  const viewport = page.getViewport({ scale: PDF_OCR_SCALE });
+  const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  // Scans with transparency would otherwise OCR as black on black
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport }).promise;
+
+  return await ocr.recognize(canvas.toBuffer('image/png'));
+}
+
 /**
- * Extract text from PDF
+ * Extract text from PDF, page by page
+ * Pages without a text layer (scanned brochures) are rasterised and OCR'd with Tesseract.
+ *
+ * @returns {Promise<{text: string, pages: Array<{page: number, text: string, method: string, confidence?: number, languages?: string[], start: number, end: number}>}>}
+ *   start/end are each page's character range in `text`
  */
-async function extractFromPDF(buffer) {
+async function extractFromPDF(buffer, filename = 'document.pdf') {
+  let doc = null;
+  const ocr = createOcrSession();
+  let ocrUnavailable = false;
+
   try {
-    const data = await pdfParse(buffer);
-    return data.text || '';
+    const { getDocument } = await loadPdfjs();
+    doc = await getDocument({
+      data: new Uint8Array(buffer),
+      standardFontDataUrl: pdfAssetDir('standard_fonts'),
+      cMapUrl: pdfAssetDir('cmaps'),
+      cMapPacked: true,
+      isEvalSupported: false,
+      verbosity: 0
+    }).promise;
+
+    const pages = [];
+    let ocrCount = 0;
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const text = await pageText(page);
+
+      if (text.length >= PDF_MIN_PAGE_CHARS) {
+        pages.push({ page: n, text, method: 'text' });
+      } else if (ocrCount >= PDF_OCR_MAX_PAGES) {
+        pages.push({ page: n, text, method: 'skipped' });
+      } else if (ocrUnavailable) {
+        pages.push({ page: n, text, method: 'ocr-unavailable' });
+      } else {
+        if (ocrCount === 0) console.log(`🖨️  ${filename}: OCR for pages without a text layer`);
+        try {
+          const result = await ocrPdfPage(doc, page, ocr);
+          pages.push({ page: n, text: result.text || text, method: 'ocr', confidence: result.confidence, languages: result.languages });
+        } catch (error) {
+          ocrUnavailable = error.code === 'OCR_UNAVAILABLE';
+          console.warn(`⚠️  ${filename}: OCR failed for page ${n}: ${error.message}`);
+          pages.push({ page: n, text, method: ocrUnavailable ? 'ocr-unavailable' : 'ocr-failed' });
+        }
+        ocrCount += 1;
+      }
+      page.cleanup();
+    }
+
+    if (ocrCount > 0) {
+      console.log(`✅ ${filename}: OCR'd ${ocrCount} of ${doc.numPages} page(s)`);
+    }
+    if (pages.some(p => p.method === 'skipped')) {
+      console.warn(`⚠️  ${filename}: OCR limit (${PDF_OCR_MAX_PAGES} pages) reached; remaining scanned pages skipped`);
+    }
+
+    // Join pages and record where each one starts in the combined text
+    let text = '';
+    for (const p of pages) {
+      if (!p.text) continue;
+      if (text) text += '\n\n';
+      p.start = text.length;
+      text += p.text;
+      p.end = text.length;
+    }
+    return { text, pages };
   } catch (error) {
     throw new Error(`PDF parsing failed: ${error.message}`);
+  } finally {
+    await ocr.terminate();
+    if (doc) await doc.destroy().catch(() => {});
   }
 }
 
@@ -157,6 +262,79 @@ async function extractFromAudio(buffer, filename) {
   }
 }
 
+/**
+ * Extract text from every supported file in a ZIP archive
+ * The archive is unpacked into a temp directory (see zipService for the limits) and
+ * removed afterwards. Each file's text is added under a "=== path ===" heading.
+ */
+async function extractFromZip(buffer, filename) {
+  const dir = join(TEMP_DIR, `zip-${randomUUID()}`);
+  console.log(`🗜️  Unpacking archive: ${filename}`);
+
+  try {
+    const files = await extractZipToDir(buffer, dir);
+    const entries = [];
+    let text = '';
+
+    for (const file of files) {
+      if (isZipFile(file.name)) {
+        entries.push({ path: file.path, type: 'archive', skipped: true, error: 'Nested archives are not unpacked' });
+        continue;
+      }
+
+      const result = await processAttachment(await fs.readFile(file.filePath), file.name, null);
+      const entryText = (result.text || '').trim();
+      if (!result.success || !entryText) {
+        entries.push({ path: file.path, type: result.type, skipped: true, error: result.error || 'No text extracted' });
+        continue;
+      }
+
+      const heading = `${text ? '\n\n' : ''}=== ${file.path} ===\n`;
+      const start = text.length + heading.length;
+      text += heading + entryText;
+      const entry = { path: file.path, type: result.type, start, end: text.length };
+      if (result.pages) {
+        // Shift PDF page ranges into the combined text
+        const shift = start - (result.text.length - result.text.trimStart().length);
+        entry.pages = result.pages
+          .filter(p => Number.isInteger(p.start))
+          .map(({ text: _text, ...p }) => ({ ...p, start: p.start + shift, end: p.end + shift }));
+      }
+      entries.push(entry);
+    }
+
+    if (!text) {
+      throw new Error(`No text could be extracted from the ${files.length} file(s) in ${filename}`);
+    }
+    console.log(`✅ Archive ${filename}: ${entries.filter(e => !e.skipped).length}/${entries.length} file(s) extracted`);
+    return { text, entries };
+  } finally {
+    await fs.remove(dir).catch(() => {});
+  }
+}
+
+/**
+ * Archive entry or PDF page a violation was found in
+ *
+ * @param {Array} ranges - `entries` or `pages` from processAttachment ({ start, end } in text)
+ * @param {string} text - The extracted text the ranges refer to
+ * @param {Object} violation - Uses start (rule findings) or evidence
+ * @returns {Object|null} The range, or null when the evidence cannot be placed
+ */
+export function locateTextRange(ranges, text, violation) {
+  if (!Array.isArray(ranges) || !text || !violation) return null;
+  const extracted = ranges.filter(r => !r.skipped && Number.isInteger(r.start));
+
+  if (Number.isInteger(violation.start)) {
+    return extracted.find(e => violation.start >= e.start && violation.start < e.end) || null;
+  }
+
+  const collapse = s => (s || '').toString().replace(/\s+/g, ' ').trim().toLowerCase();
+  const needle = collapse(violation.evidence).replace(/^["']+|["']+$/g, '');
+  if (!needle) return null;
+  return extracted.find(e => collapse(text.slice(e.start, e.end)).includes(needle)) || null;
+}
+
 /**
  * Determine content type for audit
  */
@@ -0,0 +1,368 @@
+/**
+ * AUDIT JOB QUEUE
+ *
+ * Audits submitted with async=true are stored as `pending` Audit documents and
+ * processed by a worker that claims them from MongoDB, so queued work survives
+ * restarts and several server processes can share the queue.
+ *
+ * Stages: queued → extraction | transcription → audit → save → done (or failed)
+ * Every stage change is appended to job.events, which GET /api/audit/:id/events streams.
+ */
+
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import fs from 'fs-extra';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import Audit from '../models/Audit.js';
+import { runSourceAudit, buildAuditDoc } from './auditPipeline.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UPLOADS_DIR = path.resolve(__dirname, '../uploads');
+const JOBS_DIR = path.join(UPLOADS_DIR, 'jobs');
+
+const STAGE_PROGRESS = {
+  queued: 0,
+  extraction: 10,
+  transcription: 20,
+  audit: 50,
+  save: 90,
+  done: 100
+};
+
+// JSON payloads are stored on the job document, which MongoDB caps at 16 MB
+const MAX_INLINE_INPUT_BYTES = 8 * 1024 * 1024;
+const POLL_INTERVAL_MS = Number(process.env.AUDIT_WORKER_POLL_MS) || 2000;
+// A processing job whose lock is older than this is assumed abandoned and claimed again
+const LOCK_TIMEOUT_MS = Number(process.env.AUDIT_JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+// A running job refreshes its lock this often, so long stages (Whisper, OCR, deep LLM passes) keep it
+const HEARTBEAT_INTERVAL_MS = Math.max(1000, Math.floor(LOCK_TIMEOUT_MS / 4));
+const RETRY_BASE_DELAY_MS = 5000;
+
+function jobError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function stageEvent(stage, message) {
+  return { stage, message, progress: STAGE_PROGRESS[stage] ?? null, at: new Date() };
+}
+
+async function removeJobFiles(auditId) {
+  await fs.remove(path.join(JOBS_DIR, auditId.toString())).catch(err => {
+    console.warn(`⚠️  Failed to remove job files for ${auditId}: ${err.message}`);
+  });
+}
+
+/**
+ * Remove files stored for an audit (queued upload, stored video) when it is deleted
+ * Only paths inside the uploads directory are touched.
+ */
+export async function removeAuditFiles(audit) {
+  await removeJobFiles(audit._id);
+  const paths = [audit.job?.file?.path, audit.videoPath].filter(Boolean).map(p => path.resolve(UPLOADS_DIR, p));
+  for (const filePath of paths) {
+    if (!filePath.startsWith(UPLOADS_DIR + path.sep)) continue;
+    await fs.remove(filePath).catch(err => {
+      console.warn(`⚠️  Failed to remove ${filePath}: ${err.message}`);
+    });
+  }
+}
+
+/* ---- QUEUE ---- */
+
+/**
+ * Queue an audit for background processing
+ *
+ * @param {Object} input - { userId, userEmail, organizationId, sourceType, sourceData, metadata, provider, industry, mode, outputLanguage, file? }
+ * @returns {Promise<Object>} The pending Audit document (its id is the job id)
+ * @throws {Error} code INPUT_TOO_LARGE (status 413) when the JSON payload cannot be stored
+ */
+export async function enqueueAuditJob(input) {
+  const { userId, userEmail, organizationId, sourceType, sourceData = {}, metadata = {}, provider, industry, mode, outputLanguage, file } = input;
+
+  const payload = { sourceData, metadata, provider, industry, mode, outputLanguage, userEmail, organizationId };
+  if (Buffer.byteLength(JSON.stringify(payload)) > MAX_INLINE_INPUT_BYTES) {
+    throw jobError('Payload too large to queue; upload the media as a multipart "file" instead', 'INPUT_TOO_LARGE', 413);
+  }
+
+  const _id = new mongoose.Types.ObjectId();
+  let storedFile;
+  if (file?.buffer) {
+    const dir = path.join(JOBS_DIR, _id.toString());
+    const filePath = path.join(dir, (file.originalname || 'upload').replace(/[^a-zA-Z0-9._-]/g, '_'));
+    await fs.ensureDir(dir);
+    await fs.writeFile(filePath, file.buffer);
+    storedFile = { path: filePath, originalname: file.originalname, mimetype: file.mimetype, size: file.buffer.length };
+  }
+
+  const now = new Date();
+  const audit = await Audit.create({
+    _id,
+    userId,
+    sourceType,
+    sourceId: metadata.sourceId || sourceData.url || sourceType,
+    mode,
+    sourceMetadata: { ...metadata, provider: provider || process.env.LLM_PROVIDER || 'openai', industry, outputLanguage },
+    status: 'pending',
+    job: {
+      stage: 'queued',
+      progress: 0,
+      input: payload,
+      file: storedFile,
+      runAfter: now,
+      queuedAt: now,
+      events: [stageEvent('queued', 'Audit queued')]
+    }
+  });
+
+  console.log(`📥 Audit job queued: ${_id} (${sourceType})`);
+  wakeWorker();
+  return audit;
+}
+
+/**
+ * Current job state for a user's audit
+ * @throws {Error} code AUDIT_NOT_FOUND (status 404)
+ */
+export async function getAuditJob(userId, auditId) {
+  if (!mongoose.isValidObjectId(auditId)) throw jobError('Audit not found', 'AUDIT_NOT_FOUND', 404);
+  const audit = await Audit.findOne({ _id: auditId, userId })
+    .select('status job.stage job.progress job.attempts job.error job.events auditResult.status auditResult.risk_score')
+    .lean();
+  if (!audit) throw jobError('Audit not found', 'AUDIT_NOT_FOUND', 404);
+  return audit;
+}
+
+async function recordStage(auditId, lockId, stage, message) {
+  const event = stageEvent(stage, message);
+  await Audit.updateOne(
+    { _id: auditId, 'job.lockedBy': lockId },
+    {
+      $set: { 'job.stage': stage, 'job.progress': event.progress, 'job.lockedAt': event.at },
+      $push: { 'job.events': event }
+    }
+  );
+}
+
+/**
+ * Refresh job.lockedAt until the returned stop function is called
+ */
+function startHeartbeat(auditId, lockId) {
+  const timer = setInterval(() => {
+    Audit.updateOne({ _id: auditId, 'job.lockedBy': lockId }, { $set: { 'job.lockedAt': new Date() } })
+      .then(({ matchedCount }) => {
+        if (matchedCount > 0) return;
+        clearInterval(timer);
+        console.warn(`⚠️  Audit job ${auditId} lost its lock; the result of this run will be discarded`);
+      })
+      .catch(err => console.warn(`⚠️  Heartbeat failed for audit job ${auditId}: ${err.message}`));
+  }, HEARTBEAT_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// lockId is unique per claim, so a job reclaimed after a lock timeout (even by the same
+// process) cannot be finished by the run that lost the lock
+async function claimNextJob(lockId) {
+  const now = new Date();
+  return await Audit.findOneAndUpdate(
+    {
+      'job.stage': { $exists: true },
+      $or: [
+        { status: 'pending', 'job.runAfter': { $lte: now } },
+        {
+          status: 'processing',
+          'job.lockedAt': { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+          $expr: { $lt: ['$job.attempts', '$job.maxAttempts'] }
+        }
+      ]
+    },
+    {
+      $set: { status: 'processing', 'job.lockedBy': lockId, 'job.lockedAt': now, 'job.startedAt': now },
+      $inc: { 'job.attempts': 1 }
+    },
+    { new: true, sort: { 'job.runAfter': 1 } }
+  );
+}
+
+/**
+ * Fail stale `processing` jobs that have used up their attempts
+ * An attempt that took the process down (OOM, crash) never reaches processJob's catch,
+ * so without this the job would be reclaimed, and crash a worker, after every lock timeout.
+ */
+async function failExhaustedJobs() {
+  const exhausted = {
+    'job.stage': { $exists: true },
+    status: 'processing',
+    'job.lockedAt': { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) },
+    $expr: { $gte: ['$job.attempts', '$job.maxAttempts'] }
+  };
+  const audits = await Audit.find(exhausted).select('_id job.attempts').lean();
+  for (const audit of audits) {
+    const message = `Gave up after ${audit.job.attempts} attempts; the last one stopped without finishing`;
+    const failed = stageEvent('failed', message);
+    const { modifiedCount } = await Audit.updateOne(
+      { _id: audit._id, ...exhausted },
+      {
+        $set: {
+          status: 'failed',
+          'job.stage': 'failed',
+          'job.finishedAt': failed.at,
+          'job.error': { message, code: 'ATTEMPTS_EXHAUSTED' }
+        },
+        $unset: { 'job.input': 1, 'job.lockedBy': 1 },
+        $push: { 'job.events': failed }
+      }
+    );
+    if (modifiedCount === 0) continue;
+    console.error(`❌ Audit job failed: ${audit._id}: ${message}`);
+    await removeJobFiles(audit._id);
+  }
+}
+
+async function processJob(audit, lockId) {
+  const { job } = audit;
+  const input = job.input || {};
+  console.log(`⚙️  Processing audit job ${audit._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  const stopHeartbeat = startHeartbeat(audit._id, lockId);
+  try {
+    const file = job.file?.path
+      ? { buffer: await fs.readFile(job.file.path), originalname: job.file.originalname, mimetype: job.file.mimetype }
+      : null;
+
+    const result = await runSourceAudit(
+      { ...input, sourceType: audit.sourceType, file },
+      { onStage: (stage, message) => recordStage(audit._id, lockId, stage, message) }
+    );
+
+    await recordStage(audit._id, lockId, 'save', 'Saving audit result');
+    const fields = buildAuditDoc({ ...input, userId: audit.userId, sourceType: audit.sourceType }, result);
+    const done = stageEvent('done', 'Audit completed');
+    const saved = await Audit.updateOne(
+      { _id: audit._id, 'job.lockedBy': lockId },
+      {
+        $set: {
+          ...fields,
+          'job.stage': 'done',
+          'job.progress': 100,
+          'job.finishedAt': done.at
+        },
+        $unset: { 'job.input': 1, 'job.lockedBy': 1 },
+        $push: { 'job.events': done }
+      }
+    );
+    // Another worker reclaimed the job; it owns the result and the queued files now
+    if (saved.matchedCount === 0) {
+      console.warn(`⚠️  Audit job ${audit._id} finished after losing its lock; result discarded`);
+      return;
+    }
+    await removeJobFiles(audit._id);
+    console.log(`✅ Audit job completed: ${audit._id}`);
+  } catch (err) {
+    // Input errors (4xx) will fail again, so only retry server-side failures
+    const retryable = !(err.status && err.status < 500) && job.attempts < job.maxAttempts;
+    if (retryable) {
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+      console.warn(`⚠️  Audit job ${audit._id} failed (attempt ${job.attempts}), retrying in ${delay / 1000}s: ${err.message}`);
+      await Audit.updateOne(
+        { _id: audit._id, 'job.lockedBy': lockId },
+        {
+          $set: { status: 'pending', 'job.stage': 'queued', 'job.progress': 0, 'job.runAfter': new Date(Date.now() + delay) },
+          $unset: { 'job.lockedBy': 1, 'job.lockedAt': 1 },
+          $push: { 'job.events': stageEvent('queued', `Attempt ${job.attempts} failed, retrying: ${err.message}`) }
+        }
+      );
+      return;
+    }
+
+    console.error(`❌ Audit job failed: ${audit._id}: ${err.message}`);
+    const failed = stageEvent('failed', err.message);
+    const owned = await Audit.updateOne(
+      { _id: audit._id, 'job.lockedBy': lockId },
+      {
+        $set: {
+          status: 'failed',
+          'job.stage': 'failed',
+          'job.finishedAt': failed.at,
+          'job.error': { message: err.message, code: err.code || 'AUDIT_ERROR' }
+        },
+        $unset: { 'job.input': 1, 'job.lockedBy': 1 },
+        $push: { 'job.events': failed }
+      }
+    );
+    if (owned.matchedCount > 0) await removeJobFiles(audit._id);
+  } finally {
+    stopHeartbeat();
+  }
+}
+
+/* ---- WORKER ---- */
+
+let worker = null;
+
+function wakeWorker() {
+  if (worker) setImmediate(worker.tick);
+}
+
+/**
+ * Start the in-process worker (no-op when AUDIT_WORKER_ENABLED=false or already running)
+ * Set AUDIT_WORKER_CONCURRENCY to process several jobs at once (default 1).
+ */
+export function startAuditWorker() {
+  if (worker) return;
+  if (process.env.AUDIT_WORKER_ENABLED === 'false') {
+    console.log('⏸️  Audit worker disabled (AUDIT_WORKER_ENABLED=false)');
+    return;
+  }
+
+  const concurrency = Math.max(1, Number(process.env.AUDIT_WORKER_CONCURRENCY) || 1);
+  const workerId = `${os.hostname()}:${process.pid}`;
+  let running = 0;
+  let claiming = false;
+
+  const tick = async () => {
+    if (!worker || claiming || running >= concurrency) return;
+    if (mongoose.connection.readyState !== 1) return;
+
+    claiming = true;
+    const lockId = `${workerId}:${randomUUID()}`;
+    let audit = null;
+    try {
+      await failExhaustedJobs();
+      audit = await claimNextJob(lockId);
+    } catch (err) {
+      console.warn(`⚠️  Audit worker failed to claim a job: ${err.message}`);
+    } finally {
+      claiming = false;
+    }
+    if (!audit) return;
+
+    running += 1;
+    processJob(audit, lockId)
+      .catch(err => console.error(`❌ Audit worker error for ${audit._id}:`, err))
+      .finally(() => {
+        running -= 1;
+        wakeWorker();
+      });
+    // Keep claiming while there is spare capacity
+    wakeWorker();
+  };
+
+  worker = { tick, timer: setInterval(tick, POLL_INTERVAL_MS) };
+  worker.timer.unref();
+  console.log(`✅ Audit worker started (${workerId}, concurrency ${concurrency})`);
+  wakeWorker();
+}
+
+export function stopAuditWorker() {
+  if (!worker) return;
+  clearInterval(worker.timer);
+  worker = null;
+}
@@ -0,0 +1,98 @@
+/**
+ * AUDIT MODES
+ *
+ * The `mode` audit parameter decides how thorough the check is:
+ * - standard: one LLM pass merged with the deterministic rule packs
+ * - quick: deterministic rule packs only (no LLM call)
+ * - deep: LLM pass followed by a self-critique pass that re-checks every issue
+ * - pre-publication: strict review; any MEDIUM or HIGH finding blocks publication
+ *
+ * The mode is stored on the saved Audit so reports can show how the content was checked.
+ */
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+const MODES = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    llmPasses: 1,
+    strict: false,
+    blockAt: null
+  },
+  {
+    id: 'quick',
+    name: 'Quick (rules only)',
+    llmPasses: 0,
+    strict: false,
+    blockAt: null
+  },
+  {
+    id: 'deep',
+    name: 'Deep (multi-pass review)',
+    llmPasses: 2,
+    strict: false,
+    blockAt: null
+  },
+  {
+    id: 'pre-publication',
+    name: 'Pre-publication',
+    llmPasses: 1,
+    strict: true,
+    blockAt: 'MEDIUM'
+  }
+];
+
+export const AUDIT_MODE_IDS = MODES.map(m => m.id);
+
+export function isValidAuditMode(mode) {
+  return AUDIT_MODE_IDS.includes(mode);
+}
+
+/**
+ * Resolve a mode id ('standard' when omitted)
+ * @throws {Error} code INVALID_MODE (status 400) for unknown modes
+ */
+export function resolveAuditMode(mode) {
+  if (!mode) return MODES[0];
+  const found = MODES.find(m => m.id === mode);
+  if (!found) {
+    const error = new Error(`mode must be one of: ${AUDIT_MODE_IDS.join(', ')}`);
+    error.code = 'INVALID_MODE';
+    error.status = 400;
+    throw error;
+  }
+  return found;
+}
+
+/**
+ * Short description of the applied mode (reported in audit results)
+ */
+export function modeSummary(mode) {
+  return { id: mode.id, name: mode.name, llmPasses: mode.llmPasses, blockAt: mode.blockAt };
+}
+
+/**
+ * Violations that block publication under the mode ([] when the mode never blocks)
+ */
+export function blockingViolations(mode, violations) {
+  if (!mode.blockAt || !Array.isArray(violations)) return [];
+  const min = SEVERITY_RANK[mode.blockAt];
+  return violations.filter(v => (SEVERITY_RANK[(v?.severity || 'medium').toString().toUpperCase()] ?? SEVERITY_RANK.MEDIUM) >= min);
+}
+
+/**
+ * Pre-publication result fields, the same on every audit endpoint ({} when the mode never blocks)
+ *
+ * @returns {{publication_blocked: boolean, blocking_violations: number[]}|{}}
+ *   blocking_violations: numbers (1-based) of the violations that block publication
+ */
+export function publicationCheck(mode, violations) {
+  if (!mode.blockAt) return {};
+  const list = Array.isArray(violations) ? violations : [];
+  const blocking = blockingViolations(mode, list);
+  return {
+    publication_blocked: blocking.length > 0,
+    blocking_violations: blocking.map(v => v.index || list.indexOf(v) + 1)
+  };
+}
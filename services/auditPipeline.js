@@ -0,0 +1,331 @@
+/**
+ * UNIFIED AUDIT PIPELINE
+ * Extraction → (transcription) → audit for POST /api/audit, shared by the
+ * synchronous request path and the background job worker.
+ */
+
+import { auditText } from './auditService.js';
+import {
+  extractFromScreen,
+  extractFromVoice,
+  extractFromVideo,
+  extractFromScanner,
+  extractFromResearch
+} from './sourceExtractionService.js';
+import { locateEvidenceBlock } from './webExtractionService.js';
+import { locateTextRange } from './attachmentService.js';
+import { locateSegmentRanges } from './evidenceSpans.js';
+import { locateTimelineEntry } from './videoTimelineService.js';
+
+export const SOURCE_TYPES = ['screen', 'voice', 'scanner', 'research', 'manual'];
+
+const VIDEO_EXTS = ['mp4', 'mov', 'm4v', 'mkv', 'avi'];
+
+// Video uploads also carry on-screen text, so they get keyframe OCR on top of the transcript
+function isVideoInput(filename, mimeType) {
+  if (mimeType?.startsWith('video/')) return true;
+  if (mimeType?.startsWith('audio/')) return false;
+  return VIDEO_EXTS.includes((filename || '').split('.').pop()?.toLowerCase());
+}
+
+function noText() {
+  const error = new Error('Failed to extract text from source. Please check your input.');
+  error.code = 'NO_TEXT_EXTRACTED';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Extract auditable text from a source
+ *
+ * @param {Object} input - { sourceType, sourceData, metadata, file?: { buffer, originalname, mimetype }, userEmail }
+ * @param {Function} onStage - Progress callback (stage, message)
+ * @returns {Promise<{extractedText: string, extractionMetadata: Object}>}
+ */
+async function extractSource({ sourceType, sourceData = {}, metadata = {}, file, userEmail }, onStage) {
+  switch (sourceType) {
+    case 'screen': {
+      // sourceData: { imageData (Buffer or path), languages?: OCR language codes }
+      await onStage('extraction', 'Running OCR on screen capture');
+      const screenResult = await extractFromScreen(sourceData.imageData, { languages: sourceData.languages });
+      return {
+        extractedText: screenResult.text,
+        extractionMetadata: {
+          filename: metadata.filename,
+          confidence: screenResult.confidence,
+          ocrLanguages: screenResult.languages,
+          scripts: screenResult.scripts,
+          method: screenResult.method
+        }
+      };
+    }
+
+    case 'voice': {
+      // multipart: file field "file"; JSON: sourceData: { audioData (base64 or data URL), filename?, mimeType? }
+      const filename = file?.originalname || sourceData.filename || metadata.filename;
+      const mimeType = file?.mimetype || sourceData.mimeType;
+      if (isVideoInput(filename, mimeType)) {
+        await onStage('transcription', 'Transcribing video and reading on-screen text');
+        const videoResult = await extractFromVideo(file?.buffer || sourceData.audioData, { filename, mimeType });
+        return {
+          extractedText: videoResult.text,
+          extractionMetadata: {
+            filename,
+            duration: videoResult.duration,
+            language: videoResult.language,
+            // One line of extractedText per entry (speech segment or on-screen text span)
+            timeline: videoResult.timeline,
+            framesAnalyzed: videoResult.framesAnalyzed,
+            method: videoResult.method
+          }
+        };
+      }
+
+      await onStage('transcription', 'Transcribing audio');
+      const voiceResult = await extractFromVoice(file?.buffer || sourceData.audioData, { filename, mimeType });
+      return {
+        extractedText: voiceResult.text,
+        extractionMetadata: {
+          filename,
+          duration: voiceResult.duration,
+          language: voiceResult.language,
+          segments: voiceResult.segments,
+          method: 'speech-to-text'
+        }
+      };
+    }
+
+    case 'scanner': {
+      // sourceData: { fileData (Buffer or path), filename, mimeType }
+      await onStage('extraction', `Extracting text from ${sourceData.filename || 'file'}`);
+      const scannerResult = await extractFromScanner(
+        sourceData.fileData,
+        sourceData.filename,
+        sourceData.mimeType
+      );
+      return {
+        extractedText: scannerResult.text,
+        extractionMetadata: {
+          filename: sourceData.filename,
+          fileType: scannerResult.fileType,
+          entries: scannerResult.entries,
+          // Page ranges only; the text itself is in extractedText
+          pages: scannerResult.pages?.map(({ text, ...page }) => page),
+          method: scannerResult.method
+        }
+      };
+    }
+
+    case 'research': {
+      // sourceData: { url }
+      await onStage('extraction', `Fetching ${sourceData.url}`);
+      const researchResult = await extractFromResearch(sourceData.url);
+      return {
+        extractedText: researchResult.text,
+        extractionMetadata: {
+          url: sourceData.url,
+          finalUrl: researchResult.finalUrl,
+          title: researchResult.title,
+          description: researchResult.description,
+          openGraph: researchResult.openGraph,
+          images: researchResult.images,
+          links: researchResult.links,
+          blocks: researchResult.blocks,
+          method: researchResult.method
+        }
+      };
+    }
+
+    case 'manual':
+      // sourceData: { text }
+      await onStage('extraction', 'Reading submitted text');
+      return {
+        extractedText: sourceData.text || '',
+        extractionMetadata: { submittedBy: userEmail }
+      };
+
+    default: {
+      const error = new Error(`Unsupported source type: ${sourceType}`);
+      error.code = 'INVALID_SOURCE_TYPE';
+      error.status = 400;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Run extraction and audit for one source
+ *
+ * @param {Object} input - { sourceType, sourceData, metadata, file?, userEmail, organizationId, provider, industry, mode, outputLanguage }
+ * @param {Object} hooks - { onStage(stage, message) } progress callback (may be async)
+ * @returns {Promise<{extractedText: string, extractionMetadata: Object, auditResult: Object}>}
+ * @throws {Error} code NO_TEXT_EXTRACTED (status 400) when the source yields no text
+ */
+export async function runSourceAudit(input, { onStage = () => {} } = {}) {
+  const { sourceType, metadata = {}, provider, organizationId, industry, mode, outputLanguage } = input;
+
+  const { extractedText, extractionMetadata } = await extractSource(input, onStage);
+  if (!extractedText || extractedText.trim().length === 0) {
+    throw noText();
+  }
+  console.log(`✅ Text extracted: ${extractedText.length} characters`);
+
+  await onStage('audit', `Auditing ${extractedText.length} characters`);
+  const auditResult = await auditText(extractedText, sourceType, {
+    ...extractionMetadata,
+    ...metadata
+  }, { provider, organizationId, industry, mode, outputLanguage });
+
+  // Point web-page violations to the DOM block they were found in
+  if (sourceType === 'research' && Array.isArray(extractionMetadata.blocks)) {
+    auditResult.violations = (auditResult.violations || []).map(v => {
+      const block = locateEvidenceBlock(extractionMetadata.blocks, v.evidence);
+      return block ? { ...v, domPath: block.domPath, blockKind: block.kind } : v;
+    });
+  }
+
+  // Point violations in a ZIP bundle to the file (and PDF page) they were found in
+  const { entries, pages } = extractionMetadata;
+  if (Array.isArray(entries) || Array.isArray(pages)) {
+    auditResult.violations = (auditResult.violations || []).map(v => {
+      const entry = locateTextRange(entries, extractedText, v);
+      const page = locateTextRange(entry?.pages || pages, extractedText, v);
+      return {
+        ...v,
+        ...(entry && { source_entry: entry.path, source_entry_type: entry.type }),
+        ...(page && { page: page.page })
+      };
+    });
+  }
+
+  // Point video violations to the timeline entry (speech or on-screen text) they came from
+  if (Array.isArray(extractionMetadata.timeline)) {
+    const { timeline } = extractionMetadata;
+    auditResult.violations = (auditResult.violations || []).map(v => {
+      const entry = locateTextRange(timeline, extractedText, v) || locateTimelineEntry(timeline, v.evidence);
+      if (!entry) return v;
+      return {
+        ...v,
+        startMs: entry.startMs,
+        endMs: entry.endMs,
+        segmentIndex: entry.source === 'speech' ? entry.segmentIndex : null,
+        evidenceSource: entry.source
+      };
+    });
+  }
+
+  // Point voice violations to the Whisper segment (and time range) they were spoken in
+  if (sourceType === 'voice' && Array.isArray(extractionMetadata.segments)) {
+    const segments = locateSegmentRanges(extractedText, extractionMetadata.segments);
+    auditResult.violations = (auditResult.violations || []).map(v => {
+      const segment = locateTextRange(segments, extractedText, v);
+      return segment ? { ...v, segmentIndex: segment.index, startMs: segment.startMs, endMs: segment.endMs } : v;
+    });
+  }
+
+  return { extractedText, extractionMetadata, auditResult };
+}
+
+/**
+ * Audit document fields for a finished pipeline run
+ */
+export function buildAuditDoc({ userId, sourceType, metadata = {}, provider, industry, mode, outputLanguage }, { extractedText, extractionMetadata, auditResult }) {
+  return {
+    userId,
+    sourceType,
+    sourceId: metadata.sourceId || extractionMetadata.url || 'manual',
+    mode,
+    sourceMetadata: {
+      ...extractionMetadata,
+      ...metadata,
+      provider: provider || process.env.LLM_PROVIDER || 'openai',
+      industry,
+      industryProfile: auditResult.industry_profile?.id,
+      outputLanguage: outputLanguage || 'source'
+    },
+    extractedText,
+    auditResult: {
+      status: auditResult.status,
+      risk_score: auditResult.risk_score,
+      score_breakdown: auditResult.score_breakdown,
+      violations: auditResult.violations,
+      rules_triggered: auditResult.rules_triggered,
+      explanation: auditResult.explanation,
+      recommended_fix: auditResult.recommended_fix
+    },
+    rulePacks: auditResult.rule_packs,
+    status: 'completed'
+  };
+}
+
+/* ---- RE-RUN ---- */
+
+// Engine source type for stored audits created by other endpoints
+const RERUN_SOURCE_TYPES = {
+  text: 'manual',
+  url: 'research',
+  audio: 'voice',
+  video: 'voice',
+  inbox: 'manual',
+  email: 'manual'
+};
+
+/**
+ * Re-audit an audit's stored extractedText with the current rule packs
+ *
+ * @param {Object} audit - Stored Audit document
+ * @param {Object} options - { provider?, industry?, mode?, outputLanguage?, organizationId } (defaults: the audit's own settings)
+ * @returns {Promise<{fields: Object, previous: Object}>} New result fields and the version entry for the prior result
+ * @throws {Error} code NOT_RERUNNABLE (status 409) when there is no stored text to audit
+ */
+export async function rerunStoredAudit(audit, options = {}) {
+  const text = (audit.extractedText || '').trim();
+  // Media audits store a placeholder like "[Video content]" instead of the transcript
+  if (audit.status !== 'completed' || !text || /^\[[^\]]*\]$/.test(text)) {
+    const error = new Error('This audit has no stored text to re-audit');
+    error.code = 'NOT_RERUNNABLE';
+    error.status = 409;
+    throw error;
+  }
+
+  const meta = audit.sourceMetadata || {};
+  const provider = options.provider || meta.provider;
+  const industry = options.industry || meta.industry;
+  const mode = options.mode || audit.mode || 'standard';
+  const outputLanguage = options.outputLanguage || meta.outputLanguage || 'source';
+  const sourceType = SOURCE_TYPES.includes(audit.sourceType) ? audit.sourceType : (RERUN_SOURCE_TYPES[audit.sourceType] || 'manual');
+
+  console.log(`🔁 Re-running audit ${audit._id} (v${audit.version || 1} → v${(audit.version || 1) + 1})`);
+  // The untrimmed text, so evidence offsets stay valid against the stored extractedText
+  const auditResult = await auditText(audit.extractedText, sourceType, {}, { provider, organizationId: options.organizationId, industry, mode, outputLanguage });
+
+  return {
+    previous: {
+      version: audit.version || 1,
+      auditResult: audit.auditResult,
+      rulePacks: audit.rulePacks,
+      mode: audit.mode,
+      industryProfile: meta.industryProfile,
+      provider: meta.provider,
+      outputLanguage: meta.outputLanguage,
+      auditedAt: audit.updatedAt
+    },
+    fields: {
+      mode,
+      rulePacks: auditResult.rule_packs,
+      'sourceMetadata.provider': provider || process.env.LLM_PROVIDER || 'openai',
+      'sourceMetadata.industry': industry,
+      'sourceMetadata.industryProfile': auditResult.industry_profile?.id,
+      'sourceMetadata.outputLanguage': outputLanguage,
+      auditResult: {
+        status: auditResult.status,
+        risk_score: auditResult.risk_score,
+        score_breakdown: auditResult.score_breakdown,
+        violations: auditResult.violations,
+        rules_triggered: auditResult.rules_triggered,
+        explanation: auditResult.explanation,
+        recommended_fix: auditResult.recommended_fix
+      }
+    }
+  };
+}
@@ -1,24 +1,42 @@
 // Note: auditText now uses runOpenAIAudit from openaiClient.js
 // Remaining functions below are kept for potential backward compatibility
 
-export function detectContentLanguage(text) {
-  const s = (text || '').toString();
-  const devanagari = (s.match(/[\u0900-\u097F]/g) || []).length;
-  const latin = (s.match(/[A-Za-z]/g) || []).length;
-  if (devanagari >= 20 && devanagari >= latin) return 'hi';
-  return 'en';
-}
+import { requireLLMProvider } from './llm/index.js';
+import { getRulePacks, runRulePacks, mergeRuleFindings } from './rules/index.js';
+import { loadOrganizationRulePacks } from './customRuleService.js';
+import { resolveIndustryProfile, profileSummary, profileDisclaimerPack } from './industryProfiles.js';
+import { scoreViolations, statusForRiskLevel } from './riskScoring.js';
+import { resolveAuditMode, modeSummary, publicationCheck } from './auditModes.js';
+import {
+  detectContentLanguage,
+  languageName,
+  isInLanguage,
+  hasAbsolutesOrGuarantees,
+  fallbackFixedLine,
+  fallbackGuidance,
+  resolveOutputLanguage,
+  withTranslation
+} from './contentLanguages.js';
+import { locateEvidenceSpan } from './evidenceSpans.js';
+import { personalDataFixes } from './piiService.js';
+
+export { detectContentLanguage };
+
+// Findings of this pack get mask/remove fixes rather than the claim-softening fallback lines
+const PERSONAL_DATA_PACK_ID = 'dpdp-personal-data';
+
+function buildLanguageSystemPrompt({ lang, langName, output }) {
+  // Explanations in another language than the content (or with a translation line)
+  if (output && (output.lang !== lang || output.translation)) {
+    return `SYSTEM POLICY (STRICT):
 
-function languageName(lang) {
-  switch (lang) {
-    case 'hi':
-      return 'Hindi';
-    default:
-      return 'English';
+LANGUAGE CONTROL (NON-NEGOTIABLE):
+- evidence_line, fixed_line and fixed_line_b MUST stay in ${langName}, the language of the content.
+- summary, description and guidance MUST be written in ${languageName(output.lang)}.${output.translation ? `
+- summary_translation, description_translation and guidance_translation MUST repeat those fields in ${languageName(output.translation)}.` : ''}
+- Do NOT mix languages within a field.`;
   }
-}
 
-function buildLanguageSystemPrompt({ lang, langName }) {
   // If English, output only in English
   if (lang === 'en') {
     return `SYSTEM POLICY (STRICT):
@@ -46,7 +64,7 @@ function stripWrappingQuotes(s) {
 function sentenceCount(text) {
   const s = (text || '').toString().trim();
   if (!s) return 0;
-  // Count sentences by punctuation; treat Hindi danda as sentence boundary.
+  // Count sentences by punctuation; treat the danda (Hindi, Marathi, Bengali) as sentence boundary.
   const parts = s.split(/(?<=[.!?।])\s+/).map(p => p.trim()).filter(Boolean);
   return parts.length;
 }
@@ -67,33 +85,12 @@ function isGuidanceValid(guidance) {
   return true;
 }
 
-function looksHindi(text) {
-  const s = (text || '').toString();
-  return (s.match(/[\u0900-\u097F]/g) || []).length >= 10;
-}
-
-function looksEnglish(text) {
-  const s = (text || '').toString();
-  const devanagari = (s.match(/[\u0900-\u097F]/g) || []).length;
-  // Allow digits/punct but reject mixed Hindi content.
-  return devanagari === 0;
-}
-
-function hasAbsolutesOrGuarantees(text, lang) {
-  const s = (text || '').toString().toLowerCase();
-  if (lang === 'hi') {
-    return /(\b100%\b|गारंटी|गारण्टी|पूर्णतः|पूरी तरह|हमेशा|कभी नहीं|स्थायी|तुरंत|अचूक|पक्का|जड़ से|साइड इफेक्ट नहीं)/i.test(s);
-  }
-  return /\b(100%|guarantee|guaranteed|sure shot|instant|permanent|always|never|no side effects|cure|cures|cured)\b/i.test(s);
-}
-
 function isFixedLineValid(fixedLine, lang) {
   const s = (fixedLine || '').toString().trim();
   if (!s) return false;
   if (s.includes('\n')) return false;
   if (hasAbsolutesOrGuarantees(s, lang)) return false;
-  if (lang === 'hi') return looksHindi(s);
-  return looksEnglish(s);
+  return isInLanguage(s, lang);
 }
 
 function splitIntoCandidateLines(inputText) {
@@ -120,7 +117,7 @@ function pickBestLineFromText({ inputText, evidenceCandidate, descriptionCandida
   }
   const desc = (descriptionCandidate || '').toString();
   const tokens = desc
-    .replace(/[^a-zA-Z0-9\u0900-\u097F\s]/g, ' ')
+    .replace(/[^a-zA-Z0-9\u0900-\u0D7F\s]/g, ' ')
     .split(/\s+/)
     .map(t => t.trim())
     .filter(t => t.length >= 4)
@@ -155,41 +152,6 @@ function pickBestLineFromText({ inputText, evidenceCandidate, descriptionCandida
   return candidate;
 }
 
-function deterministicFixedLineFallback({ originalLine, lang, isOptionB = false }) {
-  const line = (originalLine || '').toString().trim();
-  if (lang === 'hi') {
-    // Neutral informational fallback (deterministic)
-    if (/(100%|गारंटी|गारण्टी|हमेशा|कभी नहीं|स्थायी|तुरंत|अचूक|पक्का)/i.test(line)) {
-      return isOptionB 
-        ? 'परिणाम व्यक्ति के अनुसार अलग हो सकते हैं, योग्य स्वास्थ्य विशेषज्ञ से परामर्श करें।'
-        : 'परिणाम व्यक्ति की चिकित्सकीय स्थिति और क्लिनिकल मूल्यांकन के अनुसार अलग हो सकते हैं।';
-    }
-    if (/(इलाज|उपचार|ठीक|जड़ से|दावा|क्योर)/i.test(line)) {
-      return isOptionB
-        ? 'यह जानकारी सामान्य है और चिकित्सकीय सलाह का विकल्प नहीं है।'
-        : 'यह जानकारी सामान्य है; निदान और उपचार के लिए योग्य स्वास्थ्य विशेषज्ञ से परामर्श आवश्यक है।';
-    }
-    return isOptionB
-      ? 'योग्य स्वास्थ्य विशेषज्ञ से परामर्श करने की सलाह दी जाती है।'
-      : 'अधिक जानकारी के लिए योग्य स्वास्थ्य विशेषज्ञ से परामर्श करें।';
-  }
-
-  // English fallbacks
-  if (/\b(100%|guarantee|guaranteed|always|never|instant|permanent)\b/i.test(line)) {
-    return isOptionB
-      ? 'Results may vary by individual and should be evaluated by a healthcare professional.'
-      : 'Outcomes vary by individual conditions and clinical evaluation.';
-  }
-  if (/\b(cure|cures|cured)\b/i.test(line)) {
-    return isOptionB
-      ? 'This information is general and requires consultation with a qualified healthcare provider.'
-      : 'This information is general and is not a substitute for professional medical advice.';
-  }
-  return isOptionB
-    ? 'Individual results may vary. Please consult a qualified healthcare professional.'
-    : 'Outcomes vary by individual conditions and clinical evaluation.';
-}
-
 function formatRecommendedFixSingle({ originalLine, fixedLine, fixedLineB }) {
   // Generate second option if not provided (variation of first option)
   let optionB = fixedLineB;
@@ -213,26 +175,83 @@ function formatRecommendedFixSingle({ originalLine, fixedLine, fixedLineB }) {
   ].join('\n');
 }
 
-function deriveGuidanceFallbackShort({ regulation, lang }) {
-  const reg = (regulation || '').toString().toLowerCase();
-  if (lang === 'hi') {
-    if (reg.includes('dpdp') || reg.includes('data')) {
-      return 'यह पंक्ति बिना स्पष्ट उद्देश्य/सहमति के व्यक्तिगत डेटा के उपयोग का संकेत देती है, जिससे गोपनीयता और दुरुपयोग का जोखिम बढ़ता है। नियामक ढांचा डेटा-सुरक्षा और उपयोगकर्ता-संरक्षण पर केंद्रित है।';
-    }
-    return 'यह पंक्ति अतिरंजित/निश्चित परिणाम का संकेत देती है, जिससे मरीज भ्रामक अपेक्षाएँ बना सकते हैं। स्वास्थ्य विज्ञापन मानक उपभोक्ता सुरक्षा और गैर-भ्रामक संचार पर आधारित हैं।';
-  }
-  if (reg.includes('dpdp') || reg.includes('data')) {
-    return 'This line indicates personal data handling without clear purpose/consent, which undermines privacy protections and increases misuse risk. Data protection rules focus on preventing harm from unlawful or excessive processing.';
+const STRICT_REVIEW_INSTRUCTIONS = `PRE-PUBLICATION REVIEW (STRICT):
+- This content is about to be published. Report every line a regulator, ASCI reviewer or patient could reasonably question, including borderline wording, implied claims and missing disclosures.
+- When unsure between two severities, choose the higher one.`;
+
+/**
+ * Deep mode second pass: the model reviews its own first-pass issues against the content,
+ * dropping unsupported ones, correcting severities and adding anything it missed.
+ * Falls back to the first pass when the critique cannot be parsed.
+ */
+async function critiqueAudit({ provider, systemPrompt, inputText, languageRule, firstPass }) {
+  const prompt = `You are a senior reviewer checking a junior auditor's compliance review of Indian healthcare advertising.
+
+FIRST-PASS REVIEW (JSON):
+${JSON.stringify({ summary: firstPass?.summary || '', issues: firstPass?.issues || [] }, null, 2)}
+
+TASK:
+- Check every issue against the CONTENT. Drop issues whose evidence_line is not in the content or is not actually non-compliant.
+- Correct the severity of any issue that is over- or under-rated.
+- Add issues the first pass missed (same rules for evidence_line, guidance, fixed_line and fixed_line_b as the first pass).
+- Keep issues that are correct unchanged.
+- ${languageRule}
+
+Return STRICT JSON ONLY with the same schema as the first-pass review:
+{ "summary": "...", "issues": [ { "severity", "regulation", "description", "evidence_line", "guidance", "fixed_line", "fixed_line_b" } ] }
+(plus summary_translation / description_translation / guidance_translation when the first pass has them)
+
+CONTENT:
+${inputText}`;
+
+  try {
+    const responseText = await provider.complete({
+      task: 'audit-critique',
+      system: systemPrompt,
+      prompt,
+      json: true,
+      maxTokens: 2000
+    });
+    const reviewed = JSON.parse(responseText);
+    if (!Array.isArray(reviewed?.issues)) throw new Error('critique returned no issues array');
+    console.log(`🔁 Deep review: ${(firstPass?.issues || []).length} → ${reviewed.issues.length} issue(s)`);
+    return reviewed;
+  } catch (err) {
+    console.warn(`⚠️  Deep review pass failed, keeping first-pass issues: ${err.message}`);
+    return firstPass;
   }
-  return 'This line presents an absolute or misleading claim that can distort patient expectations and decision-making. Healthcare advertising standards aim to prevent consumer harm from overpromising outcomes.';
 }
 
-async function runRewriteAudit({ inputText, sourceType, metadata = {} }) {
+async function runRewriteAudit({ inputText, sourceType, metadata = {}, options = {} }) {
   const detectedLang = detectContentLanguage(inputText);
   const langName = languageName(detectedLang);
-  const systemPrompt = buildLanguageSystemPrompt({ lang: detectedLang, langName });
-  const { getOpenAIClient } = await import('./openaiClient.js');
-  const client = getOpenAIClient();
+  // Summary and guidance may be requested in another language (or bilingual); evidence and fixes keep the content's
+  const output = resolveOutputLanguage(options.outputLanguage, detectedLang);
+  const outputName = languageName(output.lang);
+  const systemPrompt = buildLanguageSystemPrompt({ lang: detectedLang, langName, output });
+  const languageRule = output.lang === detectedLang && !output.translation
+    ? `Output ONLY in ${langName}. Do NOT mix languages. Do NOT add translations.`
+    : `Write evidence_line, fixed_line and fixed_line_b in ${langName}; write summary, description and guidance in ${outputName}.${output.translation ? ` Add summary_translation, description_translation and guidance_translation in ${languageName(output.translation)}.` : ''}`;
+  const mode = resolveAuditMode(options.mode);
+  // Quick mode never calls the model, so it works without an API key
+  const provider = mode.llmPasses > 0 ? requireLLMProvider(options.provider) : null;
+  const profile = resolveIndustryProfile(options.industry);
+
+  // Deterministic rule packs run first so obvious violations survive a model miss
+  const customPacks = await loadOrganizationRulePacks(options.organizationId);
+  const rulePacks = [...getRulePacks(profile.rulePacks), profileDisclaimerPack(profile), ...customPacks];
+  const ruleFindings = runRulePacks(inputText, { packs: rulePacks, lang: output.lang, contentLang: detectedLang });
+  // Rule guidance is the same for every hit of a rule, so the translation can be looked up by id
+  const ruleGuidanceTranslation = output.translation
+    ? new Map(runRulePacks(inputText, { packs: rulePacks, lang: output.translation, contentLang: detectedLang }).map(f => [f.rule_id, f.guidance]))
+    : null;
+
+  // Rewrites must not reintroduce wording the organisation has banned
+  const forbiddenPacks = customPacks.map(p => ({ ...p, rules: p.rules.filter(r => r.type === 'forbidden_phrase') }));
+  const usesForbiddenWording = line => runRulePacks(line, { packs: forbiddenPacks, contentLang: detectedLang }).length > 0;
+  if (ruleFindings.length > 0) {
+    console.log(`📏 Rule packs matched ${ruleFindings.length} finding(s): ${[...new Set(ruleFindings.map(f => f.rule_id))].join(', ')}`);
+  }
 
   const prompt = `You are a compliance auditor for Indian healthcare advertising and data protection.
 
@@ -261,7 +280,8 @@ STRICT RULES FOR FIXED LINES:
 - Both options must be in the SAME language as the detected content
 
 LANGUAGE RULE (NON-NEGOTIABLE):
-- Output ONLY in ${langName}. Do NOT mix languages. Do NOT add translations.
+- ${languageRule}
+${profile.promptContext ? `\nINDUSTRY CONTEXT (${profile.name}):\n${profile.promptContext}\n` : ''}${mode.strict ? `\n${STRICT_REVIEW_INSTRUCTIONS}\n` : ''}
 
 Return STRICT JSON ONLY with this schema:
 {
@@ -274,55 +294,87 @@ Return STRICT JSON ONLY with this schema:
       "evidence_line": "EXACT single line from content",
       "guidance": "WHY (1-2 sentences, explanation only)",
       "fixed_line": "Compliant replacement line (single line) - Option A",
-      "fixed_line_b": "Alternative compliant replacement line (single line) - Option B"
+      "fixed_line_b": "Alternative compliant replacement line (single line) - Option B"${output.translation ? `,
+      "description_translation": "description in ${languageName(output.translation)}",
+      "guidance_translation": "guidance in ${languageName(output.translation)}"` : ''}
     }
-  ]
+  ]${output.translation ? `,
+  "summary_translation": "summary in ${languageName(output.translation)}"` : ''}
 }
 
 CONTENT:
 ${inputText}`;
 
-  const completion = await client.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: prompt }
-    ],
-    temperature: 0,
-    top_p: 1,
-    max_tokens: 1600,
-    response_format: { type: 'json_object' }
+  let parsed = { summary: '', issues: [] };
+  if (mode.llmPasses > 0) {
+    const responseText = await provider.complete({
+      task: 'rewrite-audit',
+      system: systemPrompt,
+      prompt,
+      json: true,
+      maxTokens: 1600
+    });
+    parsed = JSON.parse(responseText);
+  }
+  if (mode.llmPasses > 1) {
+    parsed = await critiqueAudit({ provider, systemPrompt, inputText, languageRule, firstPass: parsed });
+  }
+  const issues = mergeRuleFindings(Array.isArray(parsed?.issues) ? parsed.issues : [], ruleFindings, {
+    text: inputText,
+    getEvidence: it => it?.evidence_line,
+    toIssue: f => ({
+      severity: f.severity,
+      regulation: f.rule_pack,
+      description: f.description,
+      evidence_line: f.evidence,
+      guidance: f.guidance,
+      guidance_translation: ruleGuidanceTranslation?.get(f.rule_id)
+    })
   });
-
-  const responseText = completion.choices[0]?.message?.content || '';
-  const parsed = JSON.parse(responseText);
-  const issues = Array.isArray(parsed?.issues) ? parsed.issues : [];
-  const summary = (parsed?.summary || '').toString().trim();
+  const summary = withTranslation((parsed?.summary || '').toString().trim(), parsed?.summary_translation, output.translation)
+    || (mode.llmPasses === 0 ? `Quick rule check found ${issues.length} issue(s).` : '');
 
   const normalizedViolations = issues.map((it, idx) => {
     const severity = toTitleSeverity(it?.severity);
     const regulation = (it?.regulation || '').toString().trim() || 'General';
-    const description = (it?.description || '').toString().trim() || 'Compliance issue detected';
+    const description = withTranslation((it?.description || '').toString().trim(), it?.description_translation, output.translation)
+      || 'Compliance issue detected';
 
-    const evidenceLine = pickBestLineFromText({
+    // Rule findings already carry the exact sentence around the match
+    const evidenceLine = (it.detected_by === 'rules' ? it.evidence_line : pickBestLineFromText({
       inputText,
       evidenceCandidate: it?.evidence_line,
       descriptionCandidate: description
-    }).replace(/\s+/g, ' ').trim();
+    })).replace(/\s+/g, ' ').trim();
+    // Rule matches carry exact offsets; otherwise align the model's quote (or the picked line) with the text
+    const span = Number.isInteger(it.start)
+      ? { start: it.start, end: it.end, match: 'exact' }
+      : locateEvidenceSpan(inputText, stripWrappingQuotes(it?.evidence_line)) || locateEvidenceSpan(inputText, evidenceLine);
 
     let guidance = (it?.guidance || '').toString().trim();
+    let guidanceTranslation = (it?.guidance_translation || '').toString().trim();
     if (!isGuidanceValid(guidance)) {
-      guidance = deriveGuidanceFallbackShort({ regulation, lang: detectedLang });
+      guidance = fallbackGuidance({ regulation, lang: output.lang });
+      guidanceTranslation = '';
+    }
+    if (output.translation) {
+      if (!isGuidanceValid(guidanceTranslation)) {
+        guidanceTranslation = fallbackGuidance({ regulation, lang: output.translation });
+      }
+      guidance = withTranslation(guidance, guidanceTranslation, output.translation);
     }
 
     let fixedLine = (it?.fixed_line || '').toString().trim().replace(/\s+/g, ' ');
     let fixedLineB = (it?.fixed_line_b || '').toString().trim().replace(/\s+/g, ' ');
+    const personalData = it.pack_id === PERSONAL_DATA_PACK_ID ? personalDataFixes(evidenceLine) : null;
     
-    if (!isFixedLineValid(fixedLine, detectedLang)) {
-      fixedLine = deterministicFixedLineFallback({ originalLine: evidenceLine, lang: detectedLang, isOptionB: false });
+    if (!isFixedLineValid(fixedLine, detectedLang) || usesForbiddenWording(fixedLine)) {
+      fixedLine = personalData?.optionA
+        || fallbackFixedLine({ originalLine: evidenceLine, lang: detectedLang, isOptionB: false });
     }
-    if (!isFixedLineValid(fixedLineB, detectedLang)) {
-      fixedLineB = deterministicFixedLineFallback({ originalLine: evidenceLine, lang: detectedLang, isOptionB: true });
+    if (!isFixedLineValid(fixedLineB, detectedLang) || usesForbiddenWording(fixedLineB)) {
+      fixedLineB = personalData?.optionB
+        || fallbackFixedLine({ originalLine: evidenceLine, lang: detectedLang, isOptionB: true });
     }
 
     const recommendedFix = formatRecommendedFixSingle({
@@ -342,39 +394,41 @@ ${inputText}`;
       problematicContent: evidenceLine, // UI wraps in quotes already
       suggestion: guidance,
       solution: recommendedFix,
-      index: idx + 1
+      index: idx + 1,
+      // Evidence offsets into inputText (null when it cannot be placed) and provenance
+      start: span ? span.start : null,
+      end: span ? span.end : null,
+      evidence_match: span ? span.match : null,
+      detected_by: it.detected_by,
+      ...(it.rule_id ? { rule_id: it.rule_id, pack_id: it.pack_id } : {}),
+      ...(it.schedule_entries ? { schedule_entries: it.schedule_entries } : {})
     };
   });
 
-  // Deterministic risk score from severities (start 100 subtract)
-  const risk_score = (() => {
-    if (!Array.isArray(normalizedViolations) || normalizedViolations.length === 0) return 100;
-    let score = 100;
-    for (const v of normalizedViolations) {
-      const s = (v?.severity || '').toString().toLowerCase();
-      if (s === 'high' || s === 'critical') score -= 20;
-      else if (s === 'medium') score -= 10;
-      else if (s === 'low') score -= 5;
-      else score -= 10;
-    }
-    return Math.min(100, Math.max(0, score));
-  })();
-
-  const risk_level = risk_score >= 70 ? 'High' : risk_score >= 40 ? 'Medium' : 'Low';
-  const status = risk_score >= 70 ? 'NON_COMPLIANT' : 'COMPLIANT';
+  // Deterministic risk score (0 = no findings, 100 = highest risk; weights from the industry profile)
+  const { score: risk_score, level, breakdown } = scoreViolations(normalizedViolations, profile);
+  const risk_level = toTitleSeverity(level);
+  // Pre-publication mode blocks on any finding at or above its threshold, whatever the score
+  const publication = publicationCheck(mode, normalizedViolations);
+  const status = publication.publication_blocked ? 'NON_COMPLIANT' : statusForRiskLevel(level);
   const recommended_actions = normalizedViolations.map(v => v.solution).filter(Boolean).slice(0, 5);
 
   return {
     risk_level,
     risk_score,
-    compliance_flags: [],
+    score_breakdown: breakdown,
+    compliance_flags: [...new Set(normalizedViolations.map(v => v.rule_id).filter(Boolean))],
     summary: summary || 'Audit completed',
     recommended_actions,
     detected_content_types: [sourceType || 'text'],
     violations: normalizedViolations,
     status,
     explanation: summary || 'Audit completed',
-    recommended_fix: recommended_actions[0] || ''
+    recommended_fix: recommended_actions[0] || '',
+    rule_packs: rulePacks.filter(p => p.rules.length > 0).map(p => ({ id: p.id, version: p.version })),
+    industry_profile: profileSummary(profile),
+    mode: modeSummary(mode),
+    ...publication
   };
 }
 
@@ -772,10 +826,12 @@ function normalizeViolations({ violations, inputText }) {
  * @param {string} inputText - Text content to audit (extracted from any source)
  * @param {string} sourceType - Source type: 'screen' | 'voice' | 'scanner' | 'research' | 'manual'
  * @param {Object} metadata - Optional metadata (sourceId, filename, etc.)
+ * @param {Object} options - Engine options { provider: 'openai' | 'gemini' | 'mock', organizationId, industry, mode, outputLanguage }
+ *   outputLanguage: 'source' (default) | 'bilingual' | language code for summary and guidance (see contentLanguages.js)
  * @returns {Promise<Object>} Audit result with compliance status
  * @throws {Error} Error object if API call fails
  */
-export async function auditText(inputText, sourceType = 'manual', metadata = {}) {
+export async function auditText(inputText, sourceType = 'manual', metadata = {}, options = {}) {
   // Minimal validation
   if (!inputText || typeof inputText !== 'string' || inputText.trim().length === 0) {
     throw new Error('Input text is required and must be a non-empty string');
@@ -789,7 +845,7 @@ export async function auditText(inputText, sourceType = 'manual', metadata = {})
 
   try {
     console.log(`🧾 Audit rewrite engine (sourceType: ${sourceType}, text length: ${inputText.length})`);
-    const result = await runRewriteAudit({ inputText, sourceType, metadata });
+    const result = await runRewriteAudit({ inputText, sourceType, metadata, options });
     return {
       ...result,
       rules_triggered: Array.isArray(result.compliance_flags) ? result.compliance_flags : [],
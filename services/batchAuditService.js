@@ -0,0 +1,227 @@
+/**
+ * BATCH AUDITS
+ *
+ * Audits a whole campaign in one request: uploaded files, ZIP archives (expanded
+ * to their files) and JSON items ({ text } or { url }). Each item goes through the
+ * matching extractor and the shared audit pipeline, a few at a time, and is saved
+ * as its own Audit tagged with the batch id.
+ */
+
+import mongoose from 'mongoose';
+import { SOURCE_TYPES, runSourceAudit, buildAuditDoc } from './auditPipeline.js';
+import { saveAudit } from './mongodbService.js';
+import { isZipFile, readZipEntries, ZIP_LIMITS } from './zipService.js';
+
+export const BATCH_MAX_ITEMS = Number(process.env.AUDIT_BATCH_MAX_ITEMS) || 50;
+const BATCH_CONCURRENCY = Math.max(1, Number(process.env.AUDIT_BATCH_CONCURRENCY) || 3);
+
+const IMAGE_EXTS = ['png', 'jpg', 'jpeg', 'webp', 'bmp', 'tif', 'tiff', 'gif'];
+const MEDIA_EXTS = ['mp3', 'wav', 'm4a', 'ogg', 'webm', 'mp4', 'mov', 'mpeg', 'mpga'];
+
+const MIME_BY_EXT = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  m4a: 'audio/mp4',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime'
+};
+
+function batchError(message, code, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function extensionOf(filename) {
+  return (filename || '').split('.').pop()?.toLowerCase() || '';
+}
+
+/**
+ * Pipeline input for an uploaded file, routed to the extractor for its type
+ */
+function fileItem({ buffer, originalname, mimetype }, label) {
+  const ext = extensionOf(originalname);
+  const mimeType = mimetype && mimetype !== 'application/octet-stream' ? mimetype : (MIME_BY_EXT[ext] || mimetype);
+
+  if (mimeType?.startsWith('image/') || IMAGE_EXTS.includes(ext)) {
+    return { label, sourceType: 'screen', sourceData: { imageData: buffer }, metadata: { filename: originalname } };
+  }
+  // Video files are recognised by the voice pipeline and also get keyframe OCR (see auditPipeline.js)
+  if (mimeType?.startsWith('audio/') || mimeType?.startsWith('video/') || MEDIA_EXTS.includes(ext)) {
+    return { label, sourceType: 'voice', file: { buffer, originalname, mimetype: mimeType }, metadata: { filename: originalname } };
+  }
+  return { label, sourceType: 'scanner', sourceData: { fileData: buffer, filename: originalname, mimeType }, metadata: { filename: originalname } };
+}
+
+/**
+ * Pipeline input for a JSON item: { text }, { url } or { sourceType, sourceData }
+ */
+function jsonItem(item, index) {
+  if (typeof item === 'string') {
+    return /^https?:\/\//i.test(item.trim())
+      ? { label: item.trim(), sourceType: 'research', sourceData: { url: item.trim() } }
+      : { label: `Text #${index + 1}`, sourceType: 'manual', sourceData: { text: item } };
+  }
+  if (!item || typeof item !== 'object') {
+    throw batchError(`items[${index}] must be a string or an object`, 'INVALID_BATCH_ITEM');
+  }
+
+  const metadata = item.metadata && typeof item.metadata === 'object' ? item.metadata : {};
+  const label = item.label || metadata.title || item.url || `Text #${index + 1}`;
+  if (typeof item.text === 'string') {
+    return { label, sourceType: 'manual', sourceData: { text: item.text }, metadata };
+  }
+  if (typeof item.url === 'string') {
+    return { label, sourceType: 'research', sourceData: { url: item.url }, metadata };
+  }
+  if (SOURCE_TYPES.includes(item.sourceType)) {
+    return { label, sourceType: item.sourceType, sourceData: item.sourceData || {}, metadata };
+  }
+  throw batchError(`items[${index}] needs text, url or a valid sourceType`, 'INVALID_BATCH_ITEM');
+}
+
+/**
+ * Turn uploaded files (ZIPs expanded) and JSON items into pipeline inputs
+ *
+ * @param {Object} input - { files?: Array<{buffer, originalname, mimetype}>, items?: Array }
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} code EMPTY_BATCH (400), INVALID_BATCH_ITEM (400) or TOO_MANY_ITEMS (413); ZIP errors from readZipEntries
+ *   (ARCHIVE_TOO_LARGE once the batch's archives together unpack past ZIP_LIMITS.maxTotalBytes)
+ */
+export async function expandBatchItems({ files = [], items = [] }) {
+  const expanded = [];
+  // Archives are unpacked into memory, so all of a batch's archives share one unpacked-size budget
+  let unpackedBytes = 0;
+
+  for (const file of files) {
+    if (isZipFile(file.originalname, file.mimetype)) {
+      const entries = await readZipEntries(file.buffer, {
+        maxEntries: BATCH_MAX_ITEMS,
+        maxTotalBytes: ZIP_LIMITS.maxTotalBytes - unpackedBytes
+      });
+      for (const entry of entries) {
+        unpackedBytes += entry.buffer.length;
+        expanded.push({
+          ...fileItem({ buffer: entry.buffer, originalname: entry.name }, `${file.originalname}/${entry.path}`),
+          archive: file.originalname
+        });
+      }
+    } else {
+      expanded.push(fileItem(file, file.originalname));
+    }
+  }
+
+  if (!Array.isArray(items)) {
+    throw batchError('items must be an array', 'INVALID_BATCH_ITEM');
+  }
+  items.forEach((item, i) => expanded.push(jsonItem(item, i)));
+
+  if (expanded.length === 0) {
+    throw batchError('Upload files (or a ZIP) or send an items array', 'EMPTY_BATCH');
+  }
+  if (expanded.length > BATCH_MAX_ITEMS) {
+    throw batchError(`A batch can contain at most ${BATCH_MAX_ITEMS} items (got ${expanded.length})`, 'TOO_MANY_ITEMS', 413);
+  }
+  return expanded;
+}
+
+// Run fn over items with at most `limit` in flight, keeping results in input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Audit every item of a batch and save each result
+ * Item failures are reported per item; they do not fail the batch.
+ *
+ * @param {Array<Object>} items - From expandBatchItems
+ * @param {Object} options - { userId, userEmail, organizationId, provider, industry, mode, outputLanguage, metadata }
+ * @returns {Promise<Object>} Batch summary { id, total, completed, failed, worst, items }
+ */
+export async function runBatchAudit(items, options) {
+  const { userId, userEmail, organizationId, provider, industry, mode, outputLanguage, metadata = {} } = options;
+  const batchId = new mongoose.Types.ObjectId().toString();
+  console.log(`📦 Batch ${batchId}: auditing ${items.length} item(s), ${BATCH_CONCURRENCY} at a time`);
+
+  const results = await mapWithConcurrency(items, BATCH_CONCURRENCY, async (item, index) => {
+    const input = {
+      userId,
+      userEmail,
+      organizationId,
+      provider,
+      industry,
+      mode,
+      outputLanguage,
+      sourceType: item.sourceType,
+      sourceData: item.sourceData,
+      file: item.file,
+      metadata: {
+        ...metadata,
+        ...item.metadata,
+        sourceId: item.metadata?.sourceId || item.label,
+        archive: item.archive,
+        batchId,
+        batchIndex: index
+      }
+    };
+    const summary = { index, label: item.label, sourceType: item.sourceType };
+
+    try {
+      const result = await runSourceAudit(input);
+      const saved = await saveAudit(buildAuditDoc(input, result));
+      const { auditResult } = result;
+      return {
+        ...summary,
+        status: 'completed',
+        auditId: saved._id.toString(),
+        auditStatus: auditResult.status,
+        risk_score: auditResult.risk_score,
+        violations: (auditResult.violations || []).length,
+        publication_blocked: auditResult.publication_blocked,
+        blocking_violations: auditResult.blocking_violations
+      };
+    } catch (err) {
+      if (!(err.status && err.status < 500)) {
+        console.error(`❌ Batch ${batchId} item ${index} (${item.label}) failed:`, err.message);
+      }
+      return { ...summary, status: 'failed', error: { code: err.code || 'AUDIT_ERROR', message: err.message } };
+    }
+  });
+
+  const completed = results.filter(r => r.status === 'completed');
+  const worst = completed.reduce((acc, r) => (!acc || (r.risk_score ?? 0) > (acc.risk_score ?? 0) ? r : acc), null);
+  console.log(`✅ Batch ${batchId}: ${completed.length}/${results.length} audited`);
+
+  return {
+    id: batchId,
+    total: results.length,
+    completed: completed.length,
+    failed: results.length - completed.length,
+    nonCompliant: completed.filter(r => r.auditStatus === 'NON_COMPLIANT').length,
+    worst: worst && {
+      index: worst.index,
+      label: worst.label,
+      auditId: worst.auditId,
+      auditStatus: worst.auditStatus,
+      risk_score: worst.risk_score
+    },
+    items: results
+  };
+}
@@ -1,9 +1,21 @@
-import axios from 'axios';
 import fs from 'fs-extra';
 import path from 'path';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
-import { getOpenAIClient, transcribeWithWhisper } from './openaiClient.js';
+import { transcribeWithWhisper } from './openaiClient.js';
+import { requireLLMProvider } from './llm/index.js';
 import { auditText, detectContentLanguage } from './auditService.js';
+import { languageName, resolveOutputLanguage, fallbackFixedLine } from './contentLanguages.js';
+import { extractWebPage, locateEvidenceBlock } from './webExtractionService.js';
+import { extractFromVideo } from './sourceExtractionService.js';
+import { locateTimelineEntry } from './videoTimelineService.js';
+import { locateTextRange } from './attachmentService.js';
+import { resolveIndustryProfile, profileSummary, profileDisclaimerPack } from './industryProfiles.js';
+import { getRulePacks, runRulePacks, mergeRuleFindings } from './rules/index.js';
+import { loadOrganizationRulePacks } from './customRuleService.js';
+import { personalDataFixes } from './piiService.js';
+import { scoreViolations } from './riskScoring.js';
+import { resolveAuditMode, modeSummary, publicationCheck } from './auditModes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,29 +49,12 @@ const EXT_BY_MIME = {
 };
 
 /* ------------------------------------------------------------------
-   RISK SCORING (DETERMINISTIC – NO AI)
+   RISK SCORING (DETERMINISTIC – NO AI, see riskScoring.js)
 ------------------------------------------------------------------- */
 
-function normalizeRiskLevel(level, score) {
-  const normalized = String(level || '').toUpperCase();
-  if (['LOW', 'MEDIUM', 'HIGH'].includes(normalized)) return normalized;
-  if (score >= 70) return 'HIGH';
-  if (score >= 40) return 'MEDIUM';
-  return 'LOW';
-}
-
-function calculateDeterministicRiskScore(violations) {
-  if (!Array.isArray(violations) || violations.length === 0) return 100;
-
-  let score = 100;
-  for (const v of violations) {
-    const sev = (v?.severity || 'medium').toString().toLowerCase();
-    if (sev === 'high' || sev === 'critical') score -= 20;
-    else if (sev === 'medium') score -= 10;
-    else if (sev === 'low') score -= 5;
-    else score -= 10;
-  }
-  return Math.min(100, Math.max(0, score));
+function riskFields(violations, profile) {
+  const { score, level, breakdown } = scoreViolations(violations, profile);
+  return { riskScore: score, riskLevel: level, scoreBreakdown: breakdown };
 }
 
 /* ------------------------------------------------------------------
@@ -76,10 +71,43 @@ function splitTranscriptIntoSentences(transcript) {
     .filter(Boolean);
 }
 
-function selectBestEvidenceSentence(transcript, violation) {
+function capEvidenceLength(sentence, maxChars) {
+  if (sentence.length <= maxChars) return sentence;
+  // Trim at word boundary when possible.
+  const sliced = sentence.slice(0, maxChars + 1);
+  const lastSpace = sliced.lastIndexOf(' ');
+  return (lastSpace > 0 ? sliced.slice(0, lastSpace) : sliced.slice(0, maxChars)).trim();
+}
+
+/**
+ * Pick the transcript sentence that best supports a violation, keeping the
+ * Whisper segment it belongs to so the clip can be played back.
+ *
+ * @param {Array} segments - Whisper segments [{ index, startMs, endMs, text }]
+ * @param {Object} violation - Violation from the audit engine
+ * @returns {{sentence: string, segment: Object|null}}
+ */
+function selectBestEvidenceSentence(segments, violation) {
   const MAX_CHARS = 250;
-  const sentences = splitTranscriptIntoSentences(transcript);
-  if (sentences.length === 0) return '';
+  const candidates = [];
+  (segments || []).forEach(segment => {
+    splitTranscriptIntoSentences(segment.text).forEach(sentence => {
+      candidates.push({ sentence, segment });
+    });
+  });
+  if (candidates.length === 0) return { sentence: '', segment: null };
+
+  // Prefer the sentence the model quoted, when it can be found verbatim.
+  const quoted = (violation?.evidence || '').toString().replace(/^["'\s]+|["'\s]+$/g, '').toLowerCase();
+  if (quoted) {
+    const direct = candidates.find(c => {
+      const low = c.sentence.toLowerCase();
+      return low.includes(quoted) || (quoted.length >= 20 && quoted.includes(low));
+    });
+    if (direct) {
+      return { sentence: capEvidenceLength(direct.sentence, MAX_CHARS), segment: direct.segment };
+    }
+  }
 
   // Build keywords from description + guidance/suggestion.
   const description = (violation?.description || violation?.violation || '').toString();
@@ -87,71 +115,69 @@ function selectBestEvidenceSentence(transcript, violation) {
   const source = `${description} ${guidance}`;
 
   const tokens = source
-    .replace(/[^a-zA-Z0-9\u0900-\u097F\s]/g, ' ')
+    .replace(/[^a-zA-Z0-9\u0900-\u0D7F\s]/g, ' ')
     .split(/\s+/)
     .map(t => t.trim())
     .filter(t => t.length >= 4)
     .slice(0, 12);
 
-  let bestSentence = sentences[0];
+  let best = candidates[0];
   let bestScore = -1;
 
   if (tokens.length > 0) {
-    sentences.forEach(sentence => {
-      const low = sentence.toLowerCase();
+    candidates.forEach(candidate => {
+      const low = candidate.sentence.toLowerCase();
       const score = tokens.reduce(
         (acc, t) => acc + (low.includes(t.toLowerCase()) ? 1 : 0),
         0
       );
       if (score > bestScore) {
         bestScore = score;
-        bestSentence = sentence;
+        best = candidate;
       }
     });
   }
 
   // If no token-based match, fall back to the shortest sentence (more concise).
   if (bestScore <= 0) {
-    bestSentence = sentences.reduce(
+    best = candidates.reduce(
       (shortest, current) =>
-        current.length < shortest.length ? current : shortest,
-      sentences[0]
+        current.sentence.length < shortest.sentence.length ? current : shortest,
+      candidates[0]
     );
   }
 
-  // Hard cap length to 250 characters (trim at word boundary when possible).
-  if (bestSentence.length > MAX_CHARS) {
-    const sliced = bestSentence.slice(0, MAX_CHARS + 1);
-    const lastSpace = sliced.lastIndexOf(' ');
-    bestSentence = (lastSpace > 0 ? sliced.slice(0, lastSpace) : sliced.slice(0, MAX_CHARS)).trim();
-  }
-
-  return bestSentence;
+  // Hard cap length to 250 characters.
+  return { sentence: capEvidenceLength(best.sentence, MAX_CHARS), segment: best.segment };
 }
 
 /* ------------------------------------------------------------------
    HELPERS
 ------------------------------------------------------------------- */
 
-function extractTextFromHtml(html) {
-  if (!html) return '';
-  return html
-    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
-    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-async function fetchUrlText(url) {
+async function fetchUrlPage(url) {
   try {
-    const res = await axios.get(url, { timeout: 20000 });
-    return extractTextFromHtml(String(res.data)).slice(0, 30000);
-  } catch {
-    return '';
+    return await extractWebPage(url);
+  } catch (err) {
+    console.warn(`⚠️  URL extraction failed for ${url}: ${err.message}`);
+    return null;
   }
 }
 
+/**
+ * Hash of the uploaded media, stored on the audit because only a placeholder
+ * ('[Video content]', '[Image]') is kept as its extractedText
+ */
+function mediaHash(buffer, basis) {
+  if (!buffer || buffer.length === 0) return null;
+  return { sha256: createHash('sha256').update(buffer).digest('hex'), basis };
+}
+
+function dataUrlBytes(dataUrl) {
+  const match = /^data:[^;,]*;base64,(.+)$/.exec(dataUrl || '');
+  return match ? Buffer.from(match[1], 'base64') : null;
+}
+
 function bufferToDataUrl(buffer, mimeType) {
   return `data:${mimeType};base64,${buffer.toString('base64')}`;
 }
@@ -178,44 +204,164 @@ async function resolveImageUrl({ content, url, filePath }) {
    VISION AUDIT
 ------------------------------------------------------------------- */
 
-async function runVisionAudit({ imageUrl, detectedLang }) {
-  const client = getOpenAIClient();
-  const system =
-    detectedLang === 'hi'
-      ? 'All output MUST be in Hindi only.'
-      : 'All output MUST be in English only.';
+// The image's language is only known to the model, so 'source' and 'bilingual' are described rather than resolved
+function visionLanguageInstruction(outputLanguage, detectedLang) {
+  if (outputLanguage === 'source' || !outputLanguage) {
+    return `All output MUST be in ${languageName(detectedLang)} only.`;
+  }
+  if (outputLanguage === 'bilingual') {
+    return 'Write every field in the language of the text in the image. '
+      + 'When that language is not English, end summary, description and guidance with a line "(English translation: ...)".';
+  }
+  return `Quote evidence exactly as it appears in the image; write summary, description and guidance in ${languageName(outputLanguage)} only.`;
+}
+
+// Deep mode second pass for images, as auditService.critiqueAudit does for text; keeps the first pass on failure
+async function critiqueVisionAudit({ imageUrl, system, provider, firstPass }) {
+  const prompt = `
+You are a senior reviewer checking a junior auditor's compliance review of an Indian healthcare advertising IMAGE.
+
+FIRST-PASS REVIEW (JSON):
+${JSON.stringify({ summary: firstPass?.summary || '', issues: firstPass?.issues || [] }, null, 2)}
+
+TASK:
+- Check every issue against the IMAGE. Drop issues that are not visible in it or not actually non-compliant.
+- Correct the severity of any issue that is over- or under-rated.
+- Add issues the first pass missed.
+- Keep issues that are correct unchanged.
+
+Return STRICT JSON only, with the same schema as the first-pass review.
+`;
+
+  try {
+    const responseText = await provider.complete({
+      task: 'vision-critique',
+      system,
+      prompt,
+      images: [imageUrl],
+      json: true
+    });
+    const reviewed = JSON.parse(responseText);
+    if (!Array.isArray(reviewed?.issues)) throw new Error('critique returned no issues array');
+    console.log(`🔁 Deep image review: ${(firstPass?.issues || []).length} → ${reviewed.issues.length} issue(s)`);
+    // The transcription of the image comes from the first pass
+    return { ...reviewed, extracted_text: reviewed.extracted_text || firstPass?.extracted_text };
+  } catch (err) {
+    console.warn(`⚠️  Deep image review pass failed, keeping first-pass issues: ${err.message}`);
+    return firstPass;
+  }
+}
+
+async function runVisionAudit({ imageUrl, detectedLang, outputLanguage, provider, mode, profile, rulePacks }) {
+  const system = visionLanguageInstruction(outputLanguage, detectedLang);
+  const laws = [...new Set(rulePacks.filter(p => p.rules.length > 0).map(p => p.lawReference || p.name))];
 
   const prompt = `
 You are Satark AI, a compliance auditor for Indian healthcare advertising.
 
 Analyze the IMAGE content and identify compliance violations.
+${profile.promptContext ? `\nINDUSTRY CONTEXT (${profile.name}):\n${profile.promptContext}\n` : ''}
+Check against: ${laws.join('; ')}
 
 Rules:
 - Identify violations with severity (LOW / MEDIUM / HIGH)
+- Quote the text in the image each violation is about (evidence)
 - Explain WHY (guidance)
 - Provide HOW to fix (recommended_fix)
+- Transcribe all text visible in the image, exactly as written, one line per line (extracted_text)
 - Do NOT generate risk score
 
-Return STRICT JSON only.
+Return STRICT JSON only:
+{ "summary": "...", "extracted_text": "...", "issues": [ { "severity", "description", "evidence", "guidance", "recommended_fix" } ] }
 `;
 
-  const res = await client.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [
-      { role: 'system', content: system },
-      {
-        role: 'user',
-        content: [
-          { type: 'text', text: prompt },
-          { type: 'image_url', image_url: { url: imageUrl } }
-        ]
-      }
-    ],
-    temperature: 0,
-    response_format: { type: 'json_object' }
+  const responseText = await provider.complete({
+    task: 'vision-audit',
+    system,
+    prompt,
+    images: [imageUrl],
+    json: true
+  });
+
+  const firstPass = JSON.parse(responseText);
+  return mode.llmPasses > 1 ? await critiqueVisionAudit({ imageUrl, system, provider, firstPass }) : firstPass;
+}
+
+function ruleFixForImage(finding, lang) {
+  const personalData = finding.pack_id === 'dpdp-personal-data' ? personalDataFixes(finding.evidence) : null;
+  const optionA = personalData?.optionA || fallbackFixedLine({ originalLine: finding.evidence, lang });
+  const optionB = personalData?.optionB || fallbackFixedLine({ originalLine: finding.evidence, lang, isOptionB: true });
+  return `Option A: "${optionA}"\nOption B: "${optionB}"`;
+}
+
+/**
+ * Run the profile's rule packs on the text the vision model read from the image
+ * and merge the findings with its issues, as the text path does
+ * Offsets point into the model's transcription, which is not stored, so they are dropped.
+ */
+function mergeImageRuleFindings(vision, { rulePacks, outputLanguage }) {
+  const issues = Array.isArray(vision?.issues) ? vision.issues : [];
+  const text = (vision?.extracted_text || '').toString();
+  if (!text.trim()) return issues;
+
+  const contentLang = detectContentLanguage(text);
+  const { lang } = resolveOutputLanguage(outputLanguage, contentLang);
+  const findings = runRulePacks(text, { packs: rulePacks, lang, contentLang });
+  return mergeRuleFindings(issues, findings, {
+    text,
+    getEvidence: issue => issue.evidence,
+    toIssue: f => ({
+      severity: f.severity,
+      regulation: f.rule_pack,
+      description: f.description,
+      evidence: f.evidence,
+      guidance: f.guidance,
+      recommended_fix: ruleFixForImage(f, contentLang)
+    })
+  }).map(({ start, end, ...issue }) => issue);
+}
+
+/* ------------------------------------------------------------------
+   VIDEO AUDIT (TRANSCRIPT + ON-SCREEN TEXT)
+------------------------------------------------------------------- */
+
+async function runVideoAudit({ buffer, filename, mimeType, engineOptions, profile }) {
+  const video = await extractFromVideo(buffer, { filename, mimeType });
+
+  if (!video.text || !video.text.trim()) {
+    throw new Error('No speech or on-screen text found in video');
+  }
+
+  const audit = await auditText(video.text, 'voice', {}, engineOptions);
+  const originalViolations = Array.isArray(audit.violations) ? audit.violations : [];
+
+  // Each line of the fused text is one timeline entry, so evidence maps to a time range.
+  // Only a placeholder is stored for videos, so offsets into the fused text are dropped.
+  const processedViolations = originalViolations.map(v => {
+    const entry = locateTextRange(video.timeline, video.text, v) || locateTimelineEntry(video.timeline, v.evidence);
+    const withoutOffsets = { ...v, start: null, end: null, evidence_match: null };
+    if (!entry) return withoutOffsets;
+    return {
+      ...withoutOffsets,
+      startMs: entry.startMs,
+      endMs: entry.endMs,
+      segmentIndex: entry.source === 'speech' ? entry.segmentIndex : null,
+      evidenceSource: entry.source
+    };
   });
 
-  return JSON.parse(res.choices[0].message.content);
+  return {
+    normalized: {
+      ...riskFields(processedViolations, profile),
+      verdict: audit.summary || 'Audit completed.',
+      violations: processedViolations,
+      recommendations: audit.recommended_actions || []
+    },
+    // Do NOT expose full transcript in UI-visible fields.
+    extractedText: '[Video content]',
+    contentHash: mediaHash(buffer, 'uploaded video file'),
+    transcription: null
+  };
 }
 
 /* ------------------------------------------------------------------
@@ -223,22 +369,46 @@ Return STRICT JSON only.
 ------------------------------------------------------------------- */
 
 export async function runContentAudit(payload) {
-  const { type, content, url, filePath, fileBuffer, filename, mimeType } = payload;
-
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY not set');
+  const mode = resolveAuditMode(payload.mode);
+  if (mode.llmPasses === 0 && payload.type === 'image') {
+    const error = new Error('quick mode needs text to run rules on; image audits require an LLM mode');
+    error.code = 'UNSUPPORTED_MODE';
+    error.status = 400;
+    throw error;
   }
 
+  // Audio/video transcription still uses Whisper, which checks OPENAI_API_KEY itself.
+  // Quick mode runs rules only, so no audit model is required.
+  const provider = mode.llmPasses > 0 ? requireLLMProvider(payload.provider) : null;
+  const profile = resolveIndustryProfile(payload.industry);
+  // Throws INVALID_OUTPUT_LANGUAGE before any extraction work
+  resolveOutputLanguage(payload.outputLanguage, 'en');
+  const engineOptions = {
+    provider: provider?.name || payload.provider,
+    organizationId: payload.organizationId,
+    industry: profile.id,
+    mode: mode.id,
+    outputLanguage: payload.outputLanguage
+  };
+
+  const result = await runContentAuditByType(payload, { provider, engineOptions, profile, mode });
+  result.normalized.profile = profileSummary(profile);
+  result.normalized.mode = modeSummary(mode);
+  Object.assign(result.normalized, publicationCheck(mode, result.normalized.violations));
+  return result;
+}
+
+async function runContentAuditByType(payload, { provider, engineOptions, profile, mode }) {
+  const { type, content, url, filePath, fileBuffer, filename, mimeType } = payload;
+
   /* ---------- TEXT ---------- */
   if (type === 'text') {
-    const audit = await auditText(content || '', 'manual', {});
+    const audit = await auditText(content || '', 'manual', {}, engineOptions);
     const violations = audit.violations || [];
-    const riskScore = calculateDeterministicRiskScore(violations);
 
     return {
       normalized: {
-        riskScore,
-        riskLevel: normalizeRiskLevel(null, riskScore),
+        ...riskFields(violations, profile),
         verdict: audit.summary || 'Audit completed.',
         violations,
         recommendations: audit.recommended_actions || []
@@ -250,23 +420,35 @@ export async function runContentAudit(payload) {
 
   /* ---------- URL ---------- */
   if (type === 'url') {
-    const text = await fetchUrlText(url || content);
+    const page = await fetchUrlPage(url || content);
+    const text = page?.text || '';
     if (!text) throw new Error('Failed to fetch URL content');
 
-    const audit = await auditText(text, 'url', {});
-    const violations = audit.violations || [];
-    const riskScore = calculateDeterministicRiskScore(violations);
+    const audit = await auditText(text, 'research', {}, engineOptions);
+    // Keep the DOM path of the block each violation was found in
+    const violations = (audit.violations || []).map(v => {
+      const block = locateEvidenceBlock(page.blocks, v.evidence);
+      return block ? { ...v, domPath: block.domPath, blockKind: block.kind } : v;
+    });
 
     return {
       normalized: {
-        riskScore,
-        riskLevel: normalizeRiskLevel(null, riskScore),
+        ...riskFields(violations, profile),
         verdict: audit.summary || 'Audit completed.',
         violations,
         recommendations: audit.recommended_actions || []
       },
       extractedText: text,
-      transcription: null
+      transcription: null,
+      page: {
+        finalUrl: page.finalUrl,
+        title: page.title,
+        description: page.description,
+        openGraph: page.openGraph,
+        images: page.images,
+        links: page.links,
+        blocks: page.blocks
+      }
     };
   }
 
@@ -276,19 +458,29 @@ export async function runContentAudit(payload) {
     if (!imageUrl) throw new Error('Image input missing');
 
     const lang = detectContentLanguage(content || '');
-    const vision = await runVisionAudit({ imageUrl, detectedLang: lang });
-    const violations = vision.issues || [];
-    const riskScore = calculateDeterministicRiskScore(violations);
+    const customPacks = await loadOrganizationRulePacks(engineOptions.organizationId);
+    const rulePacks = [...getRulePacks(profile.rulePacks), profileDisclaimerPack(profile), ...customPacks];
+    const vision = await runVisionAudit({
+      imageUrl,
+      detectedLang: lang,
+      outputLanguage: engineOptions.outputLanguage,
+      provider,
+      mode,
+      profile,
+      rulePacks
+    });
+    const violations = mergeImageRuleFindings(vision, { rulePacks, outputLanguage: engineOptions.outputLanguage });
 
     return {
       normalized: {
-        riskScore,
-        riskLevel: normalizeRiskLevel(null, riskScore),
+        ...riskFields(violations, profile),
         verdict: vision.summary || 'Audit completed.',
         violations,
         recommendations: []
       },
       extractedText: '[Image]',
+      // Images audited from a remote URL have no bytes here, so no hash is recorded
+      contentHash: mediaHash(dataUrlBytes(imageUrl), 'uploaded image file'),
       transcription: null
     };
   }
@@ -316,38 +508,58 @@ export async function runContentAudit(payload) {
         throw new Error(`No ${type} file provided. Please upload an audio/video file.`);
       }
 
-      const transcript = await transcribeWithWhisper(buffer, effectiveName);
+      if (type === 'video') {
+        return await runVideoAudit({ buffer, filename: effectiveName, mimeType, engineOptions, profile });
+      }
+
+      const transcription = await transcribeWithWhisper(buffer, effectiveName, {
+        mimeType,
+        throwOnError: true,
+        verbose: true
+      });
+      const transcript = transcription.text;
 
       if (!transcript || !transcript.trim()) {
         throw new Error('Transcription returned empty result');
       }
 
+      // Older responses may lack segments; audit the whole transcript as one untimed segment.
+      const segments = transcription.segments.length > 0
+        ? transcription.segments
+        : [{ index: null, startMs: null, endMs: null, text: transcript }];
+
       // Treat all media transcripts as "voice" audits for consistency
-      const audit = await auditText(transcript, 'voice', {});
+      const audit = await auditText(transcript, 'voice', {}, engineOptions);
       const originalViolations = Array.isArray(audit.violations) ? audit.violations : [];
 
-      // Post-process EACH violation: map to a single sentence/phrase from the transcript.
+      // Post-process EACH violation: map to a single sentence/phrase from the transcript
+      // and the Whisper segment it was spoken in.
+      // The transcript is not stored (see extractedText below), so there are no text offsets.
       const processedViolations = originalViolations.map(v => {
-        const evidenceSentence = selectBestEvidenceSentence(transcript, v);
+        const { sentence, segment } = selectBestEvidenceSentence(segments, v);
         return {
           ...v,
-          evidence: evidenceSentence,
-          problematicContent: evidenceSentence
+          start: null,
+          end: null,
+          evidence_match: null,
+          evidence: sentence,
+          problematicContent: sentence,
+          startMs: segment?.startMs ?? null,
+          endMs: segment?.endMs ?? null,
+          segmentIndex: segment?.index ?? null
         };
       });
 
-      const riskScore = calculateDeterministicRiskScore(processedViolations);
-
       return {
         normalized: {
-          riskScore,
-          riskLevel: normalizeRiskLevel(null, riskScore),
+          ...riskFields(processedViolations, profile),
           verdict: audit.summary || 'Audit completed.',
           violations: processedViolations,
           recommendations: audit.recommended_actions || []
         },
         // Do NOT expose full transcript in UI-visible fields.
         extractedText: type === 'audio' ? '[Audio content]' : '[Video content]',
+        contentHash: mediaHash(buffer, 'uploaded audio file'),
         transcription: null
       };
     } catch (err) {
@@ -0,0 +1,350 @@
+/**
+ * CONTENT LANGUAGES
+ *
+ * Script-based language detection for audited content, plus the per-language wording
+ * the audit falls back on when the model's output is unusable: absolute-claim lexicons
+ * (used to reject rewrites that still promise outcomes), neutral fix lines and short
+ * guidance. Hindi and Marathi share Devanagari and are told apart by common words.
+ *
+ * Hindi written in Latin script ("100% ilaaj guaranteed", "jad se khatam") is its own
+ * code-mixed mode, 'hi-Latn': detected from romanised Hindi words, checked against
+ * transliterated lexicons, and given fixes in the same romanised register.
+ */
+
+// Below this many native-script letters, text is not treated as written in that language
+const MIN_SCRIPT_CHARS = 20;
+// A rewrite or guidance line must contain at least this many native-script letters
+const MIN_LINE_SCRIPT_CHARS = 10;
+
+const SCRIPTS = {
+  Latin: /[A-Za-z]/g,
+  Devanagari: /[\u0900-\u097F]/g,
+  Bengali: /[\u0980-\u09FF]/g,
+  Gujarati: /[\u0A80-\u0AFF]/g,
+  Tamil: /[\u0B80-\u0BFF]/g,
+  Telugu: /[\u0C00-\u0C7F]/g,
+  Kannada: /[\u0C80-\u0CFF]/g,
+  Malayalam: /[\u0D00-\u0D7F]/g
+};
+
+// Frequent function words; whichever set occurs more decides Devanagari text
+const MARATHI_MARKERS = /(?:^|[\s,.!?।])(?:आहे|आहेत|आणि|नाही|तुमच्या|तुमचे|आमच्या|आमचे|साठी|करा|मध्ये|होते|झाले|हे|व)(?=$|[\s,.!?।])/g;
+// Romanised Hindi words that rarely occur in English copy
+const ROMAN_HINDI_MARKERS = /\b(?:hai|hain|ho|hoga|hogi|honge|ka|ki|ke|ko|se|mein|aur|nahi|nahin|nhi|kya|kyun|yeh|ye|woh|aap|aapka|apka|aapki|apki|aapke|apke|apne|apni|hamara|humara|hamare|hum|karo|kare|karein|karta|karti|karte|sirf|bilkul|abhi|sab|bhi|liye|wala|wali|wale|bina|har|ilaj|ilaaj|jad|jadd|khatam|pakka|dard|bimari|beemari|dawa|dawai|theek|thik|turant|hamesha|kabhi|saath|sath)\b/gi;
+// Share of Latin words that must be romanised Hindi (short posts need fewer markers)
+const MIN_ROMAN_HINDI_SHARE = 0.25;
+const MIN_ROMAN_HINDI_MARKERS = 2;
+const SHORT_TEXT_WORDS = 4;
+
+const HINDI_MARKERS = /(?:^|[\s,.!?।])(?:है|हैं|और|नहीं|आपके|आपका|हमारे|हमारा|के|की|का|में|को|से|था|थे|यह)(?=$|[\s,.!?।])/g;
+
+export const CONTENT_LANGUAGES = {
+  en: {
+    name: 'English',
+    script: 'Latin',
+    absolutes: /\b(100%|guarantee|guaranteed|sure shot|instant|permanent|always|never|no side effects|cure|cures|cured)\b/i,
+    cureClaims: /\b(cure|cures|cured)\b/i,
+    fallbackFix: {
+      absolute: ['Outcomes vary by individual conditions and clinical evaluation.', 'Results may vary by individual and should be evaluated by a healthcare professional.'],
+      cure: ['This information is general and is not a substitute for professional medical advice.', 'This information is general and requires consultation with a qualified healthcare provider.'],
+      general: ['Outcomes vary by individual conditions and clinical evaluation.', 'Individual results may vary. Please consult a qualified healthcare professional.']
+    },
+    fallbackGuidance: {
+      data: 'This line indicates personal data handling without clear purpose/consent, which undermines privacy protections and increases misuse risk. Data protection rules focus on preventing harm from unlawful or excessive processing.',
+      claim: 'This line presents an absolute or misleading claim that can distort patient expectations and decision-making. Healthcare advertising standards aim to prevent consumer harm from overpromising outcomes.'
+    }
+  },
+  hi: {
+    name: 'Hindi',
+    script: 'Devanagari',
+    // Devanagari copy often carries romanised phrases too
+    codeMixed: ['hi-Latn'],
+    absolutes: /(100%|गारंटी|गारण्टी|पूर्णतः|पूरी तरह|हमेशा|कभी नहीं|स्थायी|तुरंत|अचूक|पक्का|जड़ से|साइड इफेक्ट नहीं)/i,
+    cureClaims: /(इलाज|उपचार|ठीक|जड़ से|दावा|क्योर)/i,
+    fallbackFix: {
+      absolute: ['परिणाम व्यक्ति की चिकित्सकीय स्थिति और क्लिनिकल मूल्यांकन के अनुसार अलग हो सकते हैं।', 'परिणाम व्यक्ति के अनुसार अलग हो सकते हैं, योग्य स्वास्थ्य विशेषज्ञ से परामर्श करें।'],
+      cure: ['यह जानकारी सामान्य है; निदान और उपचार के लिए योग्य स्वास्थ्य विशेषज्ञ से परामर्श आवश्यक है।', 'यह जानकारी सामान्य है और चिकित्सकीय सलाह का विकल्प नहीं है।'],
+      general: ['अधिक जानकारी के लिए योग्य स्वास्थ्य विशेषज्ञ से परामर्श करें।', 'योग्य स्वास्थ्य विशेषज्ञ से परामर्श करने की सलाह दी जाती है।']
+    },
+    fallbackGuidance: {
+      data: 'यह पंक्ति बिना स्पष्ट उद्देश्य/सहमति के व्यक्तिगत डेटा के उपयोग का संकेत देती है, जिससे गोपनीयता और दुरुपयोग का जोखिम बढ़ता है। नियामक ढांचा डेटा-सुरक्षा और उपयोगकर्ता-संरक्षण पर केंद्रित है।',
+      claim: 'यह पंक्ति अतिरंजित/निश्चित परिणाम का संकेत देती है, जिससे मरीज भ्रामक अपेक्षाएँ बना सकते हैं। स्वास्थ्य विज्ञापन मानक उपभोक्ता सुरक्षा और गैर-भ्रामक संचार पर आधारित हैं।'
+    }
+  },
+  'hi-Latn': {
+    name: 'Hinglish (Hindi in Latin script)',
+    script: 'Latin',
+    romanised: true,
+    absolutes: /(\b100\s?%|\b(?:100 percent|guarantee|guaranteed|gaurantee|garanti|pakka|pakki|pakke|sure shot|hamesha|humesha|hamesha ke liye|kabhi nahi|kabhi nahin|permanent|sthayi|turant|fauran|instant|jad se|jadd se|achook|side effect nahi|side effects nahi|no side effects?)\b)/i,
+    cureClaims: /\b(ilaa?j|upchaa?r|theek|thik|jadd? se|khatam|chh?utkara|nijaa?t|rambaan|cure[sd]?)\b/i,
+    fallbackFix: {
+      absolute: ['Nateeje har vyakti ki health condition aur clinical jaanch ke hisaab se alag ho sakte hain.', 'Nateeje har vyakti mein alag ho sakte hain, qualified doctor se salah lein.'],
+      cure: ['Yeh jaankari saamanya hai; diagnosis aur treatment ke liye qualified doctor ki salah zaroori hai.', 'Yeh jaankari saamanya hai aur doctor ki salah ka vikalp nahi hai.'],
+      general: ['Zyada jaankari ke liye qualified doctor se salah lein.', 'Qualified health expert se salah lene ki salah di jaati hai.']
+    },
+    fallbackGuidance: {
+      data: 'Yeh line bina saaf maqsad ya sehmati ke personal data ke istemaal ki taraf ishara karti hai, jisse privacy aur galat istemaal ka khatra badhta hai. Data protection niyam users ki suraksha par kendrit hain.',
+      claim: 'Yeh line badha-chadha kar ya pakke nateeje ka daava karti hai, jisse mareez galat ummeedein bana sakte hain. Health advertising standards consumer suraksha aur sahi jaankari par aadharit hain.'
+    }
+  },
+  mr: {
+    name: 'Marathi',
+    script: 'Devanagari',
+    absolutes: /(100%|100 टक्के|गॅरंटी|गॅरेंटी|हमखास|खात्रीशीर|कायमचा|कायमची|कायमस्वरूपी|नेहमी|कधीही नाही|लगेच|त्वरित|मुळापासून|पूर्णपणे|दुष्परिणाम नाही)/i,
+    cureClaims: /(इलाज|उपचार|बरा|बरे|मुळापासून)/i,
+    fallbackFix: {
+      absolute: ['परिणाम व्यक्तीची वैद्यकीय स्थिती आणि क्लिनिकल तपासणीनुसार वेगवेगळे असू शकतात.', 'परिणाम व्यक्तीनुसार वेगळे असू शकतात, पात्र आरोग्य तज्ज्ञांचा सल्ला घ्या.'],
+      cure: ['ही माहिती सामान्य आहे; निदान आणि उपचारांसाठी पात्र आरोग्य तज्ज्ञांचा सल्ला आवश्यक आहे.', 'ही माहिती सामान्य आहे आणि वैद्यकीय सल्ल्याचा पर्याय नाही.'],
+      general: ['अधिक माहितीसाठी पात्र आरोग्य तज्ज्ञांचा सल्ला घ्या.', 'पात्र आरोग्य तज्ज्ञांचा सल्ला घेण्याची शिफारस केली जाते.']
+    },
+    fallbackGuidance: {
+      data: 'ही ओळ स्पष्ट उद्देश/संमतीशिवाय वैयक्तिक डेटाच्या वापराचे संकेत देते, ज्यामुळे गोपनीयता आणि गैरवापराचा धोका वाढतो. नियामक चौकट डेटा-सुरक्षा आणि वापरकर्ता-संरक्षणावर केंद्रित आहे.',
+      claim: 'ही ओळ अतिरंजित/निश्चित परिणामाचे संकेत देते, ज्यामुळे रुग्णांच्या दिशाभूल करणाऱ्या अपेक्षा निर्माण होऊ शकतात. आरोग्य जाहिरात मानके ग्राहक सुरक्षा आणि दिशाभूल न करणाऱ्या संवादावर आधारित आहेत.'
+    }
+  },
+  bn: {
+    name: 'Bengali',
+    script: 'Bengali',
+    absolutes: /(100%|১০০%|১০০ শতাংশ|গ্যারান্টি|গ্যারেন্টি|নিশ্চিত ফল|সম্পূর্ণ সুস্থ|স্থায়ী|চিরতরে|সবসময়|কখনও না|কখনো না|তাৎক্ষণিক|তৎক্ষণাৎ|পার্শ্বপ্রতিক্রিয়া নেই|কোনো পার্শ্বপ্রতিক্রিয়া)/i,
+    cureClaims: /(নিরাময়|সারিয়ে|আরোগ্য|সম্পূর্ণ সুস্থ)/i,
+    fallbackFix: {
+      absolute: ['ফলাফল ব্যক্তির চিকিৎসাগত অবস্থা ও ক্লিনিক্যাল মূল্যায়ন অনুযায়ী ভিন্ন হতে পারে।', 'ফলাফল ব্যক্তিভেদে ভিন্ন হতে পারে, যোগ্য স্বাস্থ্য বিশেষজ্ঞের পরামর্শ নিন।'],
+      cure: ['এই তথ্য সাধারণ; রোগ নির্ণয় ও চিকিৎসার জন্য যোগ্য স্বাস্থ্য বিশেষজ্ঞের পরামর্শ প্রয়োজন।', 'এই তথ্য সাধারণ এবং চিকিৎসকের পরামর্শের বিকল্প নয়।'],
+      general: ['আরও তথ্যের জন্য যোগ্য স্বাস্থ্য বিশেষজ্ঞের পরামর্শ নিন।', 'যোগ্য স্বাস্থ্য বিশেষজ্ঞের পরামর্শ নেওয়ার পরামর্শ দেওয়া হয়।']
+    },
+    fallbackGuidance: {
+      data: 'এই লাইনটি স্পষ্ট উদ্দেশ্য/সম্মতি ছাড়াই ব্যক্তিগত তথ্য ব্যবহারের ইঙ্গিত দেয়, যা গোপনীয়তা ও অপব্যবহারের ঝুঁকি বাড়ায়। নিয়ন্ত্রক কাঠামো তথ্য-সুরক্ষা ও ব্যবহারকারী-সুরক্ষার উপর কেন্দ্রিত।',
+      claim: 'এই লাইনটি অতিরঞ্জিত/নিশ্চিত ফলাফলের ইঙ্গিত দেয়, যা রোগীদের মধ্যে বিভ্রান্তিকর প্রত্যাশা তৈরি করতে পারে। স্বাস্থ্য বিজ্ঞাপনের মানদণ্ড ভোক্তা সুরক্ষা ও বিভ্রান্তিহীন যোগাযোগের উপর ভিত্তি করে।'
+    }
+  },
+  ta: {
+    name: 'Tamil',
+    script: 'Tamil',
+    absolutes: /(100%|100 சதவீத|உத்(?:த|தி)ரவாத|கேரண்டி|நிச்சய|நிரந்தர|எப்போதும்|ஒருபோதும்|உடனடி|முழுமையாக குணம|பக்க\s?விளைவு(?:கள்)?\s*இல்லை)/i,
+    cureClaims: /(குணம்|குணப்படுத்|குணமாக்)/i,
+    fallbackFix: {
+      absolute: ['முடிவுகள் ஒவ்வொருவரின் மருத்துவ நிலை மற்றும் மருத்துவ மதிப்பீட்டைப் பொறுத்து மாறுபடலாம்.', 'முடிவுகள் நபருக்கு நபர் மாறுபடலாம், தகுதியான மருத்துவ நிபுணரை அணுகவும்.'],
+      cure: ['இந்தத் தகவல் பொதுவானது; நோயறிதல் மற்றும் சிகிச்சைக்கு தகுதியான மருத்துவ நிபுணரின் ஆலோசனை அவசியம்.', 'இந்தத் தகவல் பொதுவானது, மருத்துவ ஆலோசனைக்கு மாற்று அல்ல.'],
+      general: ['மேலும் தகவலுக்கு தகுதியான மருத்துவ நிபுணரை அணுகவும்.', 'தகுதியான மருத்துவ நிபுணரின் ஆலோசனையைப் பெற பரிந்துரைக்கப்படுகிறது.']
+    },
+    fallbackGuidance: {
+      data: 'இந்த வரி தெளிவான நோக்கம்/ஒப்புதல் இல்லாமல் தனிப்பட்ட தரவைப் பயன்படுத்துவதைக் குறிக்கிறது, இது தனியுரிமை மற்றும் தவறான பயன்பாட்டு அபாயத்தை அதிகரிக்கிறது. ஒழுங்குமுறை கட்டமைப்பு தரவுப் பாதுகாப்பு மற்றும் பயனர் பாதுகாப்பை மையமாகக் கொண்டது.',
+      claim: 'இந்த வரி மிகைப்படுத்தப்பட்ட/உறுதியான முடிவைக் குறிக்கிறது, இது நோயாளிகளிடம் தவறான எதிர்பார்ப்புகளை உருவாக்கலாம். சுகாதார விளம்பர தரநிலைகள் நுகர்வோர் பாதுகாப்பு மற்றும் தவறாக வழிநடத்தாத தகவல்தொடர்பை அடிப்படையாகக் கொண்டவை.'
+    }
+  },
+  te: {
+    name: 'Telugu',
+    script: 'Telugu',
+    absolutes: /(100%|100 శాతం|గ్యారంటీ|గ్యారెంటీ|హామీ|ఖచ్చితంగా|శాశ్వత|ఎల్లప్పుడూ|ఎప్పటికీ|తక్షణ|పూర్తిగా నయం|దుష్ప్రభావాలు లేవు|సైడ్ ఎఫెక్ట్స్ లేవు)/i,
+    cureClaims: /(నయం|నయమ|నివారణ)/i,
+    fallbackFix: {
+      absolute: ['ఫలితాలు వ్యక్తి వైద్య పరిస్థితి మరియు క్లినికల్ మూల్యాంకనాన్ని బట్టి మారవచ్చు.', 'ఫలితాలు వ్యక్తిని బట్టి మారవచ్చు, అర్హత కలిగిన వైద్య నిపుణులను సంప్రదించండి.'],
+      cure: ['ఈ సమాచారం సాధారణమైనది; రోగ నిర్ధారణ మరియు చికిత్స కోసం అర్హత కలిగిన వైద్య నిపుణుల సలహా అవసరం.', 'ఈ సమాచారం సాధారణమైనది మరియు వైద్య సలహాకు ప్రత్యామ్నాయం కాదు.'],
+      general: ['మరింత సమాచారం కోసం అర్హత కలిగిన వైద్య నిపుణులను సంప్రదించండి.', 'అర్హత కలిగిన వైద్య నిపుణుల సలహా తీసుకోవాలని సూచించబడింది.']
+    },
+    fallbackGuidance: {
+      data: 'ఈ వాక్యం స్పష్టమైన ఉద్దేశ్యం/సమ్మతి లేకుండా వ్యక్తిగత డేటా వినియోగాన్ని సూచిస్తుంది, ఇది గోప్యత మరియు దుర్వినియోగ ప్రమాదాన్ని పెంచుతుంది. నియంత్రణ చట్రం డేటా రక్షణ మరియు వినియోగదారుల రక్షణపై దృష్టి పెడుతుంది.',
+      claim: 'ఈ వాక్యం అతిశయోక్తి/నిశ్చిత ఫలితాన్ని సూచిస్తుంది, ఇది రోగులలో తప్పుదారి పట్టించే అంచనాలను కలిగించవచ్చు. ఆరోగ్య ప్రకటన ప్రమాణాలు వినియోగదారుల భద్రత మరియు తప్పుదారి పట్టించని సమాచారంపై ఆధారపడి ఉంటాయి.'
+    }
+  },
+  gu: {
+    name: 'Gujarati',
+    script: 'Gujarati',
+    absolutes: /(100%|100 ટકા|ગેરંટી|ગેરેન્ટી|ખાતરીપૂર્વક|કાયમી|હંમેશા|ક્યારેય નહીં|તરત જ|તાત્કાલિક|જડમૂળથી|સંપૂર્ણ ઇલાજ|કોઈ આડઅસર નહીં|આડઅસર વગર)/i,
+    cureClaims: /(ઇલાજ|મટાડ|મટી|જડમૂળથી)/i,
+    fallbackFix: {
+      absolute: ['પરિણામો વ્યક્તિની તબીબી સ્થિતિ અને ક્લિનિકલ મૂલ્યાંકન મુજબ અલગ હોઈ શકે છે.', 'પરિણામો વ્યક્તિ પ્રમાણે અલગ હોઈ શકે છે, યોગ્ય આરોગ્ય નિષ્ણાતની સલાહ લો.'],
+      cure: ['આ માહિતી સામાન્ય છે; નિદાન અને સારવાર માટે યોગ્ય આરોગ્ય નિષ્ણાતની સલાહ જરૂરી છે.', 'આ માહિતી સામાન્ય છે અને તબીબી સલાહનો વિકલ્પ નથી.'],
+      general: ['વધુ માહિતી માટે યોગ્ય આરોગ્ય નિષ્ણાતની સલાહ લો.', 'યોગ્ય આરોગ્ય નિષ્ણાતની સલાહ લેવાની ભલામણ કરવામાં આવે છે.']
+    },
+    fallbackGuidance: {
+      data: 'આ પંક્તિ સ્પષ્ટ હેતુ/સંમતિ વિના વ્યક્તિગત ડેટાના ઉપયોગનો સંકેત આપે છે, જેનાથી ગોપનીયતા અને દુરુપયોગનું જોખમ વધે છે. નિયમનકારી માળખું ડેટા-સુરક્ષા અને વપરાશકર્તા-સુરક્ષા પર કેન્દ્રિત છે.',
+      claim: 'આ પંક્તિ અતિશયોક્તિભર્યા/નિશ્ચિત પરિણામનો સંકેત આપે છે, જેનાથી દર્દીઓમાં ભ્રામક અપેક્ષાઓ ઊભી થઈ શકે છે. આરોગ્ય જાહેરાત ધોરણો ગ્રાહક સુરક્ષા અને બિન-ભ્રામક સંચાર પર આધારિત છે.'
+    }
+  },
+  kn: {
+    name: 'Kannada',
+    script: 'Kannada',
+    absolutes: /(100%|100 ಶೇಕಡಾ|ಗ್ಯಾರಂಟಿ|ಗ್ಯಾರೆಂಟಿ|ಖಚಿತ ಫಲಿತಾಂಶ|ಶಾಶ್ವತ|ಯಾವಾಗಲೂ|ಎಂದಿಗೂ|ತಕ್ಷಣ|ಸಂಪೂರ್ಣವಾಗಿ ಗುಣ|ಅಡ್ಡ\s?ಪರಿಣಾಮ(?:ಗಳು)?\s*ಇಲ್ಲ|ಅಡ್ಡ\s?ಪರಿಣಾಮಗಳಿಲ್ಲ)/i,
+    cureClaims: /(ಗುಣಪಡಿಸ|ಗುಣಮುಖ|ವಾಸಿ)/i,
+    fallbackFix: {
+      absolute: ['ಫಲಿತಾಂಶಗಳು ವ್ಯಕ್ತಿಯ ವೈದ್ಯಕೀಯ ಸ್ಥಿತಿ ಮತ್ತು ಕ್ಲಿನಿಕಲ್ ಮೌಲ್ಯಮಾಪನಕ್ಕೆ ಅನುಗುಣವಾಗಿ ಬದಲಾಗಬಹುದು.', 'ಫಲಿತಾಂಶಗಳು ವ್ಯಕ್ತಿಯಿಂದ ವ್ಯಕ್ತಿಗೆ ಬದಲಾಗಬಹುದು, ಅರ್ಹ ಆರೋಗ್ಯ ತಜ್ಞರನ್ನು ಸಂಪರ್ಕಿಸಿ.'],
+      cure: ['ಈ ಮಾಹಿತಿ ಸಾಮಾನ್ಯವಾಗಿದೆ; ರೋಗನಿರ್ಣಯ ಮತ್ತು ಚಿಕಿತ್ಸೆಗಾಗಿ ಅರ್ಹ ಆರೋಗ್ಯ ತಜ್ಞರ ಸಲಹೆ ಅಗತ್ಯ.', 'ಈ ಮಾಹಿತಿ ಸಾಮಾನ್ಯವಾಗಿದೆ ಮತ್ತು ವೈದ್ಯಕೀಯ ಸಲಹೆಗೆ ಪರ್ಯಾಯವಲ್ಲ.'],
+      general: ['ಹೆಚ್ಚಿನ ಮಾಹಿತಿಗಾಗಿ ಅರ್ಹ ಆರೋಗ್ಯ ತಜ್ಞರನ್ನು ಸಂಪರ್ಕಿಸಿ.', 'ಅರ್ಹ ಆರೋಗ್ಯ ತಜ್ಞರ ಸಲಹೆ ಪಡೆಯಲು ಶಿಫಾರಸು ಮಾಡಲಾಗಿದೆ.']
+    },
+    fallbackGuidance: {
+      data: 'ಈ ಸಾಲು ಸ್ಪಷ್ಟ ಉದ್ದೇಶ/ಸಮ್ಮತಿ ಇಲ್ಲದೆ ವೈಯಕ್ತಿಕ ಡೇಟಾ ಬಳಕೆಯನ್ನು ಸೂಚಿಸುತ್ತದೆ, ಇದು ಗೌಪ್ಯತೆ ಮತ್ತು ದುರುಪಯೋಗದ ಅಪಾಯವನ್ನು ಹೆಚ್ಚಿಸುತ್ತದೆ. ನಿಯಂತ್ರಕ ಚೌಕಟ್ಟು ಡೇಟಾ ರಕ್ಷಣೆ ಮತ್ತು ಬಳಕೆದಾರರ ರಕ್ಷಣೆಯ ಮೇಲೆ ಕೇಂದ್ರೀಕೃತವಾಗಿದೆ.',
+      claim: 'ಈ ಸಾಲು ಅತಿರಂಜಿತ/ಖಚಿತ ಫಲಿತಾಂಶವನ್ನು ಸೂಚಿಸುತ್ತದೆ, ಇದು ರೋಗಿಗಳಲ್ಲಿ ತಪ್ಪುದಾರಿಗೆಳೆಯುವ ನಿರೀಕ್ಷೆಗಳನ್ನು ಉಂಟುಮಾಡಬಹುದು. ಆರೋಗ್ಯ ಜಾಹೀರಾತು ಮಾನದಂಡಗಳು ಗ್ರಾಹಕರ ಸುರಕ್ಷತೆ ಮತ್ತು ತಪ್ಪುದಾರಿಗೆಳೆಯದ ಸಂವಹನವನ್ನು ಆಧರಿಸಿವೆ.'
+    }
+  },
+  ml: {
+    name: 'Malayalam',
+    script: 'Malayalam',
+    absolutes: /(100%|100 ശതമാനം|ഗ്യാരണ്ടി|ഗ്യാരന്റി|ഉറപ്പായും|ഉറപ്പുള്ള ഫലം|സ്ഥിരമായി|ശാശ്വത|എപ്പോഴും|ഒരിക്കലും|ഉടനടി|തൽക്ഷണ|പൂർണ്ണമായും സുഖ|പാർശ്വഫലങ്ങളില്ല|പാർശ്വഫലമില്ല)/i,
+    cureClaims: /(സുഖപ്പെടുത്ത|ഭേദമാക്ക|രോഗശമനം)/i,
+    fallbackFix: {
+      absolute: ['ഫലങ്ങൾ ഓരോ വ്യക്തിയുടെയും ആരോഗ്യസ്ഥിതിയും ക്ലിനിക്കൽ വിലയിരുത്തലും അനുസരിച്ച് വ്യത്യാസപ്പെടാം.', 'ഫലങ്ങൾ വ്യക്തികൾക്കനുസരിച്ച് വ്യത്യാസപ്പെടാം, യോഗ്യതയുള്ള ആരോഗ്യ വിദഗ്ധനെ സമീപിക്കുക.'],
+      cure: ['ഈ വിവരം പൊതുവായതാണ്; രോഗനിർണ്ണയത്തിനും ചികിത്സയ്ക്കും യോഗ്യതയുള്ള ആരോഗ്യ വിദഗ്ധന്റെ ഉപദേശം ആവശ്യമാണ്.', 'ഈ വിവരം പൊതുവായതാണ്, വൈദ്യോപദേശത്തിന് പകരമല്ല.'],
+      general: ['കൂടുതൽ വിവരങ്ങൾക്ക് യോഗ്യതയുള്ള ആരോഗ്യ വിദഗ്ധനെ സമീപിക്കുക.', 'യോഗ്യതയുള്ള ആരോഗ്യ വിദഗ്ധന്റെ ഉപദേശം തേടാൻ ശുപാർശ ചെയ്യുന്നു.']
+    },
+    fallbackGuidance: {
+      data: 'ഈ വരി വ്യക്തമായ ഉദ്ദേശ്യം/സമ്മതം ഇല്ലാതെ വ്യക്തിഗത ഡാറ്റ ഉപയോഗിക്കുന്നതിനെ സൂചിപ്പിക്കുന്നു, ഇത് സ്വകാര്യതയ്ക്കും ദുരുപയോഗത്തിനുമുള്ള സാധ്യത വർധിപ്പിക്കുന്നു. നിയന്ത്രണ ചട്ടക്കൂട് ഡാറ്റ സംരക്ഷണത്തിലും ഉപയോക്തൃ സംരക്ഷണത്തിലും ശ്രദ്ധ കേന്ദ്രീകരിക്കുന്നു.',
+      claim: 'ഈ വരി അതിശയോക്തിപരമായ/ഉറപ്പായ ഫലത്തെ സൂചിപ്പിക്കുന്നു, ഇത് രോഗികളിൽ തെറ്റിദ്ധരിപ്പിക്കുന്ന പ്രതീക്ഷകൾ സൃഷ്ടിച്ചേക്കാം. ആരോഗ്യ പരസ്യ മാനദണ്ഡങ്ങൾ ഉപഭോക്തൃ സുരക്ഷയെയും തെറ്റിദ്ധരിപ്പിക്കാത്ത ആശയവിനിമയത്തെയും അടിസ്ഥാനമാക്കിയുള്ളതാണ്.'
+    }
+  }
+};
+
+function profileOf(lang) {
+  return CONTENT_LANGUAGES[lang] || CONTENT_LANGUAGES.en;
+}
+
+function countMatches(text, regex) {
+  return ((text || '').toString().match(regex) || []).length;
+}
+
+/**
+ * Letters of the script a language is written in (Latin for English)
+ */
+export function scriptCharCount(text, lang) {
+  return countMatches(text, SCRIPTS[profileOf(lang).script]);
+}
+
+// Latin-script text that reads as romanised Hindi (Hinglish)
+function isRomanisedHindi(text) {
+  const words = countMatches(text, /[a-z]+/gi);
+  const markers = countMatches(text, ROMAN_HINDI_MARKERS);
+  if (words === 0 || markers / words < MIN_ROMAN_HINDI_SHARE) return false;
+  return markers >= MIN_ROMAN_HINDI_MARKERS || words <= SHORT_TEXT_WORDS;
+}
+
+/**
+ * Detect the content language from the dominant script
+ * Indian-script text needs at least 20 letters and as many as the Latin letters; Latin text
+ * is 'hi-Latn' when enough of its words are romanised Hindi, otherwise 'en'.
+ *
+ * @param {string} text
+ * @returns {string} Language code: en | hi-Latn | hi | mr | bn | ta | te | gu | kn | ml
+ */
+export function detectContentLanguage(text) {
+  const s = (text || '').toString();
+  const latin = countMatches(s, SCRIPTS.Latin);
+
+  let best = null;
+  let bestCount = 0;
+  for (const [script, regex] of Object.entries(SCRIPTS)) {
+    if (script === 'Latin') continue;
+    const count = countMatches(s, regex);
+    if (count > bestCount) {
+      best = script;
+      bestCount = count;
+    }
+  }
+  if (!best || bestCount < MIN_SCRIPT_CHARS || bestCount < latin) {
+    return isRomanisedHindi(s) ? 'hi-Latn' : 'en';
+  }
+
+  if (best === 'Devanagari') {
+    return countMatches(s, MARATHI_MARKERS) > countMatches(s, HINDI_MARKERS) ? 'mr' : 'hi';
+  }
+  return Object.keys(CONTENT_LANGUAGES).find(code => CONTENT_LANGUAGES[code].script === best);
+}
+
+export function languageName(lang) {
+  return profileOf(lang).name;
+}
+
+/**
+ * Whether a line is written in the given language: enough native-script letters,
+ * or for English no Indian-script letters at all (digits/punctuation allowed);
+ * romanised Hindi also needs romanised Hindi words, so a plain English rewrite doesn't pass
+ */
+export function isInLanguage(text, lang) {
+  const profile = profileOf(lang);
+  if (profile.script === 'Latin') {
+    const latinOnly = Object.entries(SCRIPTS).every(([script, regex]) => script === 'Latin' || countMatches(text, regex) === 0);
+    return latinOnly && (!profile.romanised || countMatches(text, ROMAN_HINDI_MARKERS) >= MIN_ROMAN_HINDI_MARKERS);
+  }
+  return scriptCharCount(text, lang) >= MIN_LINE_SCRIPT_CHARS;
+}
+
+/**
+ * Absolute claims / guarantees in the language's own wording
+ */
+export function hasAbsolutesOrGuarantees(text, lang) {
+  const s = (text || '').toString().toLowerCase();
+  const profile = profileOf(lang);
+  return [lang, ...(profile.codeMixed || [])].some(code => profileOf(code).absolutes.test(s));
+}
+
+/**
+ * Which neutral fix suits a line: 'absolute' (guarantees, permanence), 'cure' or 'general'
+ */
+export function fallbackFixKind(originalLine, lang) {
+  const profile = profileOf(lang);
+  const line = (originalLine || '').toString().trim();
+  if (profile.cureClaims.test(line)) return 'cure';
+  return profile.absolutes.test(line) ? 'absolute' : 'general';
+}
+
+/**
+ * Neutral replacement line for a non-compliant line (deterministic)
+ *
+ * @param {Object} options - { originalLine, lang, isOptionB, kind? } kind overrides fallbackFixKind(originalLine)
+ * @returns {string}
+ */
+export function fallbackFixedLine({ originalLine, lang, isOptionB = false, kind }) {
+  const options = profileOf(lang).fallbackFix[kind || fallbackFixKind(originalLine, lang)];
+  return options[isOptionB ? 1 : 0];
+}
+
+/**
+ * Short "why it matters" guidance when the model's guidance is unusable
+ *
+ * @param {Object} options - { regulation, lang }
+ * @returns {string}
+ */
+export function fallbackGuidance({ regulation, lang }) {
+  const reg = (regulation || '').toString().toLowerCase();
+  const { fallbackGuidance: guidance } = profileOf(lang);
+  return reg.includes('dpdp') || reg.includes('data') ? guidance.data : guidance.claim;
+}
+
+/* ---- OUTPUT LANGUAGE ---- */
+
+// 'source': same as the content (default); 'bilingual': content language plus an English translation line
+export const OUTPUT_LANGUAGES = ['source', 'bilingual', ...Object.keys(CONTENT_LANGUAGES)];
+
+export function isValidOutputLanguage(value) {
+  return OUTPUT_LANGUAGES.includes(value);
+}
+
+/**
+ * Languages for the explanatory fields of an audit (summary, description, guidance)
+ * Evidence and fixed lines always stay in the content language.
+ *
+ * @param {string} outputLanguage - 'source' | 'bilingual' | language code (default 'source')
+ * @param {string} contentLang - Detected content language
+ * @returns {{lang: string, translation: string|null}} translation is the language of the added translation line
+ * @throws {Error} code INVALID_OUTPUT_LANGUAGE (status 400)
+ */
+export function resolveOutputLanguage(outputLanguage, contentLang) {
+  const value = outputLanguage || 'source';
+  if (!isValidOutputLanguage(value)) {
+    const error = new Error(`outputLanguage must be one of: ${OUTPUT_LANGUAGES.join(', ')}`);
+    error.code = 'INVALID_OUTPUT_LANGUAGE';
+    error.status = 400;
+    throw error;
+  }
+  if (value === 'source') return { lang: contentLang, translation: null };
+  if (value === 'bilingual') return { lang: contentLang, translation: contentLang === 'en' ? null : 'en' };
+  return { lang: value, translation: null };
+}
+
+/**
+ * Append a translation line in the format the audits already use: "text\n(English translation: ...)"
+ */
+export function withTranslation(text, translation, lang) {
+  const t = (translation || '').toString().trim();
+  if (!text || !t || t === text.toString().trim()) return text;
+  return `${text}\n(${languageName(lang)} translation: ${t})`;
+}
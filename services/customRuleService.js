@@ -0,0 +1,245 @@
+/**
+ * CUSTOM RULE SERVICE
+ * Per-organisation rules (forbidden phrases, mandatory disclaimers, product claim restrictions)
+ * stored in MongoDB and applied as an extra rule pack in every audit.
+ */
+
+import mongoose from 'mongoose';
+import CustomRule from '../models/CustomRule.js';
+import { CONTENT_LANGUAGES } from './contentLanguages.js';
+
+export const CUSTOM_RULE_TYPES = ['forbidden_phrase', 'required_disclaimer', 'claim_restriction'];
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH'];
+// A rule only runs on content detected as its language ('any' runs on everything)
+const RULE_LANGUAGES = ['any', ...Object.keys(CONTENT_LANGUAGES)];
+const MAX_LIST_ITEMS = 200;
+
+// Fields a client may set; everything else (version, history, organizationId) is managed here
+// Raw regular expressions are not accepted: a client-supplied pattern with catastrophic
+// backtracking would block the event loop for every tenant and the job worker.
+const EDITABLE_FIELDS = ['type', 'name', 'description', 'guidance', 'severity', 'lang', 'phrases', 'products', 'claims', 'triggers', 'active'];
+
+const DEFAULT_GUIDANCE = {
+  forbidden_phrase: 'This wording is on the organisation\'s banned list, as it conflicts with approved brand and regulatory messaging.',
+  required_disclaimer: 'The organisation requires this disclaimer so that readers understand the limits of the claims being made.',
+  claim_restriction: 'This product is not approved to carry this claim, so the statement exceeds what the organisation can substantiate.'
+};
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_RULE';
+  error.status = 400;
+  return error;
+}
+
+function notFound() {
+  const error = new Error('Rule not found');
+  error.code = 'RULE_NOT_FOUND';
+  error.status = 404;
+  return error;
+}
+
+function cleanList(value, field) {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value)) throw invalid(`${field} must be an array of strings`);
+  const list = [...new Set(value.map(v => (v ?? '').toString().trim()).filter(Boolean))];
+  if (list.length > MAX_LIST_ITEMS) throw invalid(`${field} cannot have more than ${MAX_LIST_ITEMS} entries`);
+  return list;
+}
+
+/**
+ * Validate and normalise client input
+ * @param {Object} input - Request body
+ * @param {Object} existing - Current rule (for updates)
+ * @returns {Object} Fields to store
+ * @throws {Error} code INVALID_RULE (status 400)
+ */
+export function validateRuleInput(input = {}, existing = null) {
+  if (Array.isArray(input.patterns) && input.patterns.length > 0) {
+    throw invalid('patterns are not supported; list the banned wording in phrases instead');
+  }
+
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (input[key] !== undefined) fields[key] = input[key];
+  }
+
+  for (const key of ['phrases', 'products', 'claims', 'triggers']) {
+    if (key in fields) fields[key] = cleanList(fields[key], key);
+  }
+  if ('name' in fields) fields.name = (fields.name || '').toString().trim();
+  if ('severity' in fields) {
+    // An empty severity means "not set" (the default on create, unchanged on update)
+    const severity = (fields.severity ?? '').toString().trim().toUpperCase();
+    if (severity) fields.severity = severity;
+    else delete fields.severity;
+  }
+  if ('lang' in fields) {
+    const lang = (fields.lang || 'any').toString().toLowerCase();
+    fields.lang = RULE_LANGUAGES.find(code => code.toLowerCase() === lang);
+    if (!fields.lang) throw invalid(`lang must be one of: ${RULE_LANGUAGES.join(', ')}`);
+  }
+  if ('active' in fields) fields.active = !!fields.active;
+
+  const merged = { ...(existing || {}), ...fields };
+
+  if (!CUSTOM_RULE_TYPES.includes(merged.type)) {
+    throw invalid(`type must be one of: ${CUSTOM_RULE_TYPES.join(', ')}`);
+  }
+  if (existing && fields.type && fields.type !== existing.type) {
+    throw invalid('type cannot be changed; create a new rule instead');
+  }
+  if (!merged.name) throw invalid('name is required');
+  if (merged.severity && !SEVERITIES.includes(merged.severity)) {
+    throw invalid(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  const count = key => (merged[key] || []).length;
+  if (merged.type === 'forbidden_phrase' && count('phrases') === 0) {
+    throw invalid('forbidden_phrase rules need at least one phrase');
+  }
+  if (merged.type === 'required_disclaimer' && count('phrases') === 0) {
+    throw invalid('required_disclaimer rules need at least one accepted disclaimer phrase');
+  }
+  if (merged.type === 'claim_restriction' && (count('products') === 0 || count('claims') === 0)) {
+    throw invalid('claim_restriction rules need at least one product and one claim');
+  }
+
+  return fields;
+}
+
+function snapshotOf(rule) {
+  const obj = rule.toObject ? rule.toObject() : rule;
+  const snapshot = {};
+  for (const key of [...EDITABLE_FIELDS, 'version']) snapshot[key] = obj[key];
+  return snapshot;
+}
+
+/* ---- CRUD ---- */
+
+export async function listRules(organizationId, { includeInactive = false } = {}) {
+  const filter = { organizationId };
+  if (!includeInactive) filter.active = true;
+  return await CustomRule.find(filter).select('-history').sort({ createdAt: -1 }).exec();
+}
+
+export async function getRule(organizationId, ruleId) {
+  if (!mongoose.isValidObjectId(ruleId)) throw notFound();
+  const rule = await CustomRule.findOne({ _id: ruleId, organizationId });
+  if (!rule) throw notFound();
+  return rule;
+}
+
+export async function createRule(organizationId, input, userId) {
+  const fields = validateRuleInput(input);
+  return await CustomRule.create({
+    ...fields,
+    organizationId,
+    version: 1,
+    createdBy: userId,
+    updatedBy: userId
+  });
+}
+
+/**
+ * Update a rule; the previous state is kept in history and the version is bumped
+ */
+export async function updateRule(organizationId, ruleId, input, userId) {
+  const rule = await getRule(organizationId, ruleId);
+  const fields = validateRuleInput(input, snapshotOf(rule));
+
+  rule.history.push({ version: rule.version, snapshot: snapshotOf(rule), updatedBy: rule.updatedBy, updatedAt: rule.updatedAt });
+  rule.set(fields);
+  rule.version += 1;
+  rule.updatedBy = userId;
+  await rule.save();
+  return rule;
+}
+
+/**
+ * Soft-delete (deactivate) a rule; history is preserved for audits that used it
+ */
+export async function deleteRule(organizationId, ruleId, userId) {
+  return await updateRule(organizationId, ruleId, { active: false }, userId);
+}
+
+export async function getRuleHistory(organizationId, ruleId) {
+  const rule = await getRule(organizationId, ruleId);
+  return [...rule.history.map(h => h.toObject()), { version: rule.version, snapshot: snapshotOf(rule), updatedBy: rule.updatedBy, updatedAt: rule.updatedAt }];
+}
+
+/* ---- RULE PACK CONVERSION ---- */
+
+function variantFor(rule) {
+  switch (rule.type) {
+    case 'forbidden_phrase':
+      // Patterns stored before raw regexes were dropped are ignored
+      return { phrases: rule.phrases || [] };
+    case 'required_disclaimer':
+      return { required: rule.phrases || [], requiredWhen: rule.triggers || [] };
+    case 'claim_restriction':
+      return { claims: rule.claims || [], subjects: rule.products || [] };
+    default:
+      return {};
+  }
+}
+
+function describe(rule) {
+  if (rule.description) return rule.description;
+  switch (rule.type) {
+    case 'forbidden_phrase':
+      return `Uses wording banned by the organisation (${rule.name}).`;
+    case 'required_disclaimer':
+      return `Mandatory disclaimer is missing (${rule.name}).`;
+    default:
+      return `Makes a claim this product may not carry (${rule.name}).`;
+  }
+}
+
+/**
+ * Convert stored rules into an engine rule pack (see rules/engine.js)
+ */
+export function toRulePack(organizationId, rules) {
+  const active = rules.filter(r => r.active !== false);
+  return {
+    id: `org:${organizationId}`,
+    name: 'Organisation Rules',
+    version: active.map(r => `${r._id}@${r.version}`).sort().join(',') || 'empty',
+    lawReference: 'Organisation brand and compliance policy',
+    rules: active.map(r => ({
+      id: `org-${r._id}`,
+      version: r.version,
+      type: r.type,
+      severity: r.severity || 'MEDIUM',
+      description: describe(r),
+      guidance: r.guidance || DEFAULT_GUIDANCE[r.type],
+      variants: { [r.lang || 'any']: variantFor(r) }
+    }))
+  };
+}
+
+/**
+ * Load an organisation's active rules as rule packs for an audit
+ * Never throws: audits fall back to the built-in packs when the database is unavailable.
+ *
+ * @param {string} organizationId
+ * @returns {Promise<Object[]>} [] or [orgPack]
+ */
+export async function loadOrganizationRulePacks(organizationId) {
+  if (!organizationId) return [];
+  if (mongoose.connection.readyState !== 1) {
+    console.warn(`⚠️  Custom rules skipped for ${organizationId}: database not connected`);
+    return [];
+  }
+
+  try {
+    const rules = await CustomRule.find({ organizationId, active: true }).select('-history').lean();
+    if (rules.length === 0) return [];
+    console.log(`📏 Loaded ${rules.length} custom rule(s) for ${organizationId}`);
+    return [toRulePack(organizationId, rules)];
+  } catch (err) {
+    console.warn(`⚠️  Failed to load custom rules for ${organizationId}: ${err.message}`);
+    return [];
+  }
+}
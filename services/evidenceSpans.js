@@ -0,0 +1,239 @@
+/**
+ * EVIDENCE SPANS
+ *
+ * Places violation evidence in the audited text as { start, end } character offsets,
+ * so clients can highlight it without searching the text again.
+ *
+ * locateEvidenceSpan() tries, in order:
+ * 1. exact     - the evidence occurs verbatim
+ * 2. normalized - same text once case, whitespace and curly quotes are ignored
+ * 3. fuzzy     - word-level local alignment, for evidence the model paraphrased or trimmed
+ */
+
+// Share of the evidence's words a fuzzy alignment must recover
+const MIN_FUZZY_SCORE = 0.5;
+// Words count as the same when their character bigrams overlap this much (inflections, OCR slips)
+const MIN_WORD_SIMILARITY = 0.6;
+// Longer evidence is aligned on its first words only
+const MAX_EVIDENCE_WORDS = 40;
+
+/* ---- NORMALIZED MATCHING ---- */
+
+const QUOTE_FOLD = { '“': '"', '”': '"', '„': '"', '‘': "'", '’': "'", '`': "'" };
+
+// Lower-cased, whitespace-collapsed copy of text plus the original offset of every character
+function normalizeWithMap(text) {
+  let norm = '';
+  const map = [];
+  let pendingSpace = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      pendingSpace = norm.length > 0;
+      continue;
+    }
+    if (pendingSpace) {
+      norm += ' ';
+      map.push(i - 1);
+      pendingSpace = false;
+    }
+    for (const c of (QUOTE_FOLD[char] || char).toLowerCase()) {
+      norm += c;
+      map.push(i);
+    }
+  }
+  return { norm, map };
+}
+
+function normalizeNeedle(evidence) {
+  return normalizeWithMap((evidence || '').toString()).norm
+    .replace(/^["'\s]+|["'\s]+$/g, '')
+    .replace(/^(?:\.\.\.|…)\s*|\s*(?:\.\.\.|…)$/g, '')
+    .trim();
+}
+
+function findNormalized(normalized, needle, from = 0) {
+  const at = normalized.norm.indexOf(needle, from);
+  if (at < 0 || !needle) return null;
+  return {
+    start: normalized.map[at],
+    end: normalized.map[at + needle.length - 1] + 1,
+    normEnd: at + needle.length
+  };
+}
+
+/* ---- FUZZY ALIGNMENT ---- */
+
+function tokenize(text) {
+  const tokens = [];
+  for (const m of text.matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+    tokens.push({ word: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+function bigrams(word) {
+  const out = new Map();
+  for (let i = 0; i < word.length - 1; i++) {
+    const g = word.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 3 || b.length < 3) return 0;
+  const ga = bigrams(a);
+  const gb = bigrams(b);
+  let shared = 0;
+  for (const [g, n] of ga) shared += Math.min(n, gb.get(g) || 0);
+  const dice = (2 * shared) / (a.length - 1 + b.length - 1);
+  return dice >= MIN_WORD_SIMILARITY ? dice : 0;
+}
+
+/**
+ * Smith-Waterman over words: the text region that best matches the evidence in order,
+ * tolerating dropped, added and slightly changed words
+ */
+function alignWords(textTokens, evidenceTokens) {
+  const m = evidenceTokens.length;
+  const similarities = new Map();
+  const simRow = word => {
+    if (!similarities.has(word)) similarities.set(word, evidenceTokens.map(e => wordSimilarity(word, e.word)));
+    return similarities.get(word);
+  };
+
+  let prevScore = new Float64Array(m + 1);
+  let prevStart = new Int32Array(m + 1).fill(-1);
+  let best = { score: 0, startToken: -1, endToken: -1 };
+
+  for (let i = 1; i <= textTokens.length; i++) {
+    const sims = simRow(textTokens[i - 1].word);
+    const score = new Float64Array(m + 1);
+    const start = new Int32Array(m + 1).fill(-1);
+    for (let j = 1; j <= m; j++) {
+      const diag = prevScore[j - 1] + (sims[j - 1] > 0 ? 2 * sims[j - 1] : -1);
+      const up = prevScore[j] - 1;
+      const left = score[j - 1] - 1;
+      const value = Math.max(0, diag, up, left);
+      if (value === 0) continue;
+      score[j] = value;
+      if (value === diag) start[j] = prevScore[j - 1] > 0 ? prevStart[j - 1] : i - 1;
+      else if (value === up) start[j] = prevStart[j];
+      else start[j] = start[j - 1];
+      if (value > best.score) best = { score: value, startToken: start[j], endToken: i - 1 };
+    }
+    prevScore = score;
+    prevStart = start;
+  }
+
+  return { ...best, score: best.score / (2 * m) };
+}
+
+/* ---- PUBLIC ---- */
+
+/**
+ * Offsets of a violation's evidence in the audited text
+ *
+ * @param {string} text - Audited text (as stored in extractedText)
+ * @param {string} evidence - Evidence quoted by the model or a rule
+ * @returns {{start: number, end: number, match: 'exact'|'normalized'|'fuzzy'}|null} null when it cannot be placed
+ */
+export function locateEvidenceSpan(text, evidence) {
+  const source = (text || '').toString();
+  const quoted = (evidence || '').toString().trim();
+  if (!source || !quoted) return null;
+
+  const exact = source.indexOf(quoted);
+  if (exact >= 0) return { start: exact, end: exact + quoted.length, match: 'exact' };
+
+  const needle = normalizeNeedle(quoted);
+  const normalized = needle ? findNormalized(normalizeWithMap(source), needle) : null;
+  if (normalized) return { start: normalized.start, end: normalized.end, match: 'normalized' };
+
+  const evidenceTokens = tokenize(quoted).slice(0, MAX_EVIDENCE_WORDS);
+  if (evidenceTokens.length === 0) return null;
+  const textTokens = tokenize(source);
+  const aligned = alignWords(textTokens, evidenceTokens);
+  if (aligned.score < MIN_FUZZY_SCORE || aligned.startToken < 0) return null;
+  return {
+    start: textTokens[aligned.startToken].start,
+    end: textTokens[aligned.endToken].end,
+    match: 'fuzzy'
+  };
+}
+
+/**
+ * Offsets of transcript segments in the transcript they were joined into
+ * Segments are searched in order; ones that cannot be found get no offsets.
+ *
+ * @param {string} text - Transcript text
+ * @param {Array} segments - Whisper segments [{ index, startMs, endMs, text }]
+ * @returns {Array} Segments with start/end added (shape accepted by locateTextRange)
+ */
+export function locateSegmentRanges(text, segments) {
+  if (!Array.isArray(segments)) return [];
+  const normalized = normalizeWithMap((text || '').toString());
+  let cursor = 0;
+  return segments.map(segment => {
+    const found = findNormalized(normalized, normalizeNeedle(segment.text), cursor);
+    if (!found) return { ...segment };
+    cursor = found.normEnd;
+    return { ...segment, start: found.start, end: found.end };
+  });
+}
+
+/**
+ * Highlight ranges for an audit's violations
+ * Violations stored before offsets were recorded are placed from their evidence.
+ *
+ * @param {string} text - The audit's extractedText
+ * @param {Array} violations - auditResult.violations
+ * @returns {{highlights: Array, spans: Array, unlocated: number[]}}
+ *   highlights: one per located violation; spans: non-overlapping ranges in text order
+ *   with the violations covering each (for rendering); unlocated: violation numbers without a range
+ */
+export function buildHighlights(text, violations) {
+  const source = (text || '').toString();
+  const highlights = [];
+  const unlocated = [];
+
+  (Array.isArray(violations) ? violations : []).forEach((v, i) => {
+    const violation = v.index || i + 1;
+    const stored = Number.isInteger(v.start) && Number.isInteger(v.end) && v.end <= source.length;
+    const span = stored
+      ? { start: v.start, end: v.end, match: v.evidence_match || 'exact' }
+      : locateEvidenceSpan(source, v.evidence || v.problematicContent);
+    if (!span) {
+      unlocated.push(violation);
+      return;
+    }
+    highlights.push({
+      violation,
+      start: span.start,
+      end: span.end,
+      match: span.match,
+      severity: v.severity,
+      description: v.description || v.violation,
+      ...(v.rule_id && { rule_id: v.rule_id }),
+      ...(v.page && { page: v.page }),
+      ...(v.source_entry && { source_entry: v.source_entry }),
+      ...(Number.isInteger(v.segmentIndex) && { segmentIndex: v.segmentIndex }),
+      ...(Number.isFinite(v.startMs) && { startMs: v.startMs, endMs: v.endMs })
+    });
+  });
+  highlights.sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Cut the text at every highlight boundary; each piece lists the violations covering it
+  const bounds = [...new Set(highlights.flatMap(h => [h.start, h.end]))].sort((a, b) => a - b);
+  const spans = [];
+  for (let k = 0; k < bounds.length - 1; k++) {
+    const start = bounds[k];
+    const end = bounds[k + 1];
+    const covering = highlights.filter(h => h.start <= start && h.end >= end).map(h => h.violation);
+    if (covering.length > 0) spans.push({ start, end, violations: covering });
+  }
+
+  return { highlights, spans, unlocated };
+}
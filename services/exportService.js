@@ -0,0 +1,184 @@
+/**
+ * AUDIT EXPORT
+ *
+ * Streams a user's audits (same filters as history) as CSV, XLSX or JSON Lines,
+ * one row per violation. Audits are read from a MongoDB cursor and written as they
+ * arrive, so exports of any size use constant memory.
+ */
+
+import ExcelJS from 'exceljs';
+import Audit from '../models/Audit.js';
+import { buildAuditFilter } from './mongodbService.js';
+import { parseRecommendedFix } from './reportService.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'jsonl'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+const COLUMNS = [
+  { key: 'audit_id', header: 'Audit ID', width: 26 },
+  { key: 'created_at', header: 'Created At', width: 22 },
+  { key: 'updated_at', header: 'Updated At', width: 22 },
+  { key: 'source_type', header: 'Source Type', width: 12 },
+  { key: 'source', header: 'Source', width: 40 },
+  { key: 'mode', header: 'Mode', width: 14 },
+  { key: 'industry_profile', header: 'Industry Profile', width: 14 },
+  { key: 'audit_status', header: 'Audit Status', width: 16 },
+  { key: 'risk_score', header: 'Risk Score', width: 10 },
+  { key: 'violation_no', header: 'Violation #', width: 10 },
+  { key: 'severity', header: 'Severity', width: 10 },
+  { key: 'rule_pack', header: 'Rule Pack', width: 22 },
+  { key: 'rule_id', header: 'Rule ID', width: 26 },
+  { key: 'regulation', header: 'Regulation', width: 30 },
+  { key: 'description', header: 'Description', width: 50 },
+  { key: 'evidence', header: 'Evidence', width: 60 },
+  { key: 'source_entry', header: 'Found In', width: 30 },
+  { key: 'page', header: 'Page', width: 8 },
+  { key: 'guidance', header: 'Guidance', width: 60 },
+  { key: 'fix_option_a', header: 'Fix (Option A)', width: 60 },
+  { key: 'fix_option_b', header: 'Fix (Option B)', width: 60 },
+  { key: 'detected_by', header: 'Detected By', width: 12 }
+];
+
+function iso(date) {
+  return date ? new Date(date).toISOString() : '';
+}
+
+/**
+ * Export rows for one audit (one per violation; a single row without violation columns when there are none)
+ */
+export function auditToRows(audit) {
+  const meta = audit.sourceMetadata || {};
+  const result = audit.auditResult || {};
+  const base = {
+    audit_id: audit._id.toString(),
+    created_at: iso(audit.createdAt),
+    updated_at: iso(audit.updatedAt),
+    source_type: audit.sourceType,
+    source: meta.title || meta.finalUrl || meta.url || meta.filename || audit.sourceId || '',
+    mode: audit.mode || 'standard',
+    industry_profile: meta.industryProfile || meta.industry || '',
+    audit_status: result.status || audit.status,
+    risk_score: result.risk_score ?? ''
+  };
+
+  const violations = Array.isArray(result.violations) ? result.violations : [];
+  if (violations.length === 0) return [base];
+
+  return violations.map((v, i) => {
+    const { optionA, optionB } = parseRecommendedFix(v.recommended_fix || v.solution);
+    return {
+      ...base,
+      violation_no: i + 1,
+      severity: (v.severity || '').toString().toUpperCase(),
+      rule_pack: v.pack_id || v.rule_pack || '',
+      rule_id: v.rule_id || '',
+      regulation: v.regulation || v.law_reference || '',
+      description: v.description || v.violation || '',
+      evidence: v.evidence || v.problematicContent || '',
+      source_entry: v.source_entry || '',
+      page: v.page ?? '',
+      guidance: v.guidance || v.suggestion || '',
+      fix_option_a: optionA,
+      fix_option_b: optionB,
+      detected_by: v.detected_by || ''
+    };
+  });
+}
+
+// Quote for CSV; cells starting with = + - @ are prefixed so spreadsheets don't run them as formulas
+function csvCell(value) {
+  let s = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+// Respect backpressure so a slow client doesn't make rows pile up in memory
+function write(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.once('drain', done);
+    stream.once('close', done);
+  });
+}
+
+/**
+ * Stream matching audits to an HTTP response
+ *
+ * @param {Object} res - Express response
+ * @param {string} userId
+ * @param {Object} query - History filters (see buildAuditFilter); limit/cursor are ignored
+ * @param {string} format - 'csv' | 'xlsx' | 'jsonl'
+ * @returns {Promise<{audits: number, rows: number}>}
+ * @throws {Error} code INVALID_QUERY (status 400) before anything is written
+ */
+export async function streamAuditExport(res, userId, query, format) {
+  const filter = buildAuditFilter(userId, query);
+  const cursor = Audit.find(filter)
+    .select('-openaiResponse -geminiResponse -extractedText -job -versions')
+    .sort({ createdAt: -1, _id: -1 })
+    .lean()
+    .cursor();
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="audits-${stamp}.${format}"`
+  });
+
+  let audits = 0;
+  let rows = 0;
+
+  try {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+      const sheet = workbook.addWorksheet('Audits');
+      sheet.columns = COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+      for await (const audit of cursor) {
+        if (res.destroyed) break;
+        audits += 1;
+        for (const row of auditToRows(audit)) {
+          sheet.addRow(row).commit();
+          rows += 1;
+        }
+      }
+      sheet.commit();
+      await workbook.commit();
+      return { audits, rows };
+    }
+
+    if (format === 'csv') {
+      // BOM so Excel opens UTF-8 (Hindi) text correctly
+      await write(res, '\uFEFF' + csvLine(COLUMNS.map(c => c.header)));
+    }
+    for await (const audit of cursor) {
+      if (res.destroyed) break;
+      audits += 1;
+      for (const row of auditToRows(audit)) {
+        await write(res, format === 'csv'
+          ? csvLine(COLUMNS.map(c => row[c.key]))
+          : JSON.stringify(row) + '\n');
+        rows += 1;
+      }
+    }
+    res.end();
+    return { audits, rows };
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+}
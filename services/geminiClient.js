@@ -3,7 +3,7 @@ import { GoogleGenerativeAI } from "@google/generative-ai";
 // Initialize Gemini client (singleton pattern)
 let genAI = null;
 
-function getGenAI() {
+export function getGenAI() {
   if (!genAI) {
     if (!process.env.GEMINI_API_KEY) {
       throw new Error('GEMINI_API_KEY environment variable is not set');
@@ -14,7 +14,7 @@ function getGenAI() {
 }
 
 // Model: gemini-1.5-flash (FREE tier)
-const GEMINI_MODEL = "gemini-1.5-flash";
+export const GEMINI_MODEL = "gemini-1.5-flash";
 
 /**
  * Run Gemini API using official @google/generative-ai SDK
@@ -0,0 +1,227 @@
+/**
+ * INDUSTRY AUDIT PROFILES
+ *
+ * The `industry` audit parameter selects a profile that decides:
+ * - which built-in rule packs apply
+ * - extra context for the audit prompt
+ * - severity weights and rule-pack weights for the deterministic risk score (see riskScoring.js)
+ * - disclaimers the content must carry (checked as a rule pack)
+ *
+ * Unknown or missing industries fall back to the 'general' profile (all packs, default weights).
+ */
+
+export const DEFAULT_SEVERITY_WEIGHTS = { critical: 20, high: 20, medium: 10, low: 5 };
+
+const ALL_PACKS = ['dmr-act', 'asci-healthcare', 'dpdp-personal-data'];
+
+/**
+ * Profile fields:
+ *   rulePacks       - built-in rule pack ids to run
+ *   promptContext   - extra audit prompt text
+ *   severityWeights - risk points per violation severity
+ *   packWeights     - override a rule pack's own scoreWeight for this industry (optional)
+ *   disclaimers     - [{ id, name, phrases, requiredWhen }], phrases and triggers keyed by content
+ *                     language (contentLanguages.js codes); only checked on content in a listed language
+ */
+const PROFILES = [
+  {
+    id: 'general',
+    name: 'General Healthcare',
+    aliases: ['general', 'healthcare', 'health', 'other'],
+    rulePacks: ALL_PACKS,
+    promptContext: '',
+    severityWeights: DEFAULT_SEVERITY_WEIGHTS,
+    disclaimers: []
+  },
+  {
+    id: 'hospital',
+    name: 'Hospital / Clinic',
+    aliases: ['hospital', 'hospitals', 'clinic', 'clinics', 'nursing home', 'doctor'],
+    rulePacks: ALL_PACKS,
+    promptContext: 'The advertiser is a hospital or clinic. Apply NMC ethical standards on doctor promotion (no self-praise, no inducements, no patient testimonials with outcomes) and ASCI rules on success-rate and "best hospital" claims.',
+    severityWeights: { critical: 25, high: 20, medium: 10, low: 5 },
+    disclaimers: [
+      {
+        id: 'results-vary',
+        name: 'Individual results may vary',
+        phrases: {
+          en: ['results may vary', 'individual results may vary', 'results vary'],
+          hi: ['परिणाम अलग हो सकते हैं', 'परिणाम व्यक्ति के अनुसार अलग']
+        },
+        requiredWhen: {
+          en: ['success rate', 'results', 'outcome', 'outcomes', 'recovery'],
+          hi: ['परिणाम']
+        }
+      }
+    ]
+  },
+  {
+    id: 'pharma',
+    name: 'Pharmaceutical',
+    aliases: ['pharma', 'pharmaceutical', 'pharmaceuticals', 'drug', 'drugs', 'medicine', 'otc'],
+    rulePacks: ALL_PACKS,
+    promptContext: 'The advertiser is a pharmaceutical company. Apply the Drugs & Cosmetics Act (Schedule H/H1/X drugs may not be advertised to the public, Rule 106 and Schedule J disease claims) and the UCPMP code on promotion to healthcare professionals.',
+    severityWeights: { critical: 30, high: 25, medium: 10, low: 5 },
+    disclaimers: [
+      {
+        id: 'rmp-use',
+        name: 'Prescription / RMP use statement',
+        phrases: {
+          en: ['registered medical practitioner', 'consult your doctor', 'use under medical supervision', 'as directed by a physician'],
+          hi: ['डॉक्टर की सलाह', 'चिकित्सक की सलाह']
+        },
+        requiredWhen: {}
+      }
+    ]
+  },
+  {
+    id: 'diagnostics',
+    name: 'Diagnostics Lab',
+    aliases: ['diagnostics', 'diagnostic', 'diagnostics lab', 'diagnostic lab', 'lab', 'pathology', 'radiology'],
+    rulePacks: ALL_PACKS,
+    promptContext: 'The advertiser is a diagnostics laboratory. Watch for claims that a test diagnoses or rules out disease on its own, accuracy guarantees, NABL accreditation claims, and handling of patient reports (DPDP health data).',
+    severityWeights: { critical: 20, high: 20, medium: 10, low: 5 },
+    // Lab reports are health data
+    packWeights: { 'dpdp-personal-data': 1.5 },
+    disclaimers: [
+      {
+        id: 'clinical-correlation',
+        name: 'Clinical correlation statement',
+        phrases: {
+          en: ['clinical correlation', 'clinically correlated', 'interpreted by a qualified doctor', 'consult your doctor'],
+          hi: ['डॉक्टर की सलाह']
+        },
+        requiredWhen: {
+          en: ['report', 'reports', 'test', 'tests'],
+          hi: ['रिपोर्ट', 'जांच']
+        }
+      }
+    ]
+  },
+  {
+    id: 'ayush',
+    name: 'Ayurveda / AYUSH',
+    aliases: ['ayush', 'ayurveda', 'ayurvedic', 'homeopathy', 'homoeopathy', 'unani', 'siddha', 'herbal'],
+    rulePacks: ALL_PACKS,
+    promptContext: 'The advertiser sells Ayurveda, Siddha, Unani or Homoeopathy (AYUSH) products. Apply Rule 170 of the Drugs and Cosmetics Rules (no misleading or exaggerated claims for ASU drugs) and the DMR Act strictly; "natural" or "herbal" does not imply safety.',
+    severityWeights: { critical: 30, high: 25, medium: 10, low: 5 },
+    // Rule 170 and the DMR Act are the main enforcement routes for AYUSH advertising
+    packWeights: { 'dmr-act': 2 },
+    disclaimers: [
+      {
+        id: 'consult-physician',
+        name: 'Consult a physician',
+        phrases: {
+          en: ['consult your doctor', 'consult a physician', 'consult an ayurvedic physician', 'under medical supervision'],
+          hi: ['डॉक्टर की सलाह', 'चिकित्सक की सलाह', 'वैद्य की सलाह']
+        },
+        requiredWhen: {}
+      }
+    ]
+  },
+  {
+    id: 'healthtech',
+    name: 'Health-tech App',
+    aliases: ['healthtech', 'health-tech', 'health tech', 'app', 'health app', 'telemedicine', 'digital health'],
+    rulePacks: ALL_PACKS,
+    promptContext: 'The advertiser is a health-tech app or telemedicine platform. Apply the Telemedicine Practice Guidelines 2020, DPDP Act consent and purpose limitation for health data, and ASCI rules on AI/diagnosis accuracy claims.',
+    severityWeights: { critical: 25, high: 20, medium: 10, low: 5 },
+    packWeights: { 'dpdp-personal-data': 1.5 },
+    disclaimers: [
+      {
+        id: 'not-medical-advice',
+        name: 'Not a substitute for medical advice',
+        phrases: {
+          en: ['not a substitute for professional medical advice', 'not a substitute for medical advice', 'does not replace a doctor', 'consult your doctor'],
+          hi: ['चिकित्सकीय सलाह का विकल्प नहीं']
+        },
+        requiredWhen: {}
+      }
+    ]
+  },
+  {
+    id: 'insurance',
+    name: 'Health Insurance',
+    aliases: ['insurance', 'health insurance', 'insurer', 'tpa'],
+    rulePacks: ['asci-healthcare', 'dpdp-personal-data'],
+    promptContext: 'The advertiser is a health insurer or intermediary. Apply the IRDAI advertisement regulations: no guaranteed claim settlement, clear exclusions and waiting periods, and the standard solicitation statement.',
+    severityWeights: { critical: 20, high: 20, medium: 10, low: 5 },
+    disclaimers: [
+      {
+        id: 'solicitation',
+        name: 'IRDAI solicitation statement',
+        phrases: {
+          en: ['insurance is the subject matter of solicitation'],
+          hi: ['बीमा आग्रह की विषयवस्तु है']
+        },
+        requiredWhen: {}
+      }
+    ]
+  }
+];
+
+export const INDUSTRY_PROFILE_IDS = PROFILES.map(p => p.id);
+
+/**
+ * Resolve an industry value (id or alias, case-insensitive) to a profile
+ */
+export function resolveIndustryProfile(industry) {
+  const key = (industry || '').toString().trim().toLowerCase();
+  const profile = PROFILES.find(p => p.id === key || p.aliases.includes(key));
+  if (!profile && key) {
+    console.warn(`⚠️  Unknown industry "${industry}", using general profile`);
+  }
+  return profile || PROFILES[0];
+}
+
+/**
+ * Short description of the applied profile (reported in audit results)
+ */
+export function profileSummary(profile) {
+  return { id: profile.id, name: profile.name, rulePacks: profile.rulePacks };
+}
+
+// Hinglish creatives carry their disclaimers in English
+const DISCLAIMER_LANGUAGE_FALLBACK = { 'hi-Latn': 'en' };
+
+// One variant per language with a phrasing; a disclaimer in any of them is accepted
+function disclaimerVariants({ phrases, requiredWhen = {} }) {
+  const accepted = Object.values(phrases).flat();
+  const langs = [...Object.keys(phrases), ...Object.keys(DISCLAIMER_LANGUAGE_FALLBACK)];
+  const variants = {};
+  for (const lang of langs) {
+    const source = phrases[lang] ? lang : DISCLAIMER_LANGUAGE_FALLBACK[lang];
+    if (!phrases[source] || variants[lang]) continue;
+    variants[lang] = { required: accepted, requiredWhen: requiredWhen[source] || [] };
+  }
+  return variants;
+}
+
+/**
+ * Required disclaimers as an engine rule pack (empty rules when the profile has none)
+ * Content in a language the disclaimer has no phrasing for is not checked (see variantScope in rules/engine.js).
+ */
+export function profileDisclaimerPack(profile) {
+  return {
+    id: `profile:${profile.id}`,
+    name: `${profile.name} Disclaimers`,
+    version: '1.1.0',
+    lawReference: `${profile.name} advertising disclosure requirements`,
+    rules: profile.disclaimers.map(d => ({
+      id: `disclaimer-${profile.id}-${d.id}`,
+      severity: 'MEDIUM',
+      description: `Required disclaimer is missing: ${d.name}.`,
+      guidance: `Without this disclosure readers may take the claims at face value, which ${profile.name.toLowerCase()} advertising standards expect to be qualified.`,
+      variants: disclaimerVariants(d)
+    }))
+  };
+}
+
+/**
+ * Risk points for one violation of the given severity
+ */
+export function severityWeight(weights, severity) {
+  const w = weights || DEFAULT_SEVERITY_WEIGHTS;
+  const s = (severity || '').toString().toLowerCase();
+  return w[s] ?? w.medium ?? DEFAULT_SEVERITY_WEIGHTS.medium;
+}
@@ -0,0 +1,101 @@
+/**
+ * Canned responses for the mock LLM provider, keyed by task
+ * Shapes mirror the JSON schemas requested by each prompt.
+ */
+
+export default {
+  // auditService.runRewriteAudit
+  'rewrite-audit': {
+    summary: 'The content makes an absolute cure claim for a chronic disease.',
+    issues: [
+      {
+        severity: 'HIGH',
+        regulation: 'Drugs & Magic Remedies Act',
+        description: 'Claims a permanent cure for diabetes.',
+        evidence_line: 'Our herbal tonic cures diabetes permanently',
+        guidance: 'Cure claims for scheduled diseases are prohibited because they can lead patients to abandon prescribed treatment.',
+        fixed_line: 'Our herbal tonic may support overall wellbeing alongside medical care.',
+        fixed_line_b: 'Our herbal tonic is a wellness product and is not a treatment for diabetes.'
+      }
+    ]
+  },
+
+  // auditService.critiqueAudit (deep mode second pass)
+  'audit-critique': {
+    summary: 'The content makes an absolute cure claim for a chronic disease; the first-pass finding is confirmed.',
+    issues: [
+      {
+        severity: 'HIGH',
+        regulation: 'Drugs & Magic Remedies Act',
+        description: 'Claims a permanent cure for diabetes.',
+        evidence_line: 'Our herbal tonic cures diabetes permanently',
+        guidance: 'Cure claims for scheduled diseases are prohibited because they can lead patients to abandon prescribed treatment.',
+        fixed_line: 'Our herbal tonic may support overall wellbeing alongside medical care.',
+        fixed_line_b: 'Our herbal tonic is a wellness product and is not a treatment for diabetes.'
+      }
+    ]
+  },
+
+  // contentAuditService.runVisionAudit
+  'vision-audit': {
+    summary: 'The image shows an absolute health claim.',
+    extracted_text: 'SlimFast Herbal Capsules\nLose 10 kg in 30 days - 100% guaranteed!',
+    issues: [
+      {
+        severity: 'HIGH',
+        description: 'Image text promises guaranteed weight loss.',
+        evidence: 'Lose 10 kg in 30 days - 100% guaranteed!',
+        guidance: 'Guaranteed outcome claims in healthcare advertising overstate results that vary between individuals.',
+        recommended_fix: 'Replace the guarantee with a statement that results vary by individual.'
+      }
+    ]
+  },
+
+  // contentAuditService.critiqueVisionAudit (deep mode second pass for images)
+  'vision-critique': {
+    summary: 'The image shows an absolute health claim; the first-pass finding is confirmed.',
+    issues: [
+      {
+        severity: 'HIGH',
+        description: 'Image text promises guaranteed weight loss.',
+        evidence: 'Lose 10 kg in 30 days - 100% guaranteed!',
+        guidance: 'Guaranteed outcome claims in healthcare advertising overstate results that vary between individuals.',
+        recommended_fix: 'Replace the guarantee with a statement that results vary by individual.'
+      }
+    ]
+  },
+
+  // openaiClient.runOpenAIAudit (email audit)
+  'email-audit': {
+    risk_level: 'High',
+    compliance_flags: ['absolute-claim'],
+    summary: 'The email makes an unsubstantiated cure claim.',
+    recommended_actions: [],
+    detected_content_types: ['text'],
+    issues: [
+      {
+        severity: 'high',
+        rule_pack: 'Drugs & Magic Remedies Act',
+        violation: 'The email claims a permanent cure for diabetes.',
+        law_reference: 'Drugs and Magic Remedies (Objectionable Advertisements) Act, 1954',
+        evidence: '"Our herbal tonic cures diabetes permanently"',
+        guidance: 'The Act treats cure assertions for scheduled diseases as inherently deceptive, since vulnerable patients may forgo proven medical care on the strength of such wording.',
+        recommended_fix: 'RECOMMENDED FIX\nOption A:\n"Our herbal tonic may support overall wellbeing alongside medical care."\n\nOption B:\n"Our herbal tonic is a wellness product and not a diabetes treatment."'
+      }
+    ],
+    status: 'NON_COMPLIANT',
+    explanation: 'One high-severity cure claim was found.'
+  },
+
+  // openaiClient.runOpenAIAudit regeneration prompts
+  'regenerate-fix': {
+    recommended_fix: 'RECOMMENDED FIX\nOption A:\n"Our herbal tonic may support overall wellbeing alongside medical care."\n\nOption B:\n"Our herbal tonic is a wellness product and not a diabetes treatment."'
+  },
+  'regenerate-issue': {
+    guidance: 'The Act treats cure assertions for scheduled diseases as inherently deceptive, since vulnerable patients may forgo proven medical care on the strength of such wording.',
+    recommended_fix: 'RECOMMENDED FIX\nOption A:\n"Our herbal tonic may support overall wellbeing alongside medical care."\n\nOption B:\n"Our herbal tonic is a wellness product and not a diabetes treatment."'
+  },
+
+  // openaiClient.ensureEnglishTranslation (plain text)
+  translate: 'Mock English translation.'
+};
@@ -0,0 +1,51 @@
+/**
+ * Gemini LLM provider
+ * Uses the shared Gemini client from geminiClient.js
+ */
+
+import axios from 'axios';
+import { getGenAI, GEMINI_MODEL } from '../geminiClient.js';
+
+// Gemini needs inline image bytes; remote URLs are downloaded first.
+async function toInlineImagePart(imageUrl) {
+  const match = /^data:([^;,]+);base64,(.+)$/s.exec(imageUrl || '');
+  if (match) {
+    return { inlineData: { mimeType: match[1], data: match[2] } };
+  }
+
+  const res = await axios.get(imageUrl, { responseType: 'arraybuffer', timeout: 20000 });
+  const mimeType = (res.headers['content-type'] || 'image/jpeg').split(';')[0];
+  return { inlineData: { mimeType, data: Buffer.from(res.data).toString('base64') } };
+}
+
+export const geminiProvider = {
+  name: 'gemini',
+  model: process.env.GEMINI_MODEL || GEMINI_MODEL,
+
+  isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+  },
+
+  missingConfigMessage: 'GEMINI_API_KEY not set',
+
+  /**
+   * @param {Object} request - Same shape as openaiProvider.complete
+   * @returns {Promise<string>} Raw model output
+   */
+  async complete({ system, prompt, images = [], json = false, maxTokens }) {
+    const model = getGenAI().getGenerativeModel({
+      model: this.model,
+      ...(system ? { systemInstruction: system } : {}),
+      generationConfig: {
+        temperature: 0,
+        topP: 1,
+        ...(maxTokens ? { maxOutputTokens: maxTokens } : {}),
+        ...(json ? { responseMimeType: 'application/json' } : {})
+      }
+    });
+
+    const imageParts = await Promise.all(images.map(toInlineImagePart));
+    const result = await model.generateContent([{ text: prompt }, ...imageParts]);
+    return result?.response?.text() || '';
+  }
+};
@@ -0,0 +1,92 @@
+/**
+ * LLM PROVIDER REGISTRY
+ *
+ * Every audit prompt goes through a provider with one method:
+ *   complete({ task, system, prompt, images?, json?, maxTokens? }) → Promise<string>
+ *
+ * `task` names the prompt (e.g. 'rewrite-audit') so the mock provider can answer from fixtures.
+ * Selection order: explicit name (per request) → LLM_PROVIDER env → 'openai'.
+ *
+ * Personal identifiers (Aadhaar, PAN, phones, ...) are swapped for placeholders before every
+ * call and restored in the output, so no provider ever receives them verbatim.
+ */
+
+import { openaiProvider } from './openaiProvider.js';
+import { geminiProvider } from './geminiProvider.js';
+import { mockProvider } from './mockProvider.js';
+import { createPIIVault, redactPII, restorePII } from '../piiService.js';
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  gemini: geminiProvider,
+  mock: mockProvider
+};
+
+export const LLM_PROVIDERS = Object.keys(PROVIDERS);
+
+export function isValidProviderName(name) {
+  return LLM_PROVIDERS.includes((name || '').toString().toLowerCase());
+}
+
+/**
+ * Resolve the provider name for a request
+ */
+export function resolveProviderName(name) {
+  const requested = (name || process.env.LLM_PROVIDER || 'openai').toString().trim().toLowerCase();
+  if (!isValidProviderName(requested)) {
+    const error = new Error(`Unknown LLM provider: ${requested}. Must be one of: ${LLM_PROVIDERS.join(', ')}`);
+    error.code = 'INVALID_PROVIDER';
+    error.status = 400;
+    throw error;
+  }
+  return requested;
+}
+
+const PLACEHOLDER_NOTE = `Tokens such as [AADHAAR_1], [PHONE_2] or [NAME_1] are redacted personal data. Treat them as the real values and copy them exactly as written when quoting evidence.`;
+
+// Redact prompts before the call, restore placeholders in the raw output
+function withPIIRedaction(provider) {
+  return {
+    ...provider,
+    async complete(request) {
+      const vault = createPIIVault();
+      const prompt = redactPII(request.prompt, vault);
+      const system = request.system ? redactPII(request.system, vault) : request.system;
+      if (vault.size === 0) {
+        return provider.complete(request);
+      }
+
+      console.log(`🔒 Redacted ${vault.size} personal identifier(s) before ${provider.name} call (${request.task || 'untitled'})`);
+      const output = await provider.complete({
+        ...request,
+        prompt,
+        system: system ? `${system}\n\n${PLACEHOLDER_NOTE}` : PLACEHOLDER_NOTE
+      });
+      return restorePII(output, vault);
+    }
+  };
+}
+
+const REDACTING_PROVIDERS = Object.fromEntries(
+  Object.entries(PROVIDERS).map(([name, provider]) => [name, withPIIRedaction(provider)])
+);
+
+/**
+ * Get a provider by name (or the configured default)
+ */
+export function getLLMProvider(name) {
+  return REDACTING_PROVIDERS[resolveProviderName(name)];
+}
+
+/**
+ * Get a provider and fail fast when its credentials are missing
+ */
+export function requireLLMProvider(name) {
+  const provider = getLLMProvider(name);
+  if (!provider.isConfigured()) {
+    const error = new Error(provider.missingConfigMessage);
+    error.code = 'MISSING_API_KEY';
+    throw error;
+  }
+  return provider;
+}
@@ -0,0 +1,52 @@
+/**
+ * Mock LLM provider (offline, deterministic)
+ * Returns canned responses from fixtures so the audit pipeline runs without network access.
+ * Select with LLM_PROVIDER=mock or { provider: 'mock' } on a request.
+ */
+
+import defaultFixtures from './fixtures/mockResponses.js';
+
+let fixtures = { ...defaultFixtures };
+
+/**
+ * Override the canned response for a task (tests / local experiments)
+ */
+export function setMockFixture(task, response) {
+  fixtures[task] = response;
+}
+
+/**
+ * Restore the bundled fixtures
+ */
+export function resetMockFixtures() {
+  fixtures = { ...defaultFixtures };
+}
+
+export const mockProvider = {
+  name: 'mock',
+  model: 'mock-fixtures',
+
+  isConfigured() {
+    return true;
+  },
+
+  missingConfigMessage: '',
+
+  /**
+   * @param {Object} request - Same shape as openaiProvider.complete, plus `task`
+   * @returns {Promise<string>} Canned output for request.task
+   */
+  async complete({ task, json = false }) {
+    if (!task || !(task in fixtures)) {
+      const error = new Error(`No mock fixture for task: ${task || '(none)'}`);
+      error.code = 'MOCK_FIXTURE_MISSING';
+      throw error;
+    }
+
+    const fixture = fixtures[task];
+    if (json || typeof fixture !== 'string') {
+      return JSON.stringify(fixture);
+    }
+    return fixture;
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * OpenAI LLM provider (default)
+ * Uses the shared OpenAI client from openaiClient.js
+ */
+
+import { getOpenAIClient } from '../openaiClient.js';
+
+const OPENAI_MODEL = 'gpt-4o-mini';
+
+export const openaiProvider = {
+  name: 'openai',
+  model: OPENAI_MODEL,
+
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  },
+
+  missingConfigMessage: 'OPENAI_API_KEY not set',
+
+  /**
+   * @param {Object} request
+   * @param {string} request.system - System prompt (optional)
+   * @param {string} request.prompt - User prompt
+   * @param {string[]} request.images - Image URLs or data URLs (vision)
+   * @param {boolean} request.json - Request a JSON object response
+   * @param {number} request.maxTokens - Max output tokens (optional)
+   * @returns {Promise<string>} Raw model output
+   */
+  async complete({ system, prompt, images = [], json = false, maxTokens }) {
+    const client = getOpenAIClient();
+
+    const messages = [];
+    if (system) {
+      messages.push({ role: 'system', content: system });
+    }
+    messages.push({
+      role: 'user',
+      content: images.length > 0
+        ? [
+            { type: 'text', text: prompt },
+            ...images.map(url => ({ type: 'image_url', image_url: { url } }))
+          ]
+        : prompt
+    });
+
+    const completion = await client.chat.completions.create({
+      model: OPENAI_MODEL,
+      messages,
+      temperature: 0, // Deterministic: same input = same output
+      top_p: 1,
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    return completion.choices[0]?.message?.content || '';
+  }
+};
@@ -4,9 +4,12 @@
  * Using MongoDB-only architecture
  */
 
+import mongoose from 'mongoose';
 import Audit from '../models/Audit.js';
 import AuditHistory from '../models/AuditHistory.js';
 import User from '../models/User.js';
+import { scoreViolations } from './riskScoring.js';
+import { resolveIndustryProfile } from './industryProfiles.js';
 
 // =======================================================
 // AUDIT OPERATIONS
@@ -59,6 +62,160 @@ export async function getUserAudits(userId, options = {}) {
     .exec();
 }
 
+/* ---- AUDIT SEARCH ---- */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const RESULT_STATUSES = ['COMPLIANT', 'NON_COMPLIANT', 'NEEDS_REVIEW'];
+const AUDIT_STATES = ['pending', 'processing', 'completed', 'failed'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  error.status = 400;
+  return error;
+}
+
+// Accepts "a,b", ["a", "b"] or ["a,b"]
+function listParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(v => v.toString().split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function dateParam(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw invalidQuery(`${name} must be an ISO date`);
+  return date;
+}
+
+function numberParam(value, name) {
+  if (value === undefined || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw invalidQuery(`${name} must be a number`);
+  return n;
+}
+
+function encodeCursor(audit) {
+  return Buffer.from(`${new Date(audit.createdAt).getTime()}:${audit._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [ms, id] = Buffer.from(cursor.toString(), 'base64url').toString().split(':');
+  if (!ms || !Number.isFinite(Number(ms)) || !mongoose.isValidObjectId(id)) {
+    throw invalidQuery('cursor is invalid');
+  }
+  return { createdAt: new Date(Number(ms)), _id: new mongoose.Types.ObjectId(id) };
+}
+
+/**
+ * Build the MongoDB filter for a user's audit history
+ * @throws {Error} code INVALID_QUERY (status 400)
+ */
+export function buildAuditFilter(userId, query = {}) {
+  const filter = { userId };
+
+  const sourceTypes = listParam(query.sourceType);
+  if (sourceTypes.length > 0) filter.sourceType = { $in: sourceTypes };
+
+  const modes = listParam(query.mode);
+  if (modes.length > 0) filter.mode = { $in: modes };
+
+  // Audits created by one POST /api/audit/batch request
+  const batch = (query.batch || '').toString().trim();
+  if (batch) filter['sourceMetadata.batchId'] = batch;
+
+  // Compliance result (COMPLIANT / NON_COMPLIANT / NEEDS_REVIEW)
+  const statuses = listParam(query.status).map(s => s.toUpperCase());
+  const badStatus = statuses.find(s => !RESULT_STATUSES.includes(s));
+  if (badStatus) throw invalidQuery(`status must be one of: ${RESULT_STATUSES.join(', ')}`);
+  if (statuses.length > 0) filter['auditResult.status'] = { $in: statuses };
+
+  // Processing state (pending / processing / completed / failed)
+  const states = listParam(query.state).map(s => s.toLowerCase());
+  const badState = states.find(s => !AUDIT_STATES.includes(s));
+  if (badState) throw invalidQuery(`state must be one of: ${AUDIT_STATES.join(', ')}`);
+  if (states.length > 0) filter.status = { $in: states };
+
+  const from = dateParam(query.from, 'from');
+  const to = dateParam(query.to, 'to');
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const minRisk = numberParam(query.minRisk, 'minRisk');
+  const maxRisk = numberParam(query.maxRisk, 'maxRisk');
+  if (minRisk !== null || maxRisk !== null) {
+    filter['auditResult.risk_score'] = {};
+    if (minRisk !== null) filter['auditResult.risk_score'].$gte = minRisk;
+    if (maxRisk !== null) filter['auditResult.risk_score'].$lte = maxRisk;
+  }
+
+  // Audits with at least one violation from the given rule packs / rules
+  const rulePacks = listParam(query.rulePack);
+  if (rulePacks.length > 0) filter['auditResult.violations.pack_id'] = { $in: rulePacks };
+  const rules = listParam(query.rule);
+  if (rules.length > 0) filter['auditResult.rules_triggered'] = { $in: rules };
+
+  // Severity casing differs between engines (HIGH / High / high)
+  const severities = listParam(query.severity).map(s => s.toLowerCase());
+  const badSeverity = severities.find(s => !SEVERITIES.includes(s));
+  if (badSeverity) throw invalidQuery(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  if (severities.length > 0) {
+    filter['auditResult.violations.severity'] = { $in: severities.map(s => new RegExp(`^${s}$`, 'i')) };
+  }
+
+  // Full-text search over extracted text and violation evidence (text index on Audit)
+  const q = (query.q || '').toString().trim();
+  if (q) filter.$text = { $search: q };
+
+  return filter;
+}
+
+/**
+ * Search a user's audits with filters and cursor pagination (newest first)
+ *
+ * @param {string} userId
+ * @param {Object} query - { sourceType, mode, batch, status, state, from, to, minRisk, maxRisk, rulePack, rule, severity, q, limit, cursor }
+ * @returns {Promise<{audits: Object[], total: number, nextCursor: string|null}>}
+ * @throws {Error} code INVALID_QUERY (status 400)
+ */
+export async function searchUserAudits(userId, query = {}) {
+  const filter = buildAuditFilter(userId, query);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(query.limit) || DEFAULT_PAGE_SIZE));
+
+  const pageFilter = { ...filter };
+  if (query.cursor) {
+    const { createdAt, _id } = decodeCursor(query.cursor);
+    pageFilter.$and = [
+      { $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }] }
+    ];
+  }
+
+  const [audits, total] = await Promise.all([
+    Audit.find(pageFilter)
+      .select('-openaiResponse -geminiResponse -job.input -job.events -versions')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean(),
+    Audit.countDocuments(filter)
+  ]);
+
+  const hasMore = audits.length > limit;
+  const page = hasMore ? audits.slice(0, limit) : audits;
+  return {
+    audits: page,
+    total,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
 /**
  * Get audit by ID
  */
@@ -82,6 +239,85 @@ export async function updateAuditStatus(userId, auditId, status, auditResult = n
   );
 }
 
+/**
+ * Delete audit (returns the deleted document, or null when not found)
+ */
+export async function deleteAudit(userId, auditId) {
+  return await Audit.findOneAndDelete({ _id: auditId, userId });
+}
+
+/**
+ * Replace an audit's result after a re-run, keeping the previous result in versions
+ * Fails (returns null) if the audit was re-run concurrently.
+ */
+export async function saveAuditVersion(userId, auditId, currentVersion, fields, previous) {
+  // Audits saved before versioning have no stored version (treated as 1)
+  const versionFilter = currentVersion === 1 ? { $in: [1, null] } : currentVersion;
+
+  return await Audit.findOneAndUpdate(
+    { _id: auditId, userId, version: versionFilter },
+    {
+      $set: { ...fields, version: currentVersion + 1 },
+      $push: { versions: previous }
+    },
+    { new: true }
+  );
+}
+
+// Results scored before riskScoring.js ran 100 = no findings down to 0 and stored no score_breakdown
+const LEGACY_SCORE = { risk_score: { $type: 'number' }, score_breakdown: { $exists: false } };
+
+function rescoreLegacy(auditResult, industry) {
+  if (typeof auditResult?.risk_score !== 'number' || auditResult.score_breakdown) return null;
+  return scoreViolations(auditResult.violations, resolveIndustryProfile(industry));
+}
+
+/**
+ * Rescore audits saved with the old score direction (100 = no findings) from their stored violations,
+ * so history filters, exports, version lists and batch summaries compare like with like
+ * Runs at startup; documents already rescored have a score_breakdown and are skipped.
+ *
+ * @returns {Promise<number>} Number of audits updated
+ */
+export async function migrateLegacyRiskScores() {
+  const legacy = Object.fromEntries(Object.entries(LEGACY_SCORE).map(([k, v]) => [`auditResult.${k}`, v]));
+  const cursor = Audit.find({ $or: [legacy, { versions: { $elemMatch: legacy } }] })
+    .select('auditResult sourceMetadata versions')
+    .lean()
+    .cursor();
+
+  let ops = [];
+  let migrated = 0;
+  const flush = async () => {
+    if (ops.length === 0) return;
+    await Audit.bulkWrite(ops, { ordered: false });
+    migrated += ops.length;
+    ops = [];
+  };
+
+  for await (const audit of cursor) {
+    const set = {};
+    const current = rescoreLegacy(audit.auditResult, audit.sourceMetadata?.industryProfile || audit.sourceMetadata?.industry);
+    if (current) {
+      set['auditResult.risk_score'] = current.score;
+      set['auditResult.score_breakdown'] = current.breakdown;
+    }
+    (audit.versions || []).forEach((v, i) => {
+      const previous = rescoreLegacy(v.auditResult, v.industryProfile);
+      if (!previous) return;
+      set[`versions.${i}.auditResult.risk_score`] = previous.score;
+      set[`versions.${i}.auditResult.score_breakdown`] = previous.breakdown;
+    });
+    if (Object.keys(set).length === 0) continue;
+    ops.push({ updateOne: { filter: { _id: audit._id }, update: { $set: set } } });
+    if (ops.length >= 500) await flush();
+  }
+  await flush();
+
+  if (migrated > 0) console.log(`🔁 Rescored ${migrated} audit(s) saved with the old risk score direction`);
+  return migrated;
+}
+
 // =======================================================
 // AUDIT HISTORY OPERATIONS
 // =======================================================
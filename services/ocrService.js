@@ -0,0 +1,306 @@
+/**
+ * OCR (Tesseract) WITH INDIAN LANGUAGE PACKS
+ *
+ * Language data is read from local traineddata files, never from a CDN:
+ * TESSDATA_DIR (<lang>.traineddata or <lang>.traineddata.gz) first, then the
+ * @tesseract.js-data/<lang> packages. Files are unpacked once into temp/tessdata
+ * so several languages can share one worker.
+ *
+ * recognizeImage():
+ * 1. probe pass with English plus one language per script → which scripts are present
+ * 2. one pass per candidate language of those scripts (e.g. Hindi and Marathi for Devanagari)
+ * 3. for every text region (paragraph) the highest-confidence reading wins
+ */
+
+import path from 'path';
+import zlib from 'zlib';
+import fs from 'fs-extra';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+const LANG_CACHE_DIR = path.join(__dirname, '../temp/tessdata');
+
+export const OCR_LANGUAGES = {
+  eng: { name: 'English', script: 'Latin' },
+  hin: { name: 'Hindi', script: 'Devanagari' },
+  mar: { name: 'Marathi', script: 'Devanagari' },
+  ben: { name: 'Bengali', script: 'Bengali' },
+  tam: { name: 'Tamil', script: 'Tamil' },
+  tel: { name: 'Telugu', script: 'Telugu' },
+  guj: { name: 'Gujarati', script: 'Gujarati' },
+  kan: { name: 'Kannada', script: 'Kannada' }
+};
+
+// Unicode blocks used to tell scripts apart in OCR output
+const SCRIPT_RANGES = {
+  Devanagari: [0x0900, 0x097f],
+  Bengali: [0x0980, 0x09ff],
+  Gujarati: [0x0a80, 0x0aff],
+  Tamil: [0x0b80, 0x0bff],
+  Telugu: [0x0c00, 0x0c7f],
+  Kannada: [0x0c80, 0x0cff]
+};
+
+// A script counts as present above this share of letters
+const MIN_SCRIPT_SHARE = 0.05;
+// Paragraphs from different passes are the same region when their boxes overlap this much
+const MIN_REGION_OVERLAP = 0.5;
+
+function ocrError(message, code = 'OCR_UNAVAILABLE', status = 503) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/* ---- SCRIPT DETECTION ---- */
+
+function scriptOf(char) {
+  const cp = char.codePointAt(0);
+  if ((cp >= 0x41 && cp <= 0x5a) || (cp >= 0x61 && cp <= 0x7a)) return 'Latin';
+  for (const [script, [from, to]] of Object.entries(SCRIPT_RANGES)) {
+    if (cp >= from && cp <= to) return script;
+  }
+  return null;
+}
+
+/**
+ * Scripts used in a text, by share of letters (largest first)
+ *
+ * @param {string} text
+ * @returns {Array<{script: string, chars: number, share: number}>}
+ */
+export function detectScripts(text) {
+  const counts = {};
+  let total = 0;
+  for (const char of text || '') {
+    const script = scriptOf(char);
+    if (!script) continue;
+    counts[script] = (counts[script] || 0) + 1;
+    total += 1;
+  }
+  return Object.entries(counts)
+    .map(([script, chars]) => ({ script, chars, share: Math.round((chars / total) * 1000) / 1000 }))
+    .sort((a, b) => b.chars - a.chars);
+}
+
+/* ---- LANGUAGE DATA ---- */
+
+function traineddataSource(lang) {
+  const dir = process.env.TESSDATA_DIR;
+  if (dir) {
+    for (const file of [`${lang}.traineddata`, `${lang}.traineddata.gz`]) {
+      const candidate = path.resolve(dir, file);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+  try {
+    const pkgDir = path.dirname(require.resolve(`@tesseract.js-data/${lang}/package.json`));
+    const candidate = path.join(pkgDir, '4.0.0_best_int', `${lang}.traineddata.gz`);
+    if (fs.existsSync(candidate)) return candidate;
+  } catch {
+    // package not installed
+  }
+  return null;
+}
+
+const preparedLanguages = new Map();
+
+// Unpack a language into LANG_CACHE_DIR once; resolves to false when no data is available
+function prepareLanguage(lang) {
+  if (!preparedLanguages.has(lang)) {
+    preparedLanguages.set(lang, (async () => {
+      const target = path.join(LANG_CACHE_DIR, `${lang}.traineddata`);
+      if (await fs.pathExists(target)) return true;
+
+      const source = traineddataSource(lang);
+      if (!source) {
+        console.warn(`⚠️  No traineddata for OCR language "${lang}" (set TESSDATA_DIR or install @tesseract.js-data/${lang})`);
+        return false;
+      }
+      const data = await fs.readFile(source);
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.ensureDir(LANG_CACHE_DIR);
+      await fs.writeFile(tmp, source.endsWith('.gz') ? zlib.gunzipSync(data) : data);
+      await fs.move(tmp, target, { overwrite: true });
+      return true;
+    })());
+  }
+  return preparedLanguages.get(lang);
+}
+
+/**
+ * Languages OCR may use: OCR_LANGUAGES env (comma-separated codes) or all supported,
+ * narrowed to the ones with traineddata available
+ *
+ * @param {string[]} requested - Optional subset (e.g. from the request)
+ * @returns {Promise<string[]>}
+ */
+export async function availableOcrLanguages(requested) {
+  const configured = (requested?.length ? requested : (process.env.OCR_LANGUAGES || Object.keys(OCR_LANGUAGES).join(',')).split(','))
+    .map(l => l.trim().toLowerCase())
+    .filter(l => OCR_LANGUAGES[l]);
+  const unique = [...new Set(configured)];
+  const ready = await Promise.all(unique.map(prepareLanguage));
+  return unique.filter((_, i) => ready[i]);
+}
+
+/* ---- OCR ---- */
+
+// tesseract.js - loaded on first use
+let Tesseract = null;
+
+async function loadTesseract() {
+  if (!Tesseract) {
+    try {
+      Tesseract = (await import('tesseract.js')).default;
+    } catch {
+      throw ocrError('OCR unavailable: install tesseract.js to extract text from images');
+    }
+  }
+  return Tesseract;
+}
+
+function overlap(a, b) {
+  const w = Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0);
+  const h = Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0);
+  if (w <= 0 || h <= 0) return 0;
+  const smaller = Math.min((a.x1 - a.x0) * (a.y1 - a.y0), (b.x1 - b.x0) * (b.y1 - b.y0));
+  return smaller > 0 ? (w * h) / smaller : 0;
+}
+
+function paragraphsOf(data, languages) {
+  return (data.blocks || [])
+    .flatMap(block => block.paragraphs || [])
+    .map(p => ({ text: (p.text || '').trim(), confidence: p.confidence || 0, bbox: p.bbox, languages }))
+    .filter(p => p.text);
+}
+
+/**
+ * Reusable OCR session: keeps one Tesseract worker per language set until terminate()
+ * Use one session for many images (PDF pages, video frames); recognizeImage() is the one-shot form.
+ *
+ * @param {Object} options - { languages?: string[] } restrict to these language codes
+ * @returns {{recognize: Function, terminate: Function}}
+ */
+export function createOcrSession({ languages } = {}) {
+  const workers = new Map();
+  let languagesPromise = null;
+
+  async function workerFor(langs) {
+    const key = langs.join('+');
+    if (!workers.has(key)) {
+      const tesseract = await loadTesseract();
+      // createWorker never settles on load errors; they only reach errorHandler
+      workers.set(key, new Promise((resolve, reject) => {
+        tesseract.createWorker(key, 1, {
+          langPath: LANG_CACHE_DIR,
+          gzip: false,
+          cacheMethod: 'none',
+          errorHandler: reject
+        }).then(resolve, reject);
+      }));
+    }
+    return await workers.get(key);
+  }
+
+  async function pass(image, langs) {
+    const worker = await workerFor(langs);
+    const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+    return { langs, confidence: data.confidence || 0, paragraphs: paragraphsOf(data, langs) };
+  }
+
+  /**
+   * OCR one image
+   * @param {Buffer|string} image - Image buffer or file path
+   * @returns {Promise<{text: string, confidence: number, languages: string[], scripts: Array, regions: Array}>}
+   * @throws {Error} code OCR_UNAVAILABLE (status 503) when tesseract.js or all language data is missing
+   */
+  async function recognize(image) {
+    languagesPromise ||= availableOcrLanguages(languages);
+    const available = await languagesPromise;
+    if (available.length === 0) {
+      throw ocrError('OCR unavailable: no traineddata found for the configured languages');
+    }
+
+    // 1. Probe with one language per script to find out which scripts the image uses
+    const probeLangs = [];
+    for (const lang of available) {
+      if (!probeLangs.some(l => OCR_LANGUAGES[l].script === OCR_LANGUAGES[lang].script)) probeLangs.push(lang);
+    }
+    const probe = await pass(image, probeLangs);
+    const scripts = detectScripts(probe.paragraphs.map(p => p.text).join('\n'))
+      .filter(s => s.share >= MIN_SCRIPT_SHARE);
+
+    // 2. Re-read with every available language of the detected scripts (English kept for mixed posters)
+    const candidates = available.filter(lang => lang !== 'eng' && scripts.some(s => s.script === OCR_LANGUAGES[lang].script));
+    const passes = [probe];
+    if (candidates.length === 0 && scripts.some(s => s.script === 'Latin') && available.includes('eng') && probeLangs.length > 1) {
+      passes.push(await pass(image, ['eng']));
+    }
+    for (const lang of candidates) {
+      const langs = available.includes('eng') ? [lang, 'eng'] : [lang];
+      if (langs.join('+') !== probeLangs.join('+')) passes.push(await pass(image, langs));
+    }
+
+    // 3. For every region of the probe, keep the reading with the best confidence
+    const regions = probe.paragraphs.map(anchor => {
+      let best = anchor;
+      for (const other of passes.slice(1)) {
+        for (const p of other.paragraphs) {
+          if (p.confidence > best.confidence && overlap(anchor.bbox, p.bbox) >= MIN_REGION_OVERLAP) best = p;
+        }
+      }
+      return best;
+    });
+
+    // Report only the languages whose script a region actually contains (the probe runs them all)
+    for (const region of regions) {
+      const present = detectScripts(region.text).map(s => s.script);
+      region.languages = region.languages.filter(l => present.includes(OCR_LANGUAGES[l].script));
+    }
+
+    const text = regions.map(r => r.text).join('\n\n');
+    const chars = regions.reduce((sum, r) => sum + r.text.length, 0);
+    const confidence = chars > 0
+      ? regions.reduce((sum, r) => sum + r.confidence * r.text.length, 0) / chars
+      : probe.confidence;
+
+    return {
+      text,
+      confidence: Math.round(confidence * 10) / 10,
+      languages: [...new Set(regions.flatMap(r => r.languages))],
+      scripts: detectScripts(text),
+      regions: regions.map(r => ({
+        text: r.text,
+        confidence: Math.round(r.confidence * 10) / 10,
+        languages: r.languages,
+        bbox: r.bbox
+      }))
+    };
+  }
+
+  async function terminate() {
+    const pending = [...workers.values()];
+    workers.clear();
+    await Promise.all(pending.map(p => p.then(w => w.terminate(), () => {}).catch(() => {})));
+  }
+
+  return { recognize, terminate };
+}
+
+/**
+ * OCR a single image (see createOcrSession for the result shape)
+ */
+export async function recognizeImage(image, options = {}) {
+  const session = createOcrSession(options);
+  try {
+    return await session.recognize(image);
+  } finally {
+    await session.terminate();
+  }
+}
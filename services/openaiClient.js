@@ -5,29 +5,17 @@ import os from 'os';
 import path from 'path';
 import { spawn, spawnSync } from 'child_process';
 import { randomUUID, createHash } from 'crypto';
+import { requireLLMProvider } from './llm/index.js';
+import { getRulePacks, runRulePacks, mergeRuleFindings, RULE_PACKS_VERSION } from './rules/index.js';
+import { loadOrganizationRulePacks } from './customRuleService.js';
+import { resolveIndustryProfile } from './industryProfiles.js';
+import { scoreViolations, statusForRiskLevel } from './riskScoring.js';
+import { detectContentLanguage, languageName, isInLanguage, fallbackFixKind, fallbackFixedLine } from './contentLanguages.js';
+import { personalDataFixes } from './piiService.js';
 
 // Initialize OpenAI client (singleton pattern)
 let openaiClient = null;
 
-function detectContentLanguage(text) {
-  const s = (text || '').toString();
-  // Lightweight script-based detection (primarily Hindi vs English).
-  const devanagari = (s.match(/[\u0900-\u097F]/g) || []).length;
-  const latin = (s.match(/[A-Za-z]/g) || []).length;
-
-  if (devanagari >= 20 && devanagari >= latin) return 'hi';
-  return 'en';
-}
-
-function languageName(lang) {
-  switch (lang) {
-    case 'hi':
-      return 'Hindi';
-    default:
-      return 'English';
-  }
-}
-
 function stripEnglishTranslationLine(text) {
   return (text || '')
     .toString()
@@ -42,7 +30,7 @@ function hasEnglishTranslationLine(text) {
 }
 
 // Ensure English translation is added after content if not present (fail-safe)
-async function ensureEnglishTranslation(text, detectedLang, client, systemPrompt, fieldName = 'content') {
+async function ensureEnglishTranslation(text, detectedLang, provider, systemPrompt, fieldName = 'content') {
   if (!text || typeof text !== 'string') return text;
   const trimmed = text.trim();
   if (!trimmed) return text;
@@ -61,22 +49,16 @@ async function ensureEnglishTranslation(text, detectedLang, client, systemPrompt
   console.warn(`⚠️  Missing English translation for ${fieldName}. Generating translation...`);
   
   try {
-    const translationPrompt = `Translate the following ${fieldName} from ${detectedLang === 'hi' ? 'Hindi' : 'the detected language'} to English. Return ONLY the English translation, nothing else.
+    const translationPrompt = `Translate the following ${fieldName} from ${languageName(detectedLang)} to English. Return ONLY the English translation, nothing else.
 
 ${text}`;
 
-    const completion = await client.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt || 'You are a translation assistant.' },
-        { role: 'user', content: translationPrompt }
-      ],
-      temperature: 0,
-      top_p: 1,
-      max_tokens: 500
-    });
-
-    const translation = completion.choices[0]?.message?.content?.trim() || '';
+    const translation = (await provider.complete({
+      task: 'translate',
+      system: systemPrompt || 'You are a translation assistant.',
+      prompt: translationPrompt,
+      maxTokens: 500
+    })).trim();
     
     if (translation && translation.trim().length > 0) {
       const result = `${text}\n(English translation: ${translation})`;
@@ -219,7 +201,7 @@ export async function runOpenAI(prompt) {
   }
 }
 
-function hasFfmpeg() {
+export function hasFfmpeg() {
   try {
     const result = spawnSync('ffmpeg', ['-version'], { stdio: 'ignore' });
     return result.status === 0;
@@ -262,15 +244,12 @@ async function runFfmpegExtractAudio({ inputPath, outputPath }) {
  * @param {string} emailContent - Email body text
  * @param {Array} attachments - Array of attachment objects with {filename, type, text}
  * @param {Object} metadata - Metadata object with {emailId, subject, sender, etc.}
+ * @param {Object} options - Engine options { provider: 'openai' | 'gemini' | 'mock', organizationId, industry }
  * @returns {Promise<Object>} Structured audit result
  */
-export async function runOpenAIAudit(emailContent, attachments = [], metadata = {}) {
-  // Validate API key
-  if (!process.env.OPENAI_API_KEY) {
-    const error = new Error('OPENAI_API_KEY environment variable is not set');
-    error.code = 'MISSING_API_KEY';
-    throw error;
-  }
+export async function runOpenAIAudit(emailContent, attachments = [], metadata = {}, options = {}) {
+  // Validate provider credentials (OPENAI_API_KEY for the default provider)
+  const provider = requireLLMProvider(options.provider);
 
   try {
     // Build comprehensive audit input
@@ -339,49 +318,27 @@ export async function runOpenAIAudit(emailContent, attachments = [], metadata =
 
     // Generate deterministic hash from normalized input + audit type + rule-pack version
     // CRITICAL: Hash must include audit_type to ensure different audit types get different results
-    const rulePackVersion = 'v1.0.0'; // Version marker for rule-pack changes
+    const customPacks = await loadOrganizationRulePacks(options.organizationId);
+    const customPackVersions = customPacks.map(p => `|${p.id}@${p.version}`).join('');
+    const rulePackVersion = `v1.0.0|${RULE_PACKS_VERSION}${customPackVersions}`; // Version marker for rule-pack changes
     const auditType = 'email'; // Audit type (email audit engine)
     const normalizedInput = normalizeForHash(auditInput);
-    const hashInput = `${normalizedInput}|${auditType}|${rulePackVersion}`;
+    // Non-default providers get their own cache entries (keeps existing OpenAI hashes valid)
+    const providerKey = provider.name === 'openai' ? '' : `|${provider.name}`;
+    const hashInput = `${normalizedInput}|${auditType}|${rulePackVersion}${providerKey}`;
     const inputHash = createHash('sha256')
       .update(hashInput)
       .digest('hex');
 
     console.log(`🔑 Generated input hash: ${inputHash.substring(0, 16)}...`);
 
-    // DETERMINISTIC RISK SCORE CALCULATION FUNCTION
-    // Calculate risk_score based ONLY on violations and severity (no AI involvement)
-    // Formula: Start at 100, subtract points based on violation severity
-    // - HIGH severity: -20 points each
-    // - MEDIUM severity: -10 points each
-    // - LOW severity: -5 points each
-    // Final score must always be between 0 and 100
-    // Same violations must always produce same score (deterministic)
-    function calculateDeterministicRiskScore(violations) {
-      if (!Array.isArray(violations) || violations.length === 0) {
-        return 100; // No violations = perfect score (100)
-      }
-
-      let score = 100; // Start at 100 (perfect score)
-      
-      for (const violation of violations) {
-        const severity = (violation?.severity || 'Medium').toString().toLowerCase();
-        
-        if (severity === 'critical' || severity === 'high') {
-          score -= 20;
-        } else if (severity === 'medium') {
-          score -= 10;
-        } else if (severity === 'low') {
-          score -= 5;
-        } else {
-          // Default to medium if unknown
-          score -= 10;
-        }
-      }
-      
-      // Clamp between 0 and 100 (ensures valid range)
-      return Math.min(100, Math.max(0, score));
-    }
+    // DETERMINISTIC RISK SCORE (riskScoring.js): based ONLY on violations, no AI involvement
+    // 0 = no findings, 100 = highest risk; same violations always produce the same score
+    const profile = resolveIndustryProfile(options.industry);
+    const riskOf = violations => {
+      const { score, level, breakdown } = scoreViolations(violations, profile);
+      return { score, breakdown, status: statusForRiskLevel(level), level: level.charAt(0) + level.slice(1).toLowerCase() };
+    };
 
     // Check cache for existing audit result (deterministic lookup)
     try {
@@ -391,20 +348,20 @@ export async function runOpenAIAudit(emailContent, attachments = [], metadata =
         console.log(`✅ Using cached audit result (hash: ${inputHash.substring(0, 16)}...)`);
         const cachedViolations = Array.isArray(cachedAudit.auditResult.violations) ? cachedAudit.auditResult.violations : [];
         // Recalculate risk_score deterministically from violations (ensures consistency even for old cached results)
-        const deterministicRiskScore = calculateDeterministicRiskScore(cachedViolations);
-        const deterministicRiskLevel = deterministicRiskScore >= 70 ? 'High' : deterministicRiskScore >= 40 ? 'Medium' : 'Low';
-        console.log(`   Risk Level: ${deterministicRiskLevel}`);
-        console.log(`   Risk Score: ${deterministicRiskScore} (recalculated deterministically)`);
+        const risk = riskOf(cachedViolations);
+        console.log(`   Risk Level: ${risk.level}`);
+        console.log(`   Risk Score: ${risk.score} (recalculated deterministically)`);
         // Return cached result in the expected format with deterministic score
         return {
-          risk_level: deterministicRiskLevel,
-          risk_score: deterministicRiskScore, // Use deterministic calculation instead of cached AI-generated value
+          risk_level: risk.level,
+          risk_score: risk.score, // Use deterministic calculation instead of cached AI-generated value
+          score_breakdown: risk.breakdown,
           compliance_flags: Array.isArray(cachedAudit.auditResult.compliance_flags) ? cachedAudit.auditResult.compliance_flags : [],
           summary: cachedAudit.auditResult.summary || cachedAudit.auditResult.explanation || 'Audit completed',
           recommended_actions: Array.isArray(cachedAudit.auditResult.recommended_actions) ? cachedAudit.auditResult.recommended_actions : [],
           detected_content_types: Array.isArray(cachedAudit.auditResult.detected_content_types) ? cachedAudit.auditResult.detected_content_types : ['text'],
           violations: cachedViolations,
-          status: deterministicRiskScore >= 70 ? 'NON_COMPLIANT' : 'COMPLIANT',
+          status: risk.status,
           explanation: cachedAudit.auditResult.explanation || cachedAudit.auditResult.summary || 'Audit completed',
           recommended_fix: cachedAudit.auditResult.recommended_fix || cachedAudit.auditResult.recommended_actions?.[0] || 'Review content for compliance.'
         };
@@ -439,7 +396,7 @@ RECOMMENDED FIX CONSTRAINTS (STRICT - MANDATORY):
 - Do NOT give steps, guidance, or regulatory reasoning.
 - Each option must directly replace the original problematic sentence.
 - No bullet points, no paragraphs, no generic advice.
-- Each option MUST be in the detected input language (English or Hindi). Do NOT switch languages. Do NOT translate.
+- Each option MUST be in the detected input language (English, Hindi or another Indian language). Do NOT switch languages. Do NOT translate.
 - Do NOT include any instructional verbs or actions (remove/delete/ensure/add/include/revise/limit/etc.).
 - Do NOT include any explanations, regulatory reasoning, risks, benefits, or justification language.
 - Do NOT include words/phrases like: because, so that, in order to, to avoid, to prevent, to reduce, regulators, regulatory, intent, harm, risk, misleading, penalty, enforcement, compliance.
@@ -456,6 +413,20 @@ UNIQUENESS (MANDATORY):
       langName: languageName(detectedLang)
     });
 
+    // Deterministic rule packs (offsets are relative to the body or to each attachment's text)
+    const rulePacks = [...getRulePacks(), ...customPacks];
+    const ruleFindings = [
+      { location: 'body', text: emailContent },
+      ...(attachments || [])
+        .filter(att => att?.text)
+        .map((att, idx) => ({ location: `attachment:${att.filename || `attachment-${idx + 1}`}`, text: att.text }))
+    ].flatMap(({ location, text }) =>
+      runRulePacks(text, { packs: rulePacks, lang: detectedLang, contentLang: detectContentLanguage(text) }).map(f => ({ ...f, location }))
+    );
+    if (ruleFindings.length > 0) {
+      console.log(`📏 Rule packs matched ${ruleFindings.length} finding(s): ${[...new Set(ruleFindings.map(f => f.rule_id))].join(', ')}`);
+    }
+
     // Build compliance audit prompt
     const prompt = `You are Satark AI, an expert compliance auditor for Indian Healthcare & Data Protection regulations.
 
@@ -537,8 +508,8 @@ ${detectedLang !== 'en' ? `TRANSLATION REQUIREMENT (MANDATORY FOR NON-ENGLISH IN
 
 Return ONLY valid JSON, no markdown, no code blocks.`;
 
-    console.log(`📤 Calling OpenAI audit API`);
-    console.log(`   Model: gpt-4o-mini`);
+    console.log(`📤 Calling LLM audit API`);
+    console.log(`   Provider: ${provider.name} (${provider.model})`);
     console.log(`   Email ID: ${metadata.emailId || 'unknown'}`);
     console.log(`   Attachments: ${attachments.length}`);
     console.log(`   Content Length: ${auditInput.length} characters`);
@@ -603,6 +574,12 @@ Return ONLY valid JSON, no markdown, no code blocks.`;
       const evidenceBody = detectedLang !== 'en' ? stripEnglishTranslationLine(rawEvidence) : rawEvidence;
       const ev = evidenceBody.replace(/^["'\s]+|["'\s]+$/g, '').trim();
 
+      // Personal data: mask or remove the identifier rather than rewrite a claim
+      const personalData = rulePack === 'DPDP Act 2023' ? personalDataFixes(ev) : null;
+      if (personalData) {
+        return `RECOMMENDED FIX\nOption A:\n"${personalData.optionA}"\n\nOption B:\n"${personalData.optionB}"`;
+      }
+
       // Heuristic rewrite (fallback only): soften absolutes, avoid guarantees, avoid cures, avoid personal data details.
       const base = ev.length > 0 ? ev : (issue?.violation || '').toString();
       const softened = base
@@ -617,11 +594,14 @@ Return ONLY valid JSON, no markdown, no code blocks.`;
         : 'Results may vary. Please consult a qualified healthcare professional.';
       const opt2En = 'Results may vary by individual. This information is not a substitute for professional medical advice.';
 
-      // For Hindi, provide a minimal Hindi fallback with English translation line (keeps existing bilingual contract).
-      if (detectedLang === 'hi') {
-        const optAHi = 'परिणाम व्यक्ति के अनुसार अलग हो सकते हैं।';
-        const optBHi = 'यह जानकारी सामान्य है और चिकित्सकीय सलाह का विकल्प नहीं है।';
-        return `RECOMMENDED FIX\nOption A:\n"${optAHi}"\n\nOption B:\n"${optBHi}"\n(English translation: Option A: Results may vary by individual. Option B: This information is general and not a substitute for medical advice.)`;
+      // For Indian languages, provide a minimal fallback in that language with English translation line (keeps existing bilingual contract).
+      if (detectedLang !== 'en') {
+        const kind = fallbackFixKind(ev, detectedLang);
+        const optA = fallbackFixedLine({ lang: detectedLang, kind });
+        const optB = fallbackFixedLine({ lang: detectedLang, kind, isOptionB: true });
+        const optAEn = fallbackFixedLine({ lang: 'en', kind });
+        const optBEn = fallbackFixedLine({ lang: 'en', kind, isOptionB: true });
+        return `RECOMMENDED FIX\nOption A:\n"${optA}"\n\nOption B:\n"${optB}"\n(English translation: Option A: ${optAEn} Option B: ${optBEn})`;
       }
 
       // Default (English): always two copy-ready options.
@@ -662,23 +642,17 @@ Return ONLY valid JSON, no markdown, no code blocks.`;
       return `Specific risky content detected in email/attachments related to: "${violation.substring(0, 140)}" (exact quote not available)`;
     };
 
-    const callAuditOnce = async (promptText) => {
-      const client = getOpenAIClient();
-      const completion = await client.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: promptText }
-        ],
-        temperature: 0, // Deterministic: same input = same output
-        top_p: 1, // Deterministic: use all tokens
-        max_tokens: 2000,
-        response_format: { type: 'json_object' }
+    const callAuditOnce = async (promptText, task = 'email-audit') => {
+      const responseText = await provider.complete({
+        task,
+        system: systemPrompt,
+        prompt: promptText,
+        json: true,
+        maxTokens: 2000
       });
 
-      const responseText = completion.choices[0]?.message?.content;
       if (!responseText || responseText.trim().length === 0) {
-        throw new Error('Empty response from OpenAI API');
+        throw new Error(`Empty response from ${provider.name} API`);
       }
       return responseText.trim();
     };
@@ -770,10 +744,7 @@ Return ONLY valid JSON, no markdown, no code blocks.`;
       if (!opts) return false;
 
       // Main body must be in detected language (best-effort).
-      if (detectedLang === 'hi') {
-        const devanagariCount = (mainBody.match(/[\u0900-\u097F]/g) || []).length;
-        if (devanagariCount < 10) return false;
-      }
+      if (needsEnglishTranslation && !isInLanguage(mainBody, detectedLang)) return false;
 
       // Reject reasoning and instruction verbs.
       if (hasDisallowedReasoningLanguageInFix(mainBody)) return false;
@@ -829,8 +800,8 @@ Return ONLY valid JSON, no markdown, no code blocks.`;
         hasForbiddenGuidanceVerbs(guidance) ||
         overlapEG >= 0.35 ||
         (needsEnglishTranslation && !hasEnglishTranslationLine(guidance)) ||
-        // language check (best effort): if Hindi input, guidance must have Hindi body text
-        (detectedLang === 'hi' && (stripEnglishTranslationLine(guidance).match(/[\u0900-\u097F]/g) || []).length < 10);
+        // language check (best effort): for Indian-language input, guidance must have body text in that script
+        (needsEnglishTranslation && !isInLanguage(stripEnglishTranslationLine(guidance), detectedLang));
 
       const weakFix =
         isWeakRecommendation(fix) ||
@@ -839,7 +810,7 @@ Return ONLY valid JSON, no markdown, no code blocks.`;
         hasIntentOrHarmLanguageInFix(fix) ||
         !isRewriteOptionsFix(fix, evidence) ||
         (needsEnglishTranslation && !hasEnglishTranslationLine(fix)) ||
-        (detectedLang === 'hi' && (stripEnglishTranslationLine(fix).match(/[\u0900-\u097F]/g) || []).length < 10);
+        (needsEnglishTranslation && !isInLanguage(stripEnglishTranslationLine(fix), detectedLang));
 
       // SIMILARITY GUARD: Regenerate if Guidance and Fix are semantically overlapping (0.75 threshold)
       // This ensures Guidance (WHY) and Recommended Fix (HOW) are meaningfully different
@@ -927,7 +898,7 @@ Return STRICT JSON ONLY:
   "recommended_fix": "..."
 }`;
 
-      const repairedText = await callAuditOnce(regenPrompt);
+      const repairedText = await callAuditOnce(regenPrompt, 'regenerate-fix');
       const repaired = JSON.parse(repairedText);
       return {
         ...issue,
@@ -988,7 +959,7 @@ Return STRICT JSON ONLY:
   "recommended_fix": "..."
 }`;
 
-      const repairedText = await callAuditOnce(regenPrompt);
+      const repairedText = await callAuditOnce(regenPrompt, 'regenerate-issue');
       const repaired = JSON.parse(repairedText);
       return {
         ...issue,
@@ -1124,10 +1095,20 @@ Return STRICT JSON ONLY:
     // IMPORTANT (UI compatibility):
     // - Do NOT add/remove fields consumed by UI.
     // - Enforce required headings/order by formatting existing text fields.
-    const finalIssues = Array.isArray(auditResult?.issues) ? auditResult.issues : [];
+    // Rule findings the model did not report are appended; reported ones are tagged with the rule.
+    const finalIssues = mergeRuleFindings(Array.isArray(auditResult?.issues) ? auditResult.issues : [], ruleFindings, {
+      getEvidence: it => it?.evidence,
+      toIssue: f => ({
+        severity: f.severity.toLowerCase(),
+        rule_pack: f.rule_pack,
+        violation: f.description,
+        law_reference: f.law_reference,
+        evidence: `"${f.evidence}"`,
+        guidance: f.guidance
+      })
+    });
 
     // Ensure all issues have English translations before normalizing (fail-safe)
-    const client = getOpenAIClient();
     const normalizedViolations = await Promise.all(finalIssues.map(async (it, idx) => {
       const severity = toTitleSeverity(it?.severity);
       const lawRef = (it?.law_reference || '').toString().trim() || 'Regulatory reference required';
@@ -1154,16 +1135,16 @@ Return STRICT JSON ONLY:
       // Fail-safe: if missing, generate translations
       if (detectedLang !== 'en') {
         if (!hasEnglishTranslationLine(violation)) {
-          violation = await ensureEnglishTranslation(violation, detectedLang, client, systemPrompt, 'violation');
+          violation = await ensureEnglishTranslation(violation, detectedLang, provider, systemPrompt, 'violation');
         }
         if (!hasEnglishTranslationLine(evidence)) {
-          evidence = await ensureEnglishTranslation(evidence, detectedLang, client, systemPrompt, 'evidence');
+          evidence = await ensureEnglishTranslation(evidence, detectedLang, provider, systemPrompt, 'evidence');
         }
         if (!hasEnglishTranslationLine(guidance)) {
-          guidance = await ensureEnglishTranslation(guidance, detectedLang, client, systemPrompt, 'guidance');
+          guidance = await ensureEnglishTranslation(guidance, detectedLang, provider, systemPrompt, 'guidance');
         }
         if (!hasEnglishTranslationLine(recommendation)) {
-          recommendation = await ensureEnglishTranslation(recommendation, detectedLang, client, systemPrompt, 'recommended_fix');
+          recommendation = await ensureEnglishTranslation(recommendation, detectedLang, provider, systemPrompt, 'recommended_fix');
         }
       }
 
@@ -1200,7 +1181,11 @@ Return STRICT JSON ONLY:
         problematicContent: formattedEvidence, // 3) EVIDENCE / URL (MANDATORY - UI expects this field)
         suggestion: formattedGuidance, // 4) GUIDANCE (MANDATORY - ScreenAuditor UI reads this)
         solution: formattedFix, // 5) RECOMMENDED FIX (MANDATORY - UI expects this field)
-        index: idx + 1 // Index for ordering (MANDATORY - UI expects this field)
+        index: idx + 1, // Index for ordering (MANDATORY - UI expects this field)
+        // Optional provenance (not read by the UI): exact offsets when a rule pack matched
+        detected_by: it.detected_by,
+        ...(it.rule_id ? { rule_id: it.rule_id, pack_id: it.pack_id, start: it.start, end: it.end, location: it.location } : {}),
+        ...(it.schedule_entries ? { schedule_entries: it.schedule_entries } : {})
       };
     }));
 
@@ -1210,22 +1195,25 @@ Return STRICT JSON ONLY:
       .filter(Boolean)
       .slice(0, 5);
 
-    // Calculate deterministic risk_score from violations (function defined earlier in cache section)
-    const deterministicRiskScore = calculateDeterministicRiskScore(normalizedViolations);
-    const deterministicRiskLevel = deterministicRiskScore >= 70 ? 'High' : deterministicRiskScore >= 40 ? 'Medium' : 'Low';
+    // Calculate deterministic risk_score from violations (riskOf defined earlier in cache section)
+    const risk = riskOf(normalizedViolations);
 
     // FINAL RESULT STRUCTURE LOCK (MANDATORY - DO NOT MODIFY FIELD ORDER):
     // This structure is locked to ensure consistent output across all audit runs.
     // Field order and names are part of the API contract - DO NOT change.
     const finalResult = {
-      risk_level: deterministicRiskLevel, // MANDATORY - UI expects this field
-      risk_score: deterministicRiskScore, // MANDATORY - Deterministic calculation (not AI-generated)
-      compliance_flags: Array.isArray(auditResult.compliance_flags) ? auditResult.compliance_flags : [], // MANDATORY - UI expects this field
+      risk_level: risk.level, // MANDATORY - UI expects this field
+      risk_score: risk.score, // MANDATORY - Deterministic calculation (not AI-generated); 0 = no findings, 100 = highest risk
+      score_breakdown: risk.breakdown, // How risk_score was reached (see riskScoring.js)
+      compliance_flags: [...new Set([
+        ...(Array.isArray(auditResult.compliance_flags) ? auditResult.compliance_flags : []),
+        ...normalizedViolations.map(v => v.rule_id).filter(Boolean)
+      ])], // MANDATORY - UI expects this field (model flags + triggered rule ids)
       summary: auditResult.summary || auditResult.explanation || 'Audit completed', // MANDATORY - UI expects this field
       recommended_actions: recommendedActions.length > 0 ? recommendedActions : derivedActions, // MANDATORY - UI expects this field
       detected_content_types: Array.isArray(auditResult.detected_content_types) ? auditResult.detected_content_types : ['text'], // MANDATORY - UI expects this field
       violations: normalizedViolations, // MANDATORY - UI expects this field (locked structure from above)
-      status: deterministicRiskScore >= 70 ? 'NON_COMPLIANT' : 'COMPLIANT', // MANDATORY - UI expects this field
+      status: risk.status, // MANDATORY - UI expects this field
       explanation: auditResult.explanation || auditResult.summary || 'Audit completed', // MANDATORY - UI expects this field
       recommended_fix: derivedActions[0] || auditResult.recommended_actions?.[0] || 'Remove or rewrite the specific risky statements and add required disclosures.' // MANDATORY - UI expects this field
     };
@@ -1272,16 +1260,32 @@ Return STRICT JSON ONLY:
   }
 }
 
+// Normalize Whisper verbose_json segments to millisecond offsets.
+function normalizeWhisperSegments(segments) {
+  if (!Array.isArray(segments)) return [];
+  return segments
+    .map((seg, idx) => ({
+      index: Number.isInteger(seg?.id) ? seg.id : idx,
+      startMs: Math.round(Number(seg?.start || 0) * 1000),
+      endMs: Math.round(Number(seg?.end || 0) * 1000),
+      text: (seg?.text || '').toString().trim()
+    }))
+    .filter(seg => seg.text.length > 0);
+}
+
 /**
  * Transcribe audio/video using OpenAI Whisper API
  * 
  * Uses model: whisper-1
  * MANDATORY: Always transcribes in original spoken language (no translation)
  * 
+ * With options.verbose the full transcription is returned instead of the text:
+ * { text, language, duration (seconds), segments: [{ index, startMs, endMs, text }] }
+ * 
  * @param {Buffer} audioBuffer - Audio/video file buffer
  * @param {string} filename - Original filename
- * @param {Object} options - Optional options { mimeType, throwOnError }
- * @returns {Promise<string>} Transcribed text in original language
+ * @param {Object} options - Optional options { mimeType, throwOnError, verbose }
+ * @returns {Promise<string|Object>} Transcribed text in original language
  */
 export async function transcribeWithWhisper(audioBuffer, filename, options = {}) {
   // Validate API key
@@ -1294,6 +1298,10 @@ export async function transcribeWithWhisper(audioBuffer, filename, options = {})
   // Parse options (support both new signature and legacy arguments)
   const mimeTypeHint = options?.mimeType;
   const throwOnError = !!options?.throwOnError;
+  const verbose = !!options?.verbose;
+  const asResult = (text, extra = {}) => (
+    verbose ? { text, language: null, duration: null, segments: [], ...extra } : text
+  );
 
   const isBuffer = Buffer.isBuffer(audioBuffer);
   const isPath = typeof audioBuffer === 'string' && audioBuffer.length > 0;
@@ -1302,7 +1310,7 @@ export async function transcribeWithWhisper(audioBuffer, filename, options = {})
     const error = new Error('Audio input must be a Buffer or a file path string');
     error.code = 'INVALID_INPUT';
     if (throwOnError) throw error;
-    return `[Transcription failed for ${filename}: ${error.message}]`;
+    return asResult(`[Transcription failed for ${filename}: ${error.message}]`);
   }
 
   // Temp file bookkeeping (so we can always clean up)
@@ -1371,6 +1379,11 @@ export async function transcribeWithWhisper(audioBuffer, filename, options = {})
     // Extract text and detected language
     const text = transcription.text || '';
     const detectedLanguage = transcription.language || null;
+    const details = {
+      language: detectedLanguage,
+      duration: typeof transcription.duration === 'number' ? transcription.duration : null,
+      segments: normalizeWhisperSegments(transcription.segments)
+    };
     
     if (detectedLanguage) {
       console.log(`   Detected language: ${detectedLanguage}`);
@@ -1380,14 +1393,14 @@ export async function transcribeWithWhisper(audioBuffer, filename, options = {})
 
     if (!text || text.trim().length === 0) {
       console.warn(`⚠️  Whisper returned empty transcription for ${filename}`);
-      return `[No speech detected in ${filename}]`;
+      return verbose ? asResult('', details) : `[No speech detected in ${filename}]`;
     }
 
     console.log(`✅ Whisper transcription completed (${text.length} characters)`);
     if (detectedLanguage) {
       console.log(`   Transcript is in: ${detectedLanguage}`);
     }
-    return text.trim();
+    return asResult(text.trim(), details);
   } catch (error) {
     // Determine error code
     if (!error.code) {
@@ -1412,7 +1425,7 @@ export async function transcribeWithWhisper(audioBuffer, filename, options = {})
     }
 
     // Return a fallback message instead of throwing (used by best-effort pipelines)
-    return `[Transcription failed for ${filename}: ${error.message}]`;
+    return asResult(`[Transcription failed for ${filename}: ${error.message}]`);
   } finally {
     // Cleanup temp files we created
     try {
@@ -0,0 +1,255 @@
+/**
+ * PERSONAL DATA (PII) DETECTION & REDACTION
+ *
+ * Finds Indian personal identifiers in audit text so they can be:
+ * - replaced with stable placeholders ([AADHAAR_1], [PHONE_2], ...) before any LLM call
+ * - restored in model output (evidence shown to the authorised user)
+ * - reported as DPDP Act 2023 findings (see rules/packs/dpdpPersonalData.js)
+ */
+
+/* ---- VERHOEFF CHECKSUM (Aadhaar) ---- */
+
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 7, 6, 8, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * Validate a digit string with the Verhoeff checksum (last digit is the check digit)
+ */
+export function isValidVerhoeff(digits) {
+  const s = (digits || '').toString();
+  if (!/^\d+$/.test(s)) return false;
+  let c = 0;
+  const reversed = s.split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    c = VERHOEFF_D[c][VERHOEFF_P[i % 8][Number(reversed[i])]];
+  }
+  return c === 0;
+}
+
+/**
+ * Aadhaar: 12 digits, first digit 2-9, valid Verhoeff check digit
+ */
+export function isValidAadhaar(value) {
+  const digits = (value || '').toString().replace(/[\s-]/g, '');
+  return /^[2-9]\d{11}$/.test(digits) && isValidVerhoeff(digits);
+}
+
+/* ---- DETECTORS ---- */
+
+// Order matters: earlier types win when spans overlap (an Aadhaar is never re-read as a phone).
+const DETECTORS = [
+  {
+    type: 'aadhaar',
+    placeholder: 'AADHAAR',
+    regex: /(?<![\d-])[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}(?![\d-])/g,
+    validate: isValidAadhaar
+  },
+  {
+    type: 'abha_number',
+    placeholder: 'ABHA',
+    regex: /(?<![\d-])\d{2}-\d{4}-\d{4}-\d{4}(?![\d-])/g
+  },
+  {
+    type: 'abha_address',
+    placeholder: 'ABHA_ADDRESS',
+    regex: /\b[a-z0-9][a-z0-9._]{2,}@(?:abdm|sbx)\b/gi
+  },
+  {
+    type: 'pan',
+    placeholder: 'PAN',
+    // 4th character is the holder type (P = person, C = company, ...)
+    regex: /\b[A-Z]{3}[PCHFATBLJG][A-Z]\d{4}[A-Z]\b/g
+  },
+  {
+    type: 'email',
+    placeholder: 'EMAIL',
+    regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    type: 'phone',
+    placeholder: 'PHONE',
+    regex: /(?<![\d+])(?:\+91[\s-]?|0091[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?!\d)/g
+  },
+  {
+    type: 'medical_record',
+    placeholder: 'MRN',
+    // Labelled hospital identifiers; only the identifier itself is captured
+    regex: /\b(?:UHID|MRN|MR\s?No\.?|IP\s?No\.?|OPD\s?No\.?|Patient\s+ID|Hospital\s+ID)\s*[:#.-]?\s*((?=[A-Z0-9/-]*\d)[A-Z0-9][A-Z0-9/-]{3,})/gid,
+    group: 1
+  },
+  {
+    type: 'patient_name',
+    placeholder: 'NAME',
+    regex: /\b(?:Patient(?:'s)?\s+Name|Name\s+of\s+(?:the\s+)?Patient|Patient)\s*[:-]\s*((?:(?:Mr|Mrs|Ms|Shri|Smt|Kumari|Master)\.?\s+)?[A-Z][a-z]+(?:[ \t]+[A-Z][a-z]+){0,3})/gd,
+    group: 1
+  },
+  {
+    type: 'patient_name',
+    placeholder: 'NAME',
+    regex: /(?:मरीज|रोगी)(?:\s+का)?\s+नाम\s*[:-]\s*([\u0900-\u097F]+(?:[ \t]+[\u0900-\u097F]+){0,2})/gdu,
+    group: 1
+  }
+];
+
+export const PII_TYPES = [...new Set(DETECTORS.map(d => d.type))];
+
+/**
+ * Detect personal identifiers in text
+ *
+ * @param {string} text - Text to scan
+ * @param {Object} options
+ * @param {string[]} options.types - Limit to these PII types (default: all)
+ * @returns {Array<{type, placeholder, value, start, end}>} Non-overlapping detections sorted by offset
+ */
+export function detectPII(text, { types } = {}) {
+  const source = (text || '').toString();
+  if (!source) return [];
+
+  const taken = [];
+  for (const detector of DETECTORS) {
+    detector.regex.lastIndex = 0;
+    let m;
+    while ((m = detector.regex.exec(source)) !== null) {
+      const [start, end] = detector.group ? m.indices[detector.group] : [m.index, m.index + m[0].length];
+      const value = source.slice(start, end);
+      if (detector.validate && !detector.validate(value)) continue;
+      if (taken.some(t => start < t.end && t.start < end)) continue;
+      taken.push({ type: detector.type, placeholder: detector.placeholder, value, start, end });
+    }
+  }
+
+  return taken
+    .filter(d => !types || types.includes(d.type))
+    .sort((a, b) => a.start - b.start);
+}
+
+/* ---- REDACTION ---- */
+
+/**
+ * Create a redaction vault (one per LLM call)
+ * The same value always maps to the same placeholder within a vault.
+ */
+export function createPIIVault() {
+  return {
+    byValue: new Map(),
+    byPlaceholder: new Map(),
+    counters: {},
+    get size() {
+      return this.byPlaceholder.size;
+    }
+  };
+}
+
+function placeholderFor(vault, detection) {
+  const key = `${detection.type}:${detection.value}`;
+  if (!vault.byValue.has(key)) {
+    const n = (vault.counters[detection.placeholder] || 0) + 1;
+    vault.counters[detection.placeholder] = n;
+    const placeholder = `[${detection.placeholder}_${n}]`;
+    vault.byValue.set(key, placeholder);
+    vault.byPlaceholder.set(placeholder, detection.value);
+  }
+  return vault.byValue.get(key);
+}
+
+/**
+ * Replace personal identifiers with placeholders
+ *
+ * @param {string} text - Text to redact
+ * @param {Object} vault - From createPIIVault()
+ * @returns {string} Redacted text
+ */
+export function redactPII(text, vault) {
+  const source = (text || '').toString();
+  const detections = detectPII(source);
+  if (detections.length === 0) return source;
+
+  let out = '';
+  let cursor = 0;
+  for (const d of detections) {
+    out += source.slice(cursor, d.start) + placeholderFor(vault, d);
+    cursor = d.end;
+  }
+  return out + source.slice(cursor);
+}
+
+/**
+ * Put original values back in place of placeholders
+ */
+export function restorePII(text, vault) {
+  if (!text || !vault || vault.size === 0) return text;
+  return text.toString().replace(/\[([A-Z_]+_\d+)\]/g, (token) => vault.byPlaceholder.get(token) ?? token);
+}
+
+/* ---- FIXES ---- */
+
+// Digits all but the last two, emails down to the first letter, names down to initials
+function maskValue(detection) {
+  const { type, value } = detection;
+  if (type === 'email') {
+    const [local, domain] = value.split('@');
+    return `${local[0]}***@${domain}`;
+  }
+  if (type === 'patient_name') {
+    return value.split(/\s+/).map(word => `${[...word][0]}.`).join(' ');
+  }
+  const digits = value.replace(/\D/g, '').length;
+  let seen = 0;
+  return value.replace(/[A-Za-z0-9]/g, c => (/\d/.test(c) && ++seen > digits - 2 ? c : 'X'));
+}
+
+function tidy(line) {
+  return line
+    .replace(/\(\s*\)|\[\s*\]/g, '')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+([,.;:!?।])/g, '$1')
+    .replace(/([,;:])(?=[,.;:!?।])/g, '')
+    .replace(/^[\s,;:–-]+|[\s,;:–-]+$/g, '')
+    .trim();
+}
+
+/**
+ * Deterministic rewrites for a line that exposes personal data
+ * Option A masks each identifier, Option B removes it, so both stay in the line's own language.
+ *
+ * @param {string} line - Evidence line
+ * @returns {{optionA: string, optionB: string}|null} null when the line has no identifier
+ *   (Option B is the masked line too when nothing but the identifier is left)
+ */
+export function personalDataFixes(line) {
+  const source = (line || '').toString();
+  const detections = detectPII(source);
+  if (detections.length === 0) return null;
+
+  let masked = '';
+  let removed = '';
+  let cursor = 0;
+  for (const d of detections) {
+    masked += source.slice(cursor, d.start) + maskValue(d);
+    removed += source.slice(cursor, d.start);
+    cursor = d.end;
+  }
+  const optionA = tidy(masked + source.slice(cursor));
+  return { optionA, optionB: tidy(removed + source.slice(cursor)) || optionA };
+}
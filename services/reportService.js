@@ -0,0 +1,283 @@
+/**
+ * AUDIT REPORT (PDF)
+ *
+ * Renders a stored audit as a branded compliance report for legal sign-off:
+ * source summary, risk score, violations (evidence, guidance, Option A/B fixes),
+ * rule-pack citations and a SHA-256 hash of the audited content (the uploaded file for media audits).
+ *
+ * Everything is set in Noto Sans Devanagari, which also covers Latin, so Hindi,
+ * English and mixed creatives render with one font.
+ */
+
+import { createHash } from 'crypto';
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+import { getRulePacks } from './rules/index.js';
+
+const require = createRequire(import.meta.url);
+
+const FONTS = {
+  regular: require.resolve('@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf'),
+  bold: require.resolve('@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf')
+};
+
+const BRAND = {
+  name: 'Satark AI',
+  title: 'Compliance Audit Report',
+  primary: '#1F3A93',
+  muted: '#6B7280',
+  border: '#D1D5DB'
+};
+
+const SEVERITY_COLORS = {
+  critical: '#7F1D1D',
+  high: '#B91C1C',
+  medium: '#B45309',
+  low: '#047857'
+};
+
+const SOURCE_LABELS = {
+  screen: 'Screen capture',
+  voice: 'Voice / audio',
+  scanner: 'Scanned document',
+  research: 'Web page',
+  manual: 'Manual text',
+  text: 'Text',
+  url: 'Web page',
+  image: 'Image',
+  video: 'Video',
+  audio: 'Audio',
+  email: 'Email',
+  inbox: 'Email'
+};
+
+/**
+ * SHA-256 of the audited text (printed on the report so the creative can be matched later)
+ */
+export function contentHash(text) {
+  return createHash('sha256').update(text || '', 'utf8').digest('hex');
+}
+
+/**
+ * Hash identifying what an audit examined
+ * Media audits store a placeholder ('[Video content]', '[Image]') instead of their content,
+ * so they use the hash of the uploaded file recorded at audit time, or none.
+ *
+ * @returns {{sha256: string, basis: string}|null}
+ */
+export function auditedContentHash(audit) {
+  const recorded = audit.sourceMetadata?.contentHash;
+  if (recorded?.sha256) return recorded;
+  const text = (audit.extractedText || '').trim();
+  if (!text || /^\[[^\]]*\]$/.test(text)) return null;
+  return { sha256: contentHash(audit.extractedText), basis: 'audited text' };
+}
+
+/**
+ * Split a recommended fix ("RECOMMENDED FIX / Option A: "…" / Option B: "…"") into its options
+ */
+export function parseRecommendedFix(text) {
+  const raw = (text || '').toString();
+  const unquote = s => (s || '').trim().replace(/^["“]|["”]$/g, '').trim();
+  const match = /Option A:\s*([\s\S]*?)\s*Option B:\s*([\s\S]*)$/i.exec(raw);
+  if (!match) {
+    return { optionA: unquote(raw.replace(/^RECOMMENDED FIX\s*/i, '')), optionB: '' };
+  }
+  return { optionA: unquote(match[1]), optionB: unquote(match[2]) };
+}
+
+function citationFor(violation, packsById) {
+  const pack = packsById.get(violation.pack_id);
+  const rule = pack?.rules.find(r => r.id === violation.rule_id);
+  const reference = rule?.lawReference || pack?.lawReference || violation.law_reference || violation.regulation || '';
+  const entries = (violation.schedule_entries || []).map(e => e.name).join(', ');
+  return reference.replace(/\{entry\}/g, entries || 'listed disease');
+}
+
+function severityKey(severity) {
+  return (severity || 'medium').toString().toLowerCase();
+}
+
+/* ---- LAYOUT HELPERS ---- */
+
+function sectionTitle(doc, title) {
+  doc.moveDown(0.8);
+  doc.font('bold').fontSize(13).fillColor(BRAND.primary).text(title);
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).strokeColor(BRAND.border).lineWidth(0.5).stroke();
+  doc.moveDown(0.4);
+}
+
+function field(doc, label, value) {
+  if (value === undefined || value === null || value === '') return;
+  doc.font('bold').fontSize(9.5).fillColor(BRAND.muted).text(`${label}: `, { continued: true });
+  doc.font('regular').fillColor('black').text(String(value));
+}
+
+function block(doc, label, text, { color = 'black', indent = 12 } = {}) {
+  if (!text) return;
+  doc.font('bold').fontSize(9.5).fillColor(BRAND.muted).text(label, { indent });
+  doc.font('regular').fontSize(10).fillColor(color).text(text, { indent: indent + 8 });
+  doc.moveDown(0.2);
+}
+
+function drawHeader(doc) {
+  const { left, right } = doc.page.margins;
+  doc.rect(0, 0, doc.page.width, 56).fill(BRAND.primary);
+  doc.font('bold').fontSize(16).fillColor('white').text(BRAND.name, left, 18, { lineBreak: false });
+  doc.font('regular').fontSize(11).text(BRAND.title, left, 22, { width: doc.page.width - left - right, align: 'right' });
+  doc.fillColor('black');
+  doc.x = left;
+  doc.y = 76;
+}
+
+function drawFooters(doc, { hash, auditId }) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const { left, right, bottom } = doc.page.margins;
+    const width = doc.page.width - left - right;
+    const y = doc.page.height - bottom + 18;
+    // Writing inside the bottom margin would otherwise add a page
+    doc.page.margins.bottom = 0;
+    doc.font('regular').fontSize(7.5).fillColor(BRAND.muted);
+    doc.text(`Audit ${auditId}${hash ? ` · SHA-256 ${hash.sha256.slice(0, 16)}…` : ''}`, left, y, { width, align: 'left', lineBreak: false });
+    doc.text(`Page ${i - range.start + 1} of ${range.count}`, left, y, { width, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/* ---- REPORT ---- */
+
+/**
+ * Build the PDF report for an audit
+ * The caller pipes the returned document and must call doc.end().
+ *
+ * @param {Object} audit - Stored Audit (document or lean object)
+ * @param {Object} options - { generatedBy?: string }
+ * @returns {PDFDocument}
+ */
+export function createAuditReport(audit, { generatedBy } = {}) {
+  const obj = audit.toObject ? audit.toObject() : audit;
+  const auditId = obj._id.toString();
+  const meta = obj.sourceMetadata || {};
+  const result = obj.auditResult || {};
+  const violations = Array.isArray(result.violations) ? result.violations : [];
+  const hash = auditedContentHash(obj);
+  const packsById = new Map(getRulePacks().map(p => [p.id, p]));
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: 56, bottom: 56, left: 50, right: 50 },
+    bufferPages: true,
+    info: {
+      Title: `${BRAND.title} — ${meta.title || meta.filename || obj.sourceId || auditId}`,
+      Author: BRAND.name,
+      Subject: `Audit ${auditId}`,
+      ...(hash && { Keywords: `sha256:${hash.sha256}` })
+    }
+  });
+  doc.registerFont('regular', FONTS.regular);
+  doc.registerFont('bold', FONTS.bold);
+  doc.on('pageAdded', () => drawHeader(doc));
+  drawHeader(doc);
+
+  /* Source summary */
+  sectionTitle(doc, 'Source');
+  field(doc, 'Audit ID', auditId);
+  field(doc, 'Version', obj.version || 1);
+  field(doc, 'Source type', SOURCE_LABELS[obj.sourceType] || obj.sourceType);
+  field(doc, 'Title', meta.title);
+  field(doc, 'File', meta.filename);
+  field(doc, 'URL', meta.finalUrl || meta.url);
+  field(doc, 'Industry profile', meta.industryProfile || meta.industry);
+  field(doc, 'Audit mode', obj.mode || 'standard');
+  field(doc, 'Model provider', meta.provider);
+  field(doc, 'Audited on', new Date(obj.updatedAt || obj.createdAt).toISOString().replace('T', ' ').slice(0, 19) + ' UTC');
+  field(doc, 'Content length', `${(obj.extractedText || '').length} characters`);
+  field(doc, 'Content SHA-256', hash ? `${hash.sha256} (${hash.basis})` : 'Not recorded: the audited media was not stored');
+
+  /* Risk */
+  sectionTitle(doc, 'Result');
+  const counts = violations.reduce((acc, v) => {
+    const key = severityKey(v.severity);
+    acc[key] = (acc[key] || 0) + 1;
+    return acc;
+  }, {});
+  doc.font('bold').fontSize(22).fillColor(BRAND.primary).text(`${result.risk_score ?? '—'} / 100`, { continued: true });
+  doc.font('regular').fontSize(11).fillColor('black').text(`   ${result.status || obj.status || ''}`);
+  // Audits scored before the breakdown was recorded used the inverted (100 = clean) scale
+  const breakdown = result.score_breakdown;
+  if (breakdown) {
+    field(doc, 'Risk scale', breakdown.direction);
+    field(doc, 'Points by rule pack', (breakdown.packs || [])
+      .map(p => `${packsById.get(p.pack_id)?.name || p.pack_id || 'Model findings'}: ${p.points}`)
+      .join(', '));
+  }
+  field(doc, 'Violations', violations.length === 0
+    ? 'None'
+    : ['critical', 'high', 'medium', 'low'].filter(k => counts[k]).map(k => `${counts[k]} ${k}`).join(', '));
+  if (result.explanation) {
+    doc.moveDown(0.3);
+    doc.font('regular').fontSize(10).fillColor('black').text(result.explanation);
+  }
+
+  /* Violations */
+  if (violations.length > 0) {
+    sectionTitle(doc, 'Violations');
+    violations.forEach((v, i) => {
+      const key = severityKey(v.severity);
+      const { optionA, optionB } = parseRecommendedFix(v.recommended_fix || v.solution);
+
+      doc.font('bold').fontSize(11).fillColor(SEVERITY_COLORS[key] || 'black')
+        .text(`${i + 1}. [${key.toUpperCase()}] `, { continued: true })
+        .fillColor('black')
+        .text(v.description || v.violation || 'Compliance issue');
+      const citation = citationFor(v, packsById);
+      if (citation) {
+        doc.font('regular').fontSize(8.5).fillColor(BRAND.muted).text(`${citation}${v.rule_id ? ` (${v.rule_id})` : ''}`, { indent: 12 });
+      }
+      doc.moveDown(0.2);
+      block(doc, 'Evidence', `“${v.evidence || v.problematicContent || ''}”`);
+      block(doc, 'Found in', [v.source_entry, v.page && `page ${v.page}`].filter(Boolean).join(', '));
+      block(doc, 'Why it matters', v.guidance || v.suggestion);
+      block(doc, 'Option A', optionA, { color: '#065F46' });
+      block(doc, 'Option B', optionB, { color: '#065F46' });
+      doc.moveDown(0.5);
+    });
+  }
+
+  /* Citations */
+  const packs = Array.isArray(obj.rulePacks) ? obj.rulePacks : [];
+  if (packs.length > 0) {
+    sectionTitle(doc, 'Rule packs applied');
+    packs.forEach(p => {
+      const pack = packsById.get(p.id);
+      doc.font('bold').fontSize(9.5).fillColor('black').text(`${pack?.name || p.id}  `, { continued: true });
+      doc.font('regular').fillColor(BRAND.muted).text(`v${p.version}`);
+      if (pack?.lawReference) {
+        doc.font('regular').fontSize(8.5).text(pack.lawReference, { indent: 12 });
+      }
+    });
+  }
+
+  /* Sign-off */
+  sectionTitle(doc, 'Sign-off');
+  doc.font('regular').fontSize(9).fillColor(BRAND.muted)
+    .text('This report was generated automatically and must be reviewed before publication decisions are made. '
+      + (hash
+        ? `The SHA-256 hash identifies the exact content that was audited (${hash.basis}).`
+        : 'No content hash was recorded for this audit, so the audited creative must be identified from the source details above.'));
+  doc.moveDown(1.5);
+  doc.fillColor('black').fontSize(10)
+    .text('Reviewed by: ______________________________        Date: ______________');
+  doc.moveDown(0.8);
+  doc.text('Signature: ________________________________');
+  if (generatedBy) {
+    doc.moveDown(0.8);
+    doc.fontSize(8.5).fillColor(BRAND.muted).text(`Generated by ${generatedBy} on ${new Date().toISOString().slice(0, 10)}`);
+  }
+
+  drawFooters(doc, { hash, auditId });
+  return doc;
+}
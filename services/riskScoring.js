@@ -0,0 +1,131 @@
+/**
+ * RISK SCORE (deterministic, no AI)
+ *
+ * One score for every audit path. Direction: 0 = no findings, 100 = highest risk.
+ *
+ * Each violation adds points:
+ *   severity points (industry profile severityWeights)
+ *   × rule-pack weight (profile packWeights, else the pack's scoreWeight, else 1)
+ *   × repeat factor (repeat hits of the same rule count less, and not at all past a cap)
+ * The total is capped at 100. The risk level is the score band, raised to the level of
+ * the most severe finding, so one HIGH violation is never reported as low risk.
+ */
+
+import { getRulePacks } from './rules/index.js';
+import { severityWeight } from './industryProfiles.js';
+
+export const RISK_THRESHOLDS = { HIGH: 70, MEDIUM: 40 };
+
+// The 2nd hit of a rule counts half, the 3rd a quarter, later hits nothing
+const REPEAT_FACTOR = 0.5;
+const MAX_SCORED_REPEATS = 3;
+
+const LEVEL_RANK = { LOW: 0, MEDIUM: 1, HIGH: 2 };
+
+const SEVERITY_LEVEL = { critical: 'HIGH', high: 'HIGH', medium: 'MEDIUM', low: 'LOW' };
+
+const STATUS_BY_LEVEL = { HIGH: 'NON_COMPLIANT', MEDIUM: 'NEEDS_REVIEW', LOW: 'COMPLIANT' };
+
+const builtInPackWeights = new Map(getRulePacks().map(p => [p.id, p.scoreWeight ?? 1]));
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Weight of a rule pack for an industry (1 for custom packs and model-only findings)
+ */
+export function packWeight(profile, packId) {
+  if (!packId) return 1;
+  return profile?.packWeights?.[packId] ?? builtInPackWeights.get(packId) ?? 1;
+}
+
+function levelForScore(score) {
+  if (score >= RISK_THRESHOLDS.HIGH) return 'HIGH';
+  if (score >= RISK_THRESHOLDS.MEDIUM) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Audit status for a risk level: HIGH → NON_COMPLIANT, MEDIUM → NEEDS_REVIEW, LOW → COMPLIANT
+ */
+export function statusForRiskLevel(level) {
+  return STATUS_BY_LEVEL[level] || 'COMPLIANT';
+}
+
+/**
+ * Score an audit's violations
+ *
+ * @param {Array} violations - Normalized violations ({ severity, rule_id?, pack_id?, index? })
+ * @param {Object} profile - Industry profile (see industryProfiles.js)
+ * @returns {{score: number, level: 'LOW'|'MEDIUM'|'HIGH', breakdown: Object}}
+ *   breakdown: { direction, score, level, level_basis, thresholds, industry_profile, raw_points, items, packs }
+ */
+export function scoreViolations(violations, profile) {
+  const list = Array.isArray(violations) ? violations : [];
+
+  const items = list.map((v, i) => {
+    const severity = (v?.severity || 'medium').toString().toLowerCase();
+    const packId = v?.pack_id || null;
+    return {
+      violation: v?.index || i + 1,
+      severity,
+      rule_id: v?.rule_id || null,
+      pack_id: packId,
+      severity_points: severityWeight(profile?.severityWeights, severity),
+      pack_weight: packWeight(profile, packId)
+    };
+  });
+
+  // Repeats of a rule are discounted from its highest-scoring hit down
+  const occurrences = new Map();
+  [...items]
+    .sort((a, b) => b.severity_points * b.pack_weight - a.severity_points * a.pack_weight)
+    .forEach(item => {
+      const occurrence = item.rule_id ? (occurrences.get(item.rule_id) || 0) + 1 : 1;
+      if (item.rule_id) occurrences.set(item.rule_id, occurrence);
+      item.occurrence = occurrence;
+      item.repeat_factor = occurrence > MAX_SCORED_REPEATS ? 0 : REPEAT_FACTOR ** (occurrence - 1);
+      item.points = round1(item.severity_points * item.pack_weight * item.repeat_factor);
+    });
+
+  const rawPoints = round1(items.reduce((sum, item) => sum + item.points, 0));
+  const score = Math.min(100, Math.round(rawPoints));
+
+  const band = levelForScore(score);
+  const floor = items.reduce((acc, item) => {
+    const level = SEVERITY_LEVEL[item.severity] || 'MEDIUM';
+    return LEVEL_RANK[level] > LEVEL_RANK[acc] ? level : acc;
+  }, 'LOW');
+  const level = LEVEL_RANK[floor] > LEVEL_RANK[band] ? floor : band;
+
+  const packs = [];
+  for (const item of items) {
+    let entry = packs.find(p => p.pack_id === item.pack_id);
+    if (!entry) {
+      entry = { pack_id: item.pack_id, findings: 0, points: 0 };
+      packs.push(entry);
+    }
+    entry.findings += 1;
+    entry.points = round1(entry.points + item.points);
+  }
+  packs.sort((a, b) => b.points - a.points);
+
+  return {
+    score,
+    level,
+    breakdown: {
+      direction: '0 = no findings, 100 = highest risk',
+      score,
+      level,
+      // 'severity' when the most severe finding raised the level above the score band
+      level_basis: level === band ? 'score' : 'severity',
+      thresholds: RISK_THRESHOLDS,
+      industry_profile: profile?.id || null,
+      raw_points: rawPoints,
+      items,
+      // pack_id null: findings raised by the model without a matching rule
+      packs
+    }
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Drugs and Magic Remedies (Objectionable Advertisements) Act, 1954 — Schedule
+ * Diseases and disorders for which advertising a cure or treatment is prohibited (Section 3(d)).
+ *
+ * Terms are matched as whole words, case-insensitive:
+ *   en   - English names and common synonyms
+ *   hi   - Hindi (Devanagari)
+ *   hi-Latn - Romanized Hindi / Hinglish spellings
+ *
+ * Bump `version` whenever entries or terms change (it is part of the audit cache key).
+ */
+
+export default {
+  id: 'dmr-schedule',
+  name: 'DMR Act Schedule',
+  version: '1954-as-amended/1.0.0',
+  entries: [
+    { id: 'appendicitis', name: 'Appendicitis', en: ['appendicitis'], hi: ['अपेंडिसाइटिस', 'अपेंडिक्स'], 'hi-Latn': ['appendix ka dard'] },
+    { id: 'arteriosclerosis', name: 'Arteriosclerosis', en: ['arteriosclerosis', 'atherosclerosis', 'hardening of the arteries', 'blocked arteries'], hi: ['धमनी काठिन्य'], 'hi-Latn': [] },
+    { id: 'blindness', name: 'Blindness', en: ['blindness'], hi: ['अंधापन', 'अंधेपन'], 'hi-Latn': ['andhapan'] },
+    { id: 'blood-poisoning', name: 'Blood poisoning', en: ['blood poisoning', 'septicaemia', 'septicemia', 'sepsis'], hi: ['रक्त विषाक्तता'], 'hi-Latn': [] },
+    { id: 'brights-disease', name: "Bright's disease", en: ["bright's disease", 'brights disease', 'nephritis'], hi: ['गुर्दे की सूजन'], 'hi-Latn': [] },
+    { id: 'cancer', name: 'Cancer', en: ['cancer', 'cancers', 'carcinoma', 'leukaemia', 'leukemia'], hi: ['कैंसर', 'कर्क रोग'], 'hi-Latn': ['kainsar'] },
+    { id: 'cataract', name: 'Cataract', en: ['cataract', 'cataracts'], hi: ['मोतियाबिंद'], 'hi-Latn': ['motiyabind'] },
+    { id: 'deafness', name: 'Deafness', en: ['deafness', 'hearing loss'], hi: ['बहरापन', 'बहरेपन'], 'hi-Latn': ['behrapan', 'bahrapan'] },
+    { id: 'diabetes', name: 'Diabetes', en: ['diabetes', 'diabetes mellitus'], hi: ['मधुमेह', 'डायबिटीज', 'डायबिटीज़', 'शुगर की बीमारी'], 'hi-Latn': ['madhumeh', 'sugar ki bimari', 'sugar ki beemari'] },
+    { id: 'brain-disorders', name: 'Diseases and disorders of the brain', en: ['brain disease', 'brain disorder', 'brain disorders'], hi: ['मस्तिष्क रोग'], 'hi-Latn': [] },
+    { id: 'optical-disorders', name: 'Diseases and disorders of the optical system', en: ['eye disease', 'eye diseases', 'weak eyesight', 'poor eyesight'], hi: ['नेत्र रोग', 'आंखों की कमजोरी'], 'hi-Latn': ['aankhon ki kamzori'] },
+    { id: 'uterine-disorders', name: 'Diseases and disorders of the uterus', en: ['uterine disease', 'uterus disease', 'uterine fibroids', 'fibroids'], hi: ['गर्भाशय रोग', 'बच्चेदानी की रसौली'], 'hi-Latn': ['bachchedani ki rasoli'] },
+    { id: 'menstrual-disorders', name: 'Disorders of menstrual flow', en: ['irregular periods', 'menstrual disorder', 'menstrual disorders', 'period problems'], hi: ['मासिक धर्म की अनियमितता', 'अनियमित मासिक धर्म'], 'hi-Latn': ['mahavari ki samasya'] },
+    { id: 'nervous-disorders', name: 'Disorders of the nervous system', en: ['nervous system disorder', 'nerve disorder', 'neuropathy'], hi: ['तंत्रिका रोग', 'नसों की कमजोरी'], 'hi-Latn': ['nason ki kamzori'] },
+    { id: 'prostate-disorders', name: 'Disorders of the prostatic gland', en: ['prostate', 'enlarged prostate', 'prostate problems'], hi: ['प्रोस्टेट'], 'hi-Latn': [] },
+    { id: 'dropsy', name: 'Dropsy', en: ['dropsy', 'oedema', 'edema'], hi: ['जलोदर'], 'hi-Latn': ['jalodar'] },
+    { id: 'epilepsy', name: 'Epilepsy', en: ['epilepsy', 'epileptic seizures'], hi: ['मिर्गी'], 'hi-Latn': ['mirgi'] },
+    { id: 'female-diseases', name: 'Female diseases (in general)', en: ['female diseases', "women's diseases", 'leucorrhoea', 'leucorrhea'], hi: ['स्त्री रोग', 'श्वेत प्रदर', 'ल्यूकोरिया'], 'hi-Latn': ['safed pani'] },
+    { id: 'fevers', name: 'Fevers (in general)', en: ['fever', 'fevers', 'typhoid', 'malaria', 'dengue'], hi: ['बुखार', 'ज्वर', 'टाइफाइड', 'मलेरिया', 'डेंगू'], 'hi-Latn': ['bukhar'] },
+    { id: 'fits', name: 'Fits', en: ['seizures', 'convulsions'], hi: ['दौरे'], 'hi-Latn': ['daure'] },
+    { id: 'female-bust', name: 'Form and structure of the female bust', en: ['breast enlargement', 'bust enlargement', 'breast enhancement', 'breast size'], hi: ['स्तन वृद्धि', 'स्तनों का आकार'], 'hi-Latn': [] },
+    { id: 'stones', name: 'Gall stones, kidney stones and bladder stones', en: ['gall stones', 'gallstones', 'kidney stones', 'kidney stone', 'bladder stones'], hi: ['पथरी', 'पित्त की पथरी', 'गुर्दे की पथरी'], 'hi-Latn': ['pathri'] },
+    { id: 'gangrene', name: 'Gangrene', en: ['gangrene'], hi: ['गैंग्रीन'], 'hi-Latn': [] },
+    { id: 'glaucoma', name: 'Glaucoma', en: ['glaucoma'], hi: ['काला मोतिया', 'ग्लूकोमा'], 'hi-Latn': ['kala motiya'] },
+    { id: 'goitre', name: 'Goitre', en: ['goitre', 'goiter', 'thyroid swelling'], hi: ['घेंघा', 'गलगंड'], 'hi-Latn': ['ghengha'] },
+    { id: 'heart-diseases', name: 'Heart diseases', en: ['heart disease', 'heart diseases', 'heart blockage', 'heart blockages', 'coronary artery disease'], hi: ['हृदय रोग', 'दिल की बीमारी', 'हार्ट ब्लॉकेज'], 'hi-Latn': ['dil ki bimari', 'dil ki beemari'] },
+    { id: 'blood-pressure', name: 'High or low blood pressure', en: ['high blood pressure', 'low blood pressure', 'hypertension', 'hypotension', 'bp'], hi: ['उच्च रक्तचाप', 'निम्न रक्तचाप', 'रक्तचाप', 'बीपी'], 'hi-Latn': ['high bp', 'low bp'] },
+    { id: 'hydrocele', name: 'Hydrocele', en: ['hydrocele'], hi: ['हाइड्रोसील', 'अंडकोष वृद्धि'], 'hi-Latn': [] },
+    { id: 'hysteria', name: 'Hysteria', en: ['hysteria'], hi: ['हिस्टीरिया'], 'hi-Latn': [] },
+    { id: 'infantile-paralysis', name: 'Infantile paralysis', en: ['infantile paralysis', 'polio', 'poliomyelitis'], hi: ['पोलियो'], 'hi-Latn': [] },
+    { id: 'insanity', name: 'Insanity', en: ['insanity', 'madness'], hi: ['पागलपन'], 'hi-Latn': ['pagalpan'] },
+    { id: 'leprosy', name: 'Leprosy', en: ['leprosy'], hi: ['कुष्ठ रोग', 'कोढ़'], 'hi-Latn': ['kusht rog', 'kodh'] },
+    { id: 'leucoderma', name: 'Leucoderma', en: ['leucoderma', 'leukoderma', 'vitiligo', 'white patches'], hi: ['सफेद दाग', 'श्वेत कुष्ठ', 'ल्यूकोडर्मा'], 'hi-Latn': ['safed daag', 'safed dag'] },
+    { id: 'lockjaw', name: 'Lockjaw', en: ['lockjaw', 'tetanus'], hi: ['टिटनेस', 'धनुस्तंभ'], 'hi-Latn': [] },
+    { id: 'locomotor-ataxia', name: 'Locomotor ataxia', en: ['locomotor ataxia', 'ataxia'], hi: ['गतिभ्रम'], 'hi-Latn': [] },
+    { id: 'lupus', name: 'Lupus', en: ['lupus'], hi: ['ल्यूपस'], 'hi-Latn': [] },
+    { id: 'nervous-debility', name: 'Nervous debility', en: ['nervous debility', 'nervous weakness'], hi: ['स्नायु दुर्बलता'], 'hi-Latn': [] },
+    { id: 'obesity', name: 'Obesity', en: ['obesity', 'excess weight', 'belly fat'], hi: ['मोटापा', 'मोटापे'], 'hi-Latn': ['motapa', 'motape'] },
+    { id: 'paralysis', name: 'Paralysis', en: ['paralysis'], hi: ['लकवा', 'पक्षाघात'], 'hi-Latn': ['lakwa', 'lakva'] },
+    { id: 'plague', name: 'Plague', en: ['plague'], hi: ['प्लेग'], 'hi-Latn': [] },
+    { id: 'pleurisy', name: 'Pleurisy', en: ['pleurisy'], hi: ['फुफ्फुसावरण शोथ'], 'hi-Latn': [] },
+    { id: 'pneumonia', name: 'Pneumonia', en: ['pneumonia'], hi: ['निमोनिया'], 'hi-Latn': ['nimoniya'] },
+    { id: 'rheumatism', name: 'Rheumatism', en: ['rheumatism', 'arthritis', 'rheumatoid arthritis', 'joint pain'], hi: ['गठिया', 'जोड़ों का दर्द', 'आमवात'], 'hi-Latn': ['gathiya', 'jodon ka dard'] },
+    { id: 'ruptures', name: 'Ruptures', en: ['rupture', 'ruptures', 'hernia'], hi: ['हर्निया', 'आंत उतरना'], 'hi-Latn': [] },
+    { id: 'sexual-impotence', name: 'Sexual impotence', en: ['impotence', 'erectile dysfunction', 'premature ejaculation'], hi: ['नपुंसकता', 'शीघ्रपतन'], 'hi-Latn': ['napunsakta', 'shighrapatan'] },
+    { id: 'small-pox', name: 'Small pox', en: ['small pox', 'smallpox'], hi: ['चेचक'], 'hi-Latn': ['chechak'] },
+    { id: 'stature', name: 'Stature of persons', en: ['height increase', 'increase height', 'grow taller'], hi: ['कद बढ़ाना', 'लंबाई बढ़ाना'], 'hi-Latn': ['kad badhana', 'lambai badhana'] },
+    { id: 'female-sterility', name: 'Sterility in women', en: ['infertility', 'sterility', 'female infertility'], hi: ['बांझपन'], 'hi-Latn': ['banjhpan'] },
+    { id: 'trachoma', name: 'Trachoma', en: ['trachoma'], hi: ['रोहे', 'ट्रेकोमा'], 'hi-Latn': [] },
+    { id: 'tuberculosis', name: 'Tuberculosis', en: ['tuberculosis', 'tb'], hi: ['क्षय रोग', 'टीबी', 'तपेदिक'], 'hi-Latn': ['tapedik'] },
+    { id: 'tumours', name: 'Tumours', en: ['tumour', 'tumours', 'tumor', 'tumors'], hi: ['ट्यूमर', 'गांठ', 'रसौली'], 'hi-Latn': ['rasoli'] },
+    { id: 'venereal-diseases', name: 'Venereal diseases, including syphilis, gonorrhoea, soft chancre, venereal granuloma and lympho granuloma', en: ['venereal disease', 'venereal diseases', 'syphilis', 'gonorrhoea', 'gonorrhea', 'sexually transmitted disease', 'std'], hi: ['यौन रोग', 'गुप्त रोग', 'सिफलिस', 'सूजाक'], 'hi-Latn': ['gupt rog'] },
+    { id: 'whooping-cough', name: 'Whooping cough', en: ['whooping cough', 'pertussis'], hi: ['काली खांसी'], 'hi-Latn': ['kali khansi'] }
+  ]
+};
@@ -0,0 +1,316 @@
+/**
+ * RULE-PACK ENGINE (deterministic, runs before the LLM)
+ *
+ * A rule pack is a plain object:
+ *   {
+ *     id: 'dmr-act',
+ *     name: 'Drugs & Magic Remedies Act',      // reported as rule_pack
+ *     version: '1.0.0',
+ *     lawReference: 'Drugs and Magic Remedies (Objectionable Advertisements) Act, 1954',
+ *     scoreWeight: 1.5,                        // optional risk-score multiplier (see riskScoring.js; default 1)
+ *     rules: [{
+ *       id: 'dmr-cure-claim',
+ *       severity: 'HIGH' | 'MEDIUM' | 'LOW',
+ *       description: 'What is wrong (1 sentence)',
+ *       guidance: { en: 'WHY ...', hi: '...' },  // or a plain string
+ *       enforceSeverity: true,                  // LLM issues covering a match are raised to this severity
+ *       variants: {                             // per-language matchers
+ *         en: {
+ *           phrases: ['miracle cure'],          // literal, case-insensitive, whole words
+ *           patterns: [/\b100\s?% guaranteed\b/i],
+ *           claims: ['cures'], diseases: ['diabetes']  // claim + disease in the same sentence
+ *         },                                    // diseases may also be { term, ref } (see dmrSchedule.js)
+ *         any: {
+ *           subjects: ['Brand X'], claims: ['cures'],  // same as diseases, for non-disease subjects
+ *           required: ['Results may vary'],            // finding when NONE of these appear...
+ *           requiredWhen: ['Brand X'],                 // ...optionally only if one of these appears
+ *           detect: text => [{ start, end, text }]     // custom detector (e.g. checksummed IDs)
+ *         }
+ *         hi: { ... }, 'hi-Latn': { ... }         // keys are contentLanguages.js codes
+ *       }
+ *     }]
+ *   }
+ *
+ * Findings carry exact character offsets ({ start, end }) into the audited text.
+ * `{entry}` in description/lawReference is replaced with the matched disease's schedule entry.
+ * A missing required phrase is reported as an empty span at the end of the text.
+ */
+
+const MAX_EVIDENCE_CHARS = 250;
+
+// Letters/marks/digits: \b does not work for Devanagari, so word edges are explicit.
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const phraseRegexCache = new Map();
+
+function phraseRegex(phrase) {
+  const key = phrase.toLowerCase();
+  if (!phraseRegexCache.has(key)) {
+    const body = escapeRegex(phrase.trim()).replace(/\s+/g, '\\s+');
+    phraseRegexCache.set(key, new RegExp(`(?<!${WORD_CHAR})${body}(?!${WORD_CHAR})`, 'giu'));
+  }
+  return phraseRegexCache.get(key);
+}
+
+function toGlobal(pattern) {
+  return pattern.flags.includes('g') ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+}
+
+function allMatches(regex, text) {
+  const out = [];
+  regex.lastIndex = 0;
+  let m;
+  while ((m = regex.exec(text)) !== null) {
+    if (m[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    out.push({ start: m.index, end: m.index + m[0].length, text: m[0] });
+  }
+  return out;
+}
+
+// Sentence boundaries (. ! ? followed by space, Hindi danda, newlines) as [start, end) ranges.
+// A '.' inside a token ("No.1", "2.5mg") does not end a sentence.
+function sentenceRanges(text) {
+  const ranges = [];
+  const push = (from, to) => {
+    const raw = text.slice(from, to);
+    const lead = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed) ranges.push({ start: from + lead, end: from + lead + trimmed.length });
+  };
+  let from = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+    if (ch === '\n') {
+      push(from, i);
+      from = i + 1;
+    } else if ('!?।'.includes(ch) || (ch === '.' && (next === undefined || /\s/.test(next)))) {
+      push(from, i + 1);
+      from = i + 1;
+    }
+  }
+  push(from, text.length);
+  return ranges;
+}
+
+function sentenceFor(ranges, offset) {
+  return ranges.find(r => offset >= r.start && offset < r.end) || null;
+}
+
+function capEvidence(s) {
+  const line = s.replace(/\s+/g, ' ').trim();
+  if (line.length <= MAX_EVIDENCE_CHARS) return line;
+  const sliced = line.slice(0, MAX_EVIDENCE_CHARS + 1);
+  const lastSpace = sliced.lastIndexOf(' ');
+  return (lastSpace > 0 ? sliced.slice(0, lastSpace) : sliced.slice(0, MAX_EVIDENCE_CHARS)).trim();
+}
+
+function pickGuidance(guidance, lang) {
+  if (!guidance) return '';
+  if (typeof guidance === 'string') return guidance;
+  return guidance[lang] || guidance.en || Object.values(guidance)[0] || '';
+}
+
+// Claim + disease co-occurrence inside one sentence; span covers both terms.
+function matchClaimsNearDiseases(variant, text, ranges) {
+  const claims = (variant.claims || []).flatMap(p => allMatches(phraseRegex(p), text));
+  const diseases = [...(variant.diseases || []), ...(variant.subjects || [])].flatMap(d => {
+    const { term, ref } = typeof d === 'string' ? { term: d, ref: null } : d;
+    return allMatches(phraseRegex(term), text).map(m => ({ ...m, ref }));
+  });
+  const out = [];
+  for (const disease of diseases) {
+    const sentence = sentenceFor(ranges, disease.start);
+    if (!sentence) continue;
+    const claim = claims
+      .filter(c => c.start >= sentence.start && c.end <= sentence.end)
+      .sort((a, b) => Math.abs(a.start - disease.start) - Math.abs(b.start - disease.start))[0];
+    if (!claim) continue;
+    const start = Math.min(claim.start, disease.start);
+    const end = Math.max(claim.end, disease.end);
+    out.push({ start, end, text: text.slice(start, end), term: disease.text, ref: disease.ref });
+  }
+  return out;
+}
+
+// Absence check: one empty-span hit at the end of the text when no required phrase is present.
+function matchMissingRequired(variant, text) {
+  const required = variant.required || [];
+  if (required.length === 0) return [];
+  const triggers = variant.requiredWhen || [];
+  if (triggers.length > 0 && !triggers.some(p => allMatches(phraseRegex(p), text).length > 0)) return [];
+  if (required.some(p => allMatches(phraseRegex(p), text).length > 0)) return [];
+  return [{ start: text.length, end: text.length, text: '', missing: required[0] }];
+}
+
+// English and romanised Hindi are mixed freely in Indian creatives, so either may show up
+// in text detected as the other, or inside regional-script copy
+const LATIN_WORD = /[A-Za-z]{2,}/;
+const LATIN_SCRIPT_VARIANTS = ['en', 'hi-Latn'];
+
+/**
+ * How a language variant runs on a text: 'any' always does, other variants on content in
+ * their language ('full'). Latin-script variants (en, hi-Latn) also run on any text with
+ * Latin-script words, but only for what is present ('matches'): a disclaimer missing in
+ * English says nothing about Tamil copy that carries it in Tamil.
+ *
+ * @returns {'full'|'matches'|null} null when the variant is skipped
+ */
+function variantScope(variantLang, contentLang, text) {
+  if (variantLang === 'any' || !contentLang || variantLang === contentLang) return 'full';
+  return LATIN_SCRIPT_VARIANTS.includes(variantLang) && LATIN_WORD.test(text) ? 'matches' : null;
+}
+
+function matchVariant(variant, text, ranges, scope) {
+  return [
+    ...(scope === 'full' ? matchMissingRequired(variant, text) : []),
+    ...(variant.phrases || []).flatMap(p => allMatches(phraseRegex(p), text)),
+    ...(variant.patterns || []).flatMap(p => allMatches(toGlobal(p), text)),
+    ...matchClaimsNearDiseases(variant, text, ranges),
+    ...(typeof variant.detect === 'function' ? variant.detect(text) : [])
+  ];
+}
+
+/**
+ * Run rule packs over a text
+ *
+ * @param {string} text - Text to scan (offsets are relative to this string)
+ * @param {Object} options
+ * @param {Object[]} options.packs - Rule packs to apply
+ * @param {string} options.lang - Language of the guidance wording (see contentLanguages.js; English when a rule has none for it)
+ * @param {string} options.contentLang - Detected language of the text; variants for other languages are skipped
+ *   (see variantScope). Omit to run every variant.
+ * @returns {Object[]} Findings sorted by offset:
+ *   { rule_id, rule_pack, pack_id, pack_version, law_reference, severity, description, guidance,
+ *     match, start, end, evidence, lang }
+ */
+export function runRulePacks(text, { packs = [], lang = 'en', contentLang = null } = {}) {
+  const source = (text || '').toString();
+  if (!source.trim()) return [];
+
+  const ranges = sentenceRanges(source);
+  const findings = [];
+
+  for (const pack of packs) {
+    for (const rule of pack.rules || []) {
+      const seen = [];
+      for (const [variantLang, variant] of Object.entries(rule.variants || {})) {
+        const scope = variantScope(variantLang, contentLang, source);
+        if (!scope) continue;
+        for (const hit of matchVariant(variant, source, ranges, scope)) {
+          // One finding per rule per span (overlapping variants/phrases collapse, as do the empty
+          // spans of a missing required phrase); distinct schedule entries in one sentence
+          // ("cures diabetes and cancer") stay separate.
+          const overlaps = s => (hit.start < s.end && s.start < hit.end) || (hit.start === s.start && hit.end === s.end);
+          if (seen.some(s => overlaps(s) && s.ref?.id === hit.ref?.id)) continue;
+          seen.push(hit);
+
+          const sentence = sentenceFor(ranges, hit.start);
+          const fill = s => (hit.ref && s ? s.replace(/\{entry\}/g, hit.ref.name) : s);
+          findings.push({
+            rule_id: rule.id,
+            rule_pack: pack.name,
+            pack_id: pack.id,
+            pack_version: pack.version,
+            law_reference: fill(rule.lawReference || pack.lawReference || pack.name),
+            severity: (rule.severity || 'MEDIUM').toUpperCase(),
+            enforce_severity: !!rule.enforceSeverity,
+            description: fill(rule.description),
+            guidance: pickGuidance(rule.guidance, lang),
+            match: hit.text,
+            start: hit.start,
+            end: hit.end,
+            evidence: hit.missing !== undefined
+              ? `Required text not found: "${hit.missing}"`
+              : capEvidence(sentence ? source.slice(sentence.start, sentence.end) : hit.text),
+            lang: variantLang,
+            ...(rule.version ? { rule_version: rule.version } : {}),
+            ...(hit.ref ? { schedule_entry: hit.ref } : {})
+          });
+        }
+      }
+    }
+  }
+
+  return findings.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3, critical: 4 };
+
+function severityRank(sev) {
+  return SEVERITY_RANK[(sev || '').toString().toLowerCase()] || 0;
+}
+
+function normalizeForMatch(s) {
+  return (s || '').toString().toLowerCase().replace(/["'`“”‘’]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// An LLM issue covers a finding when its evidence quotes the matched span.
+function coversFinding(evidence, finding, text) {
+  const ev = normalizeForMatch(evidence);
+  if (!ev || !finding.match) return false;
+  if (ev.includes(normalizeForMatch(finding.match))) return true;
+  const at = text ? text.toLowerCase().indexOf(ev) : -1;
+  return at >= 0 && at < finding.end && finding.start < at + ev.length;
+}
+
+/**
+ * Merge rule findings into LLM issues
+ * Covered findings annotate the LLM issue; uncovered ones are appended via toIssue().
+ * Rules with enforceSeverity raise a covering issue the model rated lower.
+ *
+ * @param {Object[]} issues - Raw LLM issues
+ * @param {Object[]} findings - Output of runRulePacks
+ * @param {Object} options
+ * @param {Function} options.getEvidence - issue => evidence string
+ * @param {Function} options.toIssue - finding => issue in the caller's schema
+ * @param {string} options.text - Audited text (lets unquoted evidence be located)
+ * @returns {Object[]} Issues tagged with detected_by: 'llm' | 'rules' | 'llm+rules'
+ *   (plus rule_id/pack_id/start/end, and schedule_entries when a Schedule disease was matched)
+ */
+export function mergeRuleFindings(issues, findings, { getEvidence, toIssue, text = '' }) {
+  const merged = (Array.isArray(issues) ? issues : []).map(issue => ({ ...issue, detected_by: 'llm' }));
+
+  for (const finding of findings) {
+    const covering = merged.find(issue => issue.detected_by !== 'rules' && coversFinding(getEvidence(issue), finding, text));
+    if (covering) {
+      if (finding.enforce_severity && severityRank(covering.severity) < severityRank(finding.severity)) {
+        console.log(`📏 Raising ${covering.severity || 'unrated'} issue to ${finding.severity} (${finding.rule_id})`);
+        covering.severity = finding.severity;
+      }
+      if (finding.schedule_entry && !(covering.schedule_entries || []).some(e => e.id === finding.schedule_entry.id)) {
+        covering.schedule_entries = [...(covering.schedule_entries || []), finding.schedule_entry];
+      }
+      if (covering.detected_by === 'llm') {
+        Object.assign(covering, {
+          detected_by: 'llm+rules',
+          rule_id: finding.rule_id,
+          pack_id: finding.pack_id,
+          start: finding.start,
+          end: finding.end,
+          ...(finding.location ? { location: finding.location } : {})
+        });
+      }
+      continue;
+    }
+    merged.push({
+      ...toIssue(finding),
+      detected_by: 'rules',
+      rule_id: finding.rule_id,
+      pack_id: finding.pack_id,
+      start: finding.start,
+      end: finding.end,
+      ...(finding.location ? { location: finding.location } : {}),
+      ...(finding.schedule_entry ? { schedule_entries: [finding.schedule_entry] } : {})
+    });
+  }
+
+  return merged;
+}
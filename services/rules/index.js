@@ -0,0 +1,27 @@
+/**
+ * RULE PACK REGISTRY
+ *
+ * Built-in packs are plain JS modules under ./packs (see engine.js for the format).
+ * Audits run them before the LLM and merge the findings into the model's issues.
+ */
+
+import dmrAct from './packs/dmrAct.js';
+import asciHealthcare from './packs/asciHealthcare.js';
+import dpdpPersonalData from './packs/dpdpPersonalData.js';
+
+export { runRulePacks, mergeRuleFindings } from './engine.js';
+
+const BUILT_IN_PACKS = [dmrAct, asciHealthcare, dpdpPersonalData];
+
+export const RULE_PACK_IDS = BUILT_IN_PACKS.map(p => p.id);
+
+// Changes whenever any bundled pack is versioned (used in audit cache keys)
+export const RULE_PACKS_VERSION = BUILT_IN_PACKS.map(p => `${p.id}@${p.version}`).join(',');
+
+/**
+ * Get built-in rule packs (all, or a subset by id)
+ */
+export function getRulePacks(ids) {
+  if (!Array.isArray(ids)) return [...BUILT_IN_PACKS];
+  return BUILT_IN_PACKS.filter(p => ids.includes(p.id));
+}
@@ -0,0 +1,162 @@
+/**
+ * ASCI Code for Self-Regulation in Advertising — healthcare guidelines
+ * Absolute, guaranteed and unsubstantiated superlative claims.
+ * Agglutinative languages (Tamil, Telugu, Kannada, Malayalam) match word stems, since suffixes attach directly.
+ */
+
+export default {
+  id: 'asci-healthcare',
+  name: 'ASCI Healthcare',
+  version: '1.2.1',
+  lawReference: 'ASCI Code for Self-Regulation in Advertising — Chapter I (Truthful and Honest Representation)',
+  rules: [
+    {
+      id: 'asci-guaranteed-outcome',
+      severity: 'HIGH',
+      description: 'Guarantees a health outcome.',
+      guidance: {
+        en: 'Health outcomes vary between individuals, so a guaranteed result cannot be substantiated and sets false patient expectations.',
+        hi: 'स्वास्थ्य परिणाम हर व्यक्ति में अलग होते हैं, इसलिए गारंटीशुदा परिणाम का दावा प्रमाणित नहीं किया जा सकता और मरीजों में गलत उम्मीदें पैदा करता है।'
+      },
+      variants: {
+        en: {
+          phrases: ['guaranteed results', 'guaranteed cure', 'guaranteed relief', 'guaranteed weight loss', 'results guaranteed', 'sure shot'],
+          patterns: [/\b100\s?%\s+(?:guaranteed|effective|results?|success|cure|recovery|relief)\b/gi]
+        },
+        hi: {
+          phrases: ['गारंटी', 'गारण्टी', 'पक्का इलाज', 'अचूक'],
+          patterns: [/100\s?%\s*(?:असर|असरदार|परिणाम|इलाज)/gu]
+        },
+        'hi-Latn': {
+          phrases: ['guaranteed ilaaj', 'guaranteed ilaj', 'ilaaj guaranteed', 'ilaj guaranteed', 'pakka ilaaj', 'pakka ilaj', 'pakki guarantee', 'gaurantee'],
+          patterns: [/\b100\s?%\s*(?:ilaa?j|asar|asardaar|parinaam|theek|thik)\b/gi]
+        },
+        mr: {
+          phrases: ['गॅरंटी', 'गॅरेंटी', 'हमखास', 'खात्रीशीर इलाज'],
+          patterns: [/100\s?(?:%|टक्के)\s*(?:परिणाम|इलाज|फरक|गुण)/gu]
+        },
+        bn: {
+          phrases: ['গ্যারান্টি', 'গ্যারেন্টি', 'নিশ্চিত নিরাময়', 'নিশ্চিত ফল'],
+          patterns: [/(?:100|১০০)\s?(?:%|শতাংশ)\s*(?:কার্যকর|ফল|নিরাময়)/gu]
+        },
+        ta: {
+          patterns: [/உத்(?:த|தி)ரவாத|கேரண்டி|நிச்சய(?:மான)?\s+(?:குணம்|தீர்வு|பலன்)/gu, /100\s?(?:%|சதவீத)\s*(?:குணம்|பலன்|தீர்வு)/gu]
+        },
+        te: {
+          patterns: [/గ్యారంటీ|గ్యారెంటీ|ఖచ్చితమైన\s+(?:ఫలితం|నివారణ)|ఖచ్చితంగా\s+నయం/gu, /100\s?(?:%|శాతం)\s*(?:ఫలితం|నయం)/gu]
+        },
+        gu: {
+          phrases: ['ગેરંટી', 'ગેરેન્ટી', 'ખાતરીપૂર્વક ઇલાજ', 'પાક્કો ઇલાજ'],
+          patterns: [/100\s?(?:%|ટકા)\s*(?:પરિણામ|ઇલાજ|અસર)/gu]
+        },
+        kn: {
+          patterns: [/ಗ್ಯಾರಂಟಿ|ಗ್ಯಾರೆಂಟಿ|ಖಚಿತ(?:ವಾದ)?\s+(?:ಫಲಿತಾಂಶ|ಪರಿಹಾರ)/gu, /100\s?(?:%|ಶೇಕಡಾ)\s*(?:ಫಲಿತಾಂಶ|ಪರಿಹಾರ|ಗುಣ)/gu]
+        },
+        ml: {
+          patterns: [/ഗ്യാരണ്ടി|ഗ്യാരന്റി|ഉറപ്പ(?:ുള്ള|ായ)\s+(?:ഫലം|രോഗശമനം)/gu, /100\s?(?:%|ശതമാനം)\s*(?:ഫലം|രോഗശമനം)/gu]
+        }
+      }
+    },
+    {
+      id: 'asci-no-side-effects',
+      severity: 'MEDIUM',
+      description: 'Claims the product has no side effects.',
+      guidance: {
+        en: 'Every active treatment carries some risk, and an absolute safety claim discourages patients from weighing those risks.',
+        hi: 'हर सक्रिय उपचार में कुछ जोखिम होता है, और पूर्ण सुरक्षा का दावा मरीजों को उन जोखिमों को समझने से रोकता है।'
+      },
+      variants: {
+        en: {
+          phrases: ['no side effects', 'no side effect', 'zero side effects', 'without any side effects', 'without side effects', '100% safe', 'completely safe']
+        },
+        hi: {
+          phrases: ['कोई साइड इफेक्ट नहीं', 'साइड इफेक्ट नहीं', 'कोई दुष्प्रभाव नहीं', 'बिना किसी दुष्प्रभाव']
+        },
+        'hi-Latn': {
+          phrases: ['koi side effect nahi', 'koi side effect nahin', 'side effect nahi', 'side effects nahi', 'bina side effect', 'bina kisi side effect', 'koi nuksaan nahi']
+        },
+        mr: {
+          phrases: ['दुष्परिणाम नाही', 'कोणताही दुष्परिणाम नाही', 'साइड इफेक्ट नाही', 'दुष्परिणामांशिवाय']
+        },
+        bn: {
+          phrases: ['পার্শ্বপ্রতিক্রিয়া নেই', 'কোনো পার্শ্বপ্রতিক্রিয়া নেই', 'সাইড এফেক্ট নেই', 'পার্শ্বপ্রতিক্রিয়াহীন']
+        },
+        ta: {
+          patterns: [/பக்க\s?விளைவு(?:கள்)?\s*(?:இல்லை|இல்லாத)/gu]
+        },
+        te: {
+          patterns: [/(?:దుష్ప్రభావాలు|సైడ్\s+ఎఫెక్ట్స్)\s*(?:లేవు|లేని|లేకుండా)/gu]
+        },
+        gu: {
+          phrases: ['કોઈ આડઅસર નહીં', 'આડઅસર નથી', 'આડઅસર વગર', 'કોઈ સાઈડ ઇફેક્ટ નહીં']
+        },
+        kn: {
+          patterns: [/ಅಡ್ಡ\s?ಪರಿಣಾಮ(?:ಗಳು)?\s*ಇಲ್ಲ|ಅಡ್ಡ\s?ಪರಿಣಾಮಗಳಿಲ್ಲ/gu]
+        },
+        ml: {
+          patterns: [/പാർശ്വഫല(?:ങ്ങള|മ)ില്ല|സൈഡ്\s+എഫക്ട്\s+ഇല്ല/gu]
+        }
+      }
+    },
+    {
+      id: 'asci-unsubstantiated-superlative',
+      severity: 'MEDIUM',
+      description: 'Uses an unsubstantiated superlative or leadership claim.',
+      guidance: {
+        en: 'Leadership and superlative claims in healthcare need independent substantiation, and without it they mislead patients choosing a provider.',
+        hi: 'स्वास्थ्य सेवा में सर्वश्रेष्ठ होने के दावों के लिए स्वतंत्र प्रमाण आवश्यक है; इसके बिना ये मरीजों को भ्रमित करते हैं।'
+      },
+      variants: {
+        en: {
+          phrases: ['best doctor', 'best doctors', 'best hospital', 'best clinic', 'best surgeon'],
+          patterns: [/(?:\bno\.?\s?1|\bnumber\s+one|#1)\s+(?:hospital|clinic|doctor|surgeon|brand|treatment|ayurvedic)\b/gi]
+        },
+        hi: {
+          phrases: ['सबसे अच्छा डॉक्टर', 'सबसे अच्छे डॉक्टर', 'नंबर 1 अस्पताल', 'सर्वश्रेष्ठ अस्पताल']
+        }
+      }
+    },
+    {
+      id: 'asci-instant-results',
+      severity: 'MEDIUM',
+      description: 'Promises instant or time-bound results.',
+      guidance: {
+        en: 'Time-bound or instant result claims overstate efficacy because recovery depends on individual condition and clinical course.',
+        hi: 'तुरंत या तय समय में परिणाम के दावे असर को बढ़ा-चढ़ाकर बताते हैं, क्योंकि सुधार व्यक्ति की स्थिति पर निर्भर करता है।'
+      },
+      variants: {
+        en: {
+          phrases: ['instant relief', 'instant cure', 'instant results', 'overnight results'],
+          patterns: [/\b(?:lose|shed)\s+(?:up\s+to\s+)?\d+\s*(?:kg|kgs|kilos?|pounds|lbs)\b/gi]
+        },
+        hi: {
+          phrases: ['तुरंत आराम', 'तुरंत राहत', 'तुरंत असर']
+        },
+        'hi-Latn': {
+          phrases: ['turant aaram', 'turant araam', 'turant rahat', 'turant asar', 'fauran aaram', 'fauran rahat']
+        },
+        mr: {
+          phrases: ['लगेच आराम', 'त्वरित आराम', 'झटपट परिणाम', 'त्वरित परिणाम']
+        },
+        bn: {
+          phrases: ['তাৎক্ষণিক আরাম', 'তাৎক্ষণিক ফল', 'সঙ্গে সঙ্গে আরাম']
+        },
+        ta: {
+          patterns: [/உடனடி\s+(?:நிவாரண|பலன்|தீர்வு|குணம்)/gu]
+        },
+        te: {
+          patterns: [/తక్షణ(?:మే)?\s+(?:ఉపశమన|ఫలిత)/gu]
+        },
+        gu: {
+          phrases: ['તરત રાહત', 'તાત્કાલિક રાહત', 'તાત્કાલિક પરિણામ', 'તરત અસર']
+        },
+        kn: {
+          patterns: [/ತಕ್ಷಣ(?:ದ)?\s+(?:ಪರಿಹಾರ|ಫಲಿತಾಂಶ|ಉಪಶಮನ)/gu]
+        },
+        ml: {
+          patterns: [/(?:ഉടനടി|തൽക്ഷണ)\s+(?:ആശ്വാസ|ഫല)/gu]
+        }
+      }
+    }
+  ]
+};
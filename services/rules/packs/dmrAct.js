@@ -0,0 +1,93 @@
+/**
+ * Drugs & Magic Remedies (Objectionable Advertisements) Act, 1954
+ * Section 3 (disease cure claims, sexual vigour) and Section 5 (magic remedies).
+ * Disease terms come from the bundled Schedule list (../data/dmrSchedule.js).
+ */
+
+import dmrSchedule from '../data/dmrSchedule.js';
+
+// Schedule terms for one language, each tagged with the entry it cites
+function scheduleTerms(lang) {
+  return dmrSchedule.entries.flatMap(entry =>
+    (entry[lang] || []).map(term => ({
+      term,
+      ref: { schedule: dmrSchedule.name, version: dmrSchedule.version, id: entry.id, name: entry.name }
+    }))
+  );
+}
+
+export default {
+  id: 'dmr-act',
+  name: 'Drugs & Magic Remedies Act',
+  version: `1.1.1+${dmrSchedule.version}`,
+  lawReference: 'Drugs and Magic Remedies (Objectionable Advertisements) Act, 1954',
+  // Criminal offence under Section 7, so findings weigh more in the risk score
+  scoreWeight: 1.5,
+  rules: [
+    {
+      id: 'dmr-disease-cure-claim',
+      severity: 'HIGH',
+      enforceSeverity: true,
+      lawReference: 'Drugs and Magic Remedies (Objectionable Advertisements) Act, 1954 — Section 3(d), Schedule: {entry}',
+      description: 'Claims to cure or treat a Schedule-listed condition ({entry}).',
+      guidance: {
+        en: 'The Act bars advertisements that offer a cure or treatment for listed diseases, since such claims can lead patients to delay or abandon proper medical care.',
+        hi: 'अधिनियम सूचीबद्ध रोगों के इलाज या उपचार का दावा करने वाले विज्ञापनों पर रोक लगाता है, क्योंकि ऐसे दावे मरीजों को उचित चिकित्सा से दूर कर सकते हैं।'
+      },
+      variants: {
+        en: {
+          claims: [
+            'cure', 'cures', 'cured', 'curing', 'treat', 'treats', 'treated', 'treating', 'treatment', 'treatments',
+            'heal', 'heals', 'healing', 'reverse', 'reverses', 'reversal', 'eliminate', 'eliminates', 'get rid of',
+            'remedy', 'remedies', 'medicine for', 'relief from', 'free from', 'permanent solution'
+          ],
+          diseases: scheduleTerms('en')
+        },
+        hi: {
+          claims: ['इलाज', 'उपचार', 'ठीक', 'जड़ से', 'छुटकारा', 'निजात', 'दवा', 'रामबाण', 'खत्म'],
+          diseases: scheduleTerms('hi')
+        },
+        'hi-Latn': {
+          claims: ['ilaj', 'ilaaj', 'upchar', 'theek', 'thik', 'jad se', 'jadd se', 'chhutkara', 'chutkara', 'nijaat', 'dawa', 'dava', 'khatam'],
+          diseases: scheduleTerms('hi-Latn')
+        }
+      }
+    },
+    {
+      id: 'dmr-magic-remedy',
+      severity: 'HIGH',
+      lawReference: 'Drugs and Magic Remedies (Objectionable Advertisements) Act, 1954 — Section 5',
+      description: 'Presents a product or therapy as a magic or miraculous remedy.',
+      guidance: {
+        en: 'Magic remedies are prohibited because they claim supernatural efficacy that no clinical evidence can support, exploiting vulnerable patients.',
+        hi: 'जादुई या चमत्कारी उपचार के दावे प्रतिबंधित हैं, क्योंकि वे ऐसे असर का दावा करते हैं जिसका कोई चिकित्सकीय प्रमाण नहीं होता।'
+      },
+      variants: {
+        en: {
+          phrases: ['miracle cure', 'miracle drug', 'miracle remedy', 'magic remedy', 'magic cure', 'magical cure', 'magic pill', 'wonder drug']
+        },
+        hi: {
+          phrases: ['चमत्कारी', 'जादुई इलाज', 'जादुई दवा', 'रामबाण']
+        }
+      }
+    },
+    {
+      id: 'dmr-sexual-vigour',
+      severity: 'HIGH',
+      lawReference: 'Drugs and Magic Remedies (Objectionable Advertisements) Act, 1954 — Section 3(b)',
+      description: 'Advertises a remedy for sexual pleasure or vigour.',
+      guidance: {
+        en: 'The Act prohibits advertising remedies for maintaining or improving sexual capacity, a category historically rife with exploitative and unsafe products.',
+        hi: 'अधिनियम यौन क्षमता बढ़ाने वाली दवाओं के विज्ञापन पर रोक लगाता है, क्योंकि इस श्रेणी में भ्रामक और असुरक्षित उत्पाद आम रहे हैं।'
+      },
+      variants: {
+        en: {
+          phrases: ['sexual power', 'sexual stamina', 'sex power', 'sexual vigour', 'sexual vigor', 'male enhancement', 'mardana taqat']
+        },
+        hi: {
+          phrases: ['मर्दाना ताकत', 'यौन शक्ति', 'सेक्स पावर']
+        }
+      }
+    }
+  ]
+};
@@ -0,0 +1,103 @@
+/**
+ * Digital Personal Data Protection Act, 2023
+ * Personal identifiers exposed in the audited content (detection lives in piiService.js).
+ */
+
+import { detectPII } from '../../piiService.js';
+
+function piiDetector(types) {
+  return text => detectPII(text, { types }).map(d => ({ start: d.start, end: d.end, text: d.value }));
+}
+
+/* ---- CONTACT DETAILS ---- */
+
+// Most healthcare ads must show the advertiser's own booking number or email; only contact
+// details of a patient or other individual (records, testimonials) are personal data here.
+const CONTEXT_BEFORE = 120;
+const CONTEXT_AFTER = 60;
+
+const BUSINESS_CONTACT_CUES = /\b(?:call|calls|dial|book|booking|appointments?|helpline|hotline|toll[\s-]?free|contact\s+us|reach\s+us|write\s+to\s+us|whats\s?app|enquir(?:y|ies)|inquir(?:y|ies)|reception|front\s+desk|customer\s+care|support|clinic|hospital|centre|center|branch|visit\s+us)\b|संपर्क\s+करें|कॉल\s+करें|बुक|बुकिंग|अपॉइंटमेंट|हेल्पलाइन|क्लिनिक|अस्पताल/iu;
+
+const PERSONAL_CONTACT_CUES = /\b(?:patients?|testimonials?|reviews?|feedback|case\s+stud(?:y|ies)|mr|mrs|ms|shri|smt|aged?|years?\s+old|s\/o|d\/o|w\/o|relatives?|guardian|attendant|UHID|MRN|his|her)\b|मरीज|रोगी|अनुभव|श्री|श्रीमती/iu;
+
+// Sentence ends, not counting the dot of a title ("Mrs. Sharma")
+const SENTENCE_END = /(?<!\b(?:Mr|Mrs|Ms|Dr|Smt|Shri))[.!?।](?:\s|$)|\n/gu;
+
+// The sentence around a match, cut to a window, so cues elsewhere in the creative do not count
+function contextAround(text, start, end) {
+  const before = text.slice(Math.max(0, start - CONTEXT_BEFORE), start);
+  const after = text.slice(end, end + CONTEXT_AFTER);
+  const lastEnd = [...before.matchAll(SENTENCE_END)].pop();
+  const nextEnd = after.search(SENTENCE_END);
+  return before.slice(lastEnd ? lastEnd.index + lastEnd[0].length : 0)
+    + text.slice(start, end)
+    + (nextEnd < 0 ? after : after.slice(0, nextEnd));
+}
+
+function personalContactDetector(text) {
+  return piiDetector(['phone', 'email'])(text).filter(hit => {
+    const context = contextAround(text, hit.start, hit.end);
+    return PERSONAL_CONTACT_CUES.test(context) && !BUSINESS_CONTACT_CUES.test(context);
+  });
+}
+
+export default {
+  id: 'dpdp-personal-data',
+  name: 'DPDP Act 2023',
+  version: '1.1.0',
+  lawReference: 'Digital Personal Data Protection Act, 2023 — Sections 4 and 8',
+  // Statutory penalties apply, unlike the self-regulatory ASCI code
+  scoreWeight: 1.25,
+  rules: [
+    {
+      id: 'dpdp-aadhaar',
+      severity: 'HIGH',
+      description: 'Exposes an Aadhaar number.',
+      guidance: {
+        en: 'An Aadhaar number is a permanent national identifier, and its exposure in communications enables identity fraud that the data principal cannot undo.',
+        hi: 'आधार नंबर एक स्थायी राष्ट्रीय पहचान है, और संचार में इसका खुलासा पहचान-धोखाधड़ी को संभव बनाता है जिसे व्यक्ति बदल नहीं सकता।'
+      },
+      variants: { any: { detect: piiDetector(['aadhaar']) } }
+    },
+    {
+      id: 'dpdp-health-identifier',
+      severity: 'HIGH',
+      description: 'Exposes a health identifier (ABHA number/address or hospital record number).',
+      guidance: {
+        en: 'Health identifiers link a person to their medical records, so disclosing them outside a consented purpose exposes sensitive health information.',
+        hi: 'स्वास्थ्य पहचान संख्या व्यक्ति को उसके मेडिकल रिकॉर्ड से जोड़ती है, इसलिए सहमति के बिना इसका खुलासा संवेदनशील स्वास्थ्य जानकारी को उजागर करता है।'
+      },
+      variants: { any: { detect: piiDetector(['abha_number', 'abha_address', 'medical_record']) } }
+    },
+    {
+      id: 'dpdp-patient-name',
+      severity: 'MEDIUM',
+      description: 'Identifies a patient by name.',
+      guidance: {
+        en: 'Naming a patient alongside health context reveals their medical situation, which the Act treats as personal data requiring a lawful purpose and consent.',
+        hi: 'स्वास्थ्य संदर्भ के साथ मरीज का नाम उसकी चिकित्सा स्थिति उजागर करता है, जिसे अधिनियम वैध उद्देश्य और सहमति वाला व्यक्तिगत डेटा मानता है।'
+      },
+      variants: { any: { detect: piiDetector(['patient_name']) } }
+    },
+    {
+      id: 'dpdp-pan',
+      severity: 'MEDIUM',
+      description: 'Exposes a PAN number.',
+      guidance: {
+        en: 'A PAN ties a person to their tax and financial records, and its exposure raises the risk of financial fraud and profiling.',
+        hi: 'पैन व्यक्ति को उसके कर और वित्तीय रिकॉर्ड से जोड़ता है, और इसका खुलासा वित्तीय धोखाधड़ी का जोखिम बढ़ाता है।'
+      },
+      variants: { any: { detect: piiDetector(['pan']) } }
+    },
+    {
+      id: 'dpdp-contact-details',
+      severity: 'LOW',
+      description: 'Exposes the phone number or email address of a patient or other individual.',
+      guidance: {
+        en: 'Contact details are personal data, and circulating them beyond their original purpose invites unsolicited contact and phishing.',
+        hi: 'संपर्क विवरण व्यक्तिगत डेटा हैं, और मूल उद्देश्य से आगे इनका प्रसार अवांछित संपर्क और फ़िशिंग का जोखिम बढ़ाता है।'
+      },
+      variants: { any: { detect: personalContactDetector } }
+    }
+  ]
+};
@@ -9,51 +9,77 @@
  */
 
 import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
 import { processAttachment } from './attachmentService.js';
+import { transcribeWithWhisper, hasFfmpeg } from './openaiClient.js';
+import { extractWebPage } from './webExtractionService.js';
+import { sampleKeyframes, mergeOcrFrames, fuseTimeline } from './videoTimelineService.js';
+import { recognizeImage, createOcrSession } from './ocrService.js';
 
-// Tesseract OCR - optional dependency (lazy loaded)
-let Tesseract = null;
-let tesseractLoaded = false;
+// File extensions Whisper uses to detect the container format
+const MEDIA_EXT_BY_MIME = {
+  'audio/mpeg': '.mp3',
+  'audio/mp3': '.mp3',
+  'audio/wav': '.wav',
+  'audio/x-wav': '.wav',
+  'audio/webm': '.webm',
+  'audio/ogg': '.ogg',
+  'audio/m4a': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'audio/mp4': '.m4a',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm'
+};
 
 /**
- * Lazy load Tesseract OCR
+ * Decode media input sent to the unified endpoint
+ * Accepts a Buffer (multipart upload), a data URL or a raw base64 string
+ * 
+ * @param {Buffer|string} data - Media payload
+ * @param {string} mimeTypeHint - MIME type supplied by the client (optional)
+ * @returns {{buffer: Buffer, mimeType: string|null}}
  */
-async function loadTesseract() {
-  if (tesseractLoaded) {
-    return Tesseract;
+function decodeMediaInput(data, mimeTypeHint = null) {
+  if (Buffer.isBuffer(data)) {
+    return { buffer: data, mimeType: mimeTypeHint };
   }
-  
-  try {
-    const tesseractModule = await import('tesseract.js');
-    Tesseract = tesseractModule.default;
-    tesseractLoaded = true;
-    return Tesseract;
-  } catch (error) {
-    console.warn('⚠️  tesseract.js not installed. OCR functionality will be disabled.');
-    console.warn('   Install with: npm install tesseract.js');
-    tesseractLoaded = true; // Mark as attempted to avoid repeated warnings
-    return null;
+
+  if (typeof data === 'string' && data.trim().length > 0) {
+    const trimmed = data.trim();
+    const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.+)$/s.exec(trimmed);
+    if (match) {
+      return { buffer: Buffer.from(match[2], 'base64'), mimeType: match[1] || mimeTypeHint };
+    }
+    if (/^[A-Za-z0-9+/=\s]+$/.test(trimmed)) {
+      return { buffer: Buffer.from(trimmed, 'base64'), mimeType: mimeTypeHint };
+    }
   }
+
+  throw new Error('Invalid media data: must be a file upload, data URL or base64 string');
+}
+
+function mediaFilename(filename, mimeType, fallbackBase) {
+  if (filename) return filename;
+  const ext = MEDIA_EXT_BY_MIME[(mimeType || '').toLowerCase()] || '.mp3';
+  return `${fallbackBase}${ext}`;
 }
 
 /**
  * Extract text from screen capture (screenshot/image)
- * Uses OCR (Tesseract) to extract text from images
+ * Uses OCR (Tesseract) with script detection, so Hindi and regional-language
+ * creatives are read with the right language pack
  * 
  * @param {Buffer|string} imageData - Image buffer or file path
- * @param {Object} options - Extraction options
- * @returns {Promise<{text: string, confidence: number}>}
+ * @param {Object} options - Extraction options { languages?: OCR language codes to try, e.g. ['hin', 'eng'] }
+ * @returns {Promise<{text: string, confidence: number, languages: string[], scripts: Array}>}
  */
 export async function extractFromScreen(imageData, options = {}) {
   try {
     console.log('📸 Extracting text from screen capture via OCR...');
     
-    // Lazy load Tesseract
-    const tesseract = await loadTesseract();
-    if (!tesseract) {
-      throw new Error('tesseract.js is not installed. Please install it with: npm install tesseract.js');
-    }
-    
     let imageBuffer;
     if (Buffer.isBuffer(imageData)) {
       imageBuffer = imageData;
@@ -64,79 +90,159 @@ export async function extractFromScreen(imageData, options = {}) {
       throw new Error('Invalid image data: must be Buffer or file path');
     }
 
-    // Use Tesseract OCR
-    const { data: { text, confidence } } = await tesseract.recognize(imageBuffer, 'eng', {
-      logger: (m) => {
-        if (m.status === 'recognizing text') {
-          console.log(`   OCR Progress: ${Math.round(m.progress * 100)}%`);
-        }
-      }
-    });
+    const { text, confidence, languages, scripts } = await recognizeImage(imageBuffer, { languages: options.languages });
 
-    console.log(`✅ OCR completed: ${text.length} characters extracted (confidence: ${confidence}%)`);
+    console.log(`✅ OCR completed: ${text.length} characters extracted (confidence: ${confidence}%, ${languages.join('+') || 'no text'})`);
     
     return {
       text: text.trim(),
       confidence: confidence,
+      languages,
+      scripts,
       method: 'ocr'
     };
   } catch (error) {
     console.error('❌ Screen extraction error:', error.message);
-    throw new Error(`Failed to extract text from screen: ${error.message}`);
+    const wrapped = new Error(`Failed to extract text from screen: ${error.message}`);
+    wrapped.code = error.code;
+    wrapped.status = error.status;
+    throw wrapped;
+  }
+}
+
+/**
+ * OCR sampled video frames with one OCR session (workers are reused across frames)
+ * Returns [] when OCR or ffmpeg is unavailable (transcript-only audit)
+ */
+async function ocrVideoFrames(videoPath) {
+  if (!hasFfmpeg()) {
+    console.warn('⚠️  ffmpeg not found on PATH; skipping keyframe OCR');
+    return [];
+  }
+
+  const { frames, cleanup } = await sampleKeyframes(videoPath);
+  const session = createOcrSession();
+  try {
+    const results = [];
+    for (const frame of frames) {
+      const { text, confidence } = await session.recognize(frame.path);
+      results.push({ timeMs: frame.timeMs, text: text || '', confidence: confidence || 0 });
+    }
+    return results;
+  } catch (error) {
+    if (error.code !== 'OCR_UNAVAILABLE') throw error;
+    console.warn(`⚠️  ${error.message}; skipping on-screen text OCR`);
+    return [];
+  } finally {
+    await session.terminate();
+    await cleanup();
   }
 }
 
 /**
  * Extract text from video file
- * Uses video-to-audio then speech-to-text pipeline
+ * Whisper transcribes the audio track, ffmpeg samples keyframes for OCR,
+ * and both are merged on one timeline (one line per timeline entry)
  * 
- * @param {Buffer|string} videoData - Video buffer or file path
- * @param {Object} options - Extraction options
- * @returns {Promise<{text: string, duration: number}>}
+ * @param {Buffer|string} videoData - Video buffer, data URL or base64 string
+ * @param {Object} options - Extraction options { filename, mimeType }
+ * @returns {Promise<{text: string, duration: number|null, language: string|null, segments: Array, timeline: Array}>}
  */
 export async function extractFromVideo(videoData, options = {}) {
+  let tempVideoPath = null;
   try {
     console.log('🎥 Extracting text from video...');
-    
-    // TODO: Implement video-to-audio conversion
-    // TODO: Implement speech-to-text (using Google Speech-to-Text API or similar)
-    
-    // For now, return placeholder
-    // In production, this would:
-    // 1. Extract audio track from video
-    // 2. Send audio to speech-to-text service
-    // 3. Return transcript
-    
-    throw new Error('Video extraction not yet implemented. Please use audio files directly.');
+
+    const { buffer, mimeType } = decodeMediaInput(videoData, options.mimeType || 'video/mp4');
+    if (buffer.length === 0) {
+      throw new Error('Video data is empty');
+    }
+
+    const filename = mediaFilename(options.filename, mimeType, `video-${Date.now()}`);
+    const transcription = await transcribeWithWhisper(buffer, filename, {
+      mimeType,
+      throwOnError: true,
+      verbose: true
+    });
+
+    // Frames are sampled from a temp copy (ffmpeg needs a seekable file)
+    const tempDir = path.join(os.tmpdir(), 'satark-video');
+    tempVideoPath = path.join(tempDir, `${Date.now()}-${randomUUID()}${path.extname(filename) || '.mp4'}`);
+    await fs.ensureDir(tempDir);
+    await fs.writeFile(tempVideoPath, buffer);
+
+    let ocrFrames = [];
+    try {
+      ocrFrames = await ocrVideoFrames(tempVideoPath);
+    } catch (ocrError) {
+      // On-screen text is best-effort; the transcript alone is still auditable.
+      console.warn(`⚠️  Keyframe OCR failed: ${ocrError.message}`);
+    }
+
+    const durationMs = transcription.duration ? Math.round(transcription.duration * 1000) : null;
+    const screenSpans = mergeOcrFrames(ocrFrames, durationMs);
+    const segments = transcription.segments.length > 0 || !transcription.text
+      ? transcription.segments
+      : [{ index: 0, startMs: 0, endMs: durationMs || 0, text: transcription.text }];
+    const { text, timeline } = fuseTimeline({ segments, screenSpans });
+
+    console.log(`✅ Video extraction completed: ${segments.length} speech segment(s), ${screenSpans.length} on-screen text span(s)`);
+
+    return {
+      text,
+      duration: transcription.duration,
+      language: transcription.language,
+      segments,
+      timeline,
+      framesAnalyzed: ocrFrames.length,
+      method: screenSpans.length > 0 ? 'whisper+keyframe-ocr' : 'whisper'
+    };
   } catch (error) {
     console.error('❌ Video extraction error:', error.message);
-    throw error;
+    throw new Error(`Failed to extract text from video: ${error.message}`);
+  } finally {
+    if (tempVideoPath) {
+      await fs.remove(tempVideoPath).catch(() => {});
+    }
   }
 }
 
 /**
  * Extract text from audio file (microphone recording)
- * Uses speech-to-text to transcribe audio
+ * Uses OpenAI Whisper (same pipeline as /api/audit/content) to transcribe audio
  * 
- * @param {Buffer|string} audioData - Audio buffer or file path
- * @param {Object} options - Extraction options
- * @returns {Promise<{text: string, duration: number}>}
+ * @param {Buffer|string} audioData - Audio buffer, data URL or base64 string
+ * @param {Object} options - Extraction options { filename, mimeType }
+ * @returns {Promise<{text: string, duration: number|null, language: string|null, segments: Array}>}
  */
 export async function extractFromVoice(audioData, options = {}) {
   try {
     console.log('🎤 Extracting text from audio via speech-to-text...');
-    
-    // TODO: Implement speech-to-text
-    // Options:
-    // 1. Google Cloud Speech-to-Text API
-    // 2. OpenAI Whisper API
-    // 3. Azure Speech Services
-    
-    // For now, return placeholder
-    throw new Error('Voice extraction not yet implemented. Please provide text directly.');
+
+    const { buffer, mimeType } = decodeMediaInput(audioData, options.mimeType);
+    if (buffer.length === 0) {
+      throw new Error('Audio data is empty');
+    }
+
+    const filename = mediaFilename(options.filename, mimeType, `voice-${Date.now()}`);
+    const transcription = await transcribeWithWhisper(buffer, filename, {
+      mimeType,
+      throwOnError: true,
+      verbose: true
+    });
+
+    console.log(`✅ Voice transcription completed: ${transcription.text.length} characters`);
+
+    return {
+      text: transcription.text,
+      duration: transcription.duration,
+      language: transcription.language,
+      segments: transcription.segments,
+      method: 'whisper'
+    };
   } catch (error) {
     console.error('❌ Voice extraction error:', error.message);
-    throw error;
+    throw new Error(`Failed to extract text from audio: ${error.message}`);
   }
 }
 
@@ -147,7 +253,7 @@ export async function extractFromVoice(audioData, options = {}) {
  * @param {Buffer|string} fileData - File buffer or file path
  * @param {string} filename - Original filename
  * @param {string} mimeType - File MIME type
- * @returns {Promise<{text: string, fileType: string}>}
+ * @returns {Promise<{text: string, fileType: string, pages?: Array, entries?: Array}>} pages for PDFs, entries for ZIP archives
  */
 export async function extractFromScanner(fileData, filename, mimeType) {
   try {
@@ -166,7 +272,10 @@ export async function extractFromScanner(fileData, filename, mimeType) {
     const result = await processAttachment(buffer, filename, mimeType);
     
     if (!result.success) {
-      throw new Error(result.error || 'Failed to extract text from file');
+      const error = new Error(result.error || 'Failed to extract text from file');
+      error.code = result.code;
+      error.status = result.status;
+      throw error;
     }
 
     console.log(`✅ File extraction completed: ${result.text.length} characters`);
@@ -174,37 +283,47 @@ export async function extractFromScanner(fileData, filename, mimeType) {
     return {
       text: result.text,
       fileType: result.type,
+      entries: result.entries,
+      pages: result.pages,
       method: 'file-extraction'
     };
   } catch (error) {
     console.error('❌ Scanner extraction error:', error.message);
-    throw new Error(`Failed to extract text from file: ${error.message}`);
+    // Keep the code/status of archive limit errors so they reach the client as 4xx
+    const wrapped = new Error(`Failed to extract text from file: ${error.message}`);
+    wrapped.code = error.code;
+    wrapped.status = error.status;
+    throw wrapped;
   }
 }
 
 /**
  * Extract text from web URL (scraping)
- * Fetches web content and extracts text
+ * Fetches the page and keeps the main article content (Readability-style),
+ * plus title, meta description, Open Graph tags, image alt text and outbound links
  * 
  * @param {string} url - Web URL to scrape
- * @param {Object} options - Scraping options
- * @returns {Promise<{text: string, url: string, title: string}>}
+ * @param {Object} options - Scraping options { timeout }
+ * @returns {Promise<{text: string, url: string, title: string, description: string, openGraph: Object, images: Array, links: Array, blocks: Array}>}
  */
 export async function extractFromResearch(url, options = {}) {
   try {
     console.log(`🌐 Extracting text from URL: ${url}`);
-    
-    // TODO: Implement web scraping
-    // Options:
-    // 1. Cheerio for HTML parsing
-    // 2. Puppeteer for JavaScript-rendered pages
-    // 3. Readability API for clean text extraction
-    
-    // For now, return placeholder
-    throw new Error('Research extraction not yet implemented. Please provide text directly.');
+
+    if (!url || typeof url !== 'string') {
+      throw new Error('URL is required');
+    }
+
+    const page = await extractWebPage(url, options);
+
+    console.log(`✅ Web extraction completed: ${page.text.length} characters`);
+
+    return {
+      ...page,
+      method: 'web-extraction'
+    };
   } catch (error) {
     console.error('❌ Research extraction error:', error.message);
-    throw error;
+    throw new Error(`Failed to extract text from URL: ${error.message}`);
   }
 }
-
@@ -0,0 +1,245 @@
+/**
+ * VIDEO TIMELINE SERVICE
+ * Samples keyframes with ffmpeg and fuses on-screen text (OCR) with the
+ * Whisper transcript on a single millisecond timeline.
+ *
+ * Each timeline entry is one line of the audited text, so violation evidence
+ * (picked line-by-line by the audit engine) maps back to a time range.
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+
+const MAX_FRAMES = 60;
+const FALLBACK_INTERVAL_SEC = 2;
+const MAX_FRAME_WIDTH = 1280;
+const MIN_FRAME_GAP_MS = 1000;
+const DEFAULT_FRAME_SPAN_MS = 2000;
+const MIN_OCR_CONFIDENCE = 50;
+const MIN_OCR_CHARS = 4;
+const SAME_TEXT_SIMILARITY = 0.8;
+// A truncated or adversarial file can make ffmpeg hang; sampling at most 60 frames never needs this long
+const FFMPEG_TIMEOUT_MS = Number(process.env.FFMPEG_TIMEOUT_MS) || 2 * 60 * 1000;
+
+/* ------------------------------------------------------------------
+   FFMPEG FRAME SAMPLING
+------------------------------------------------------------------- */
+
+function runFfmpegFrames({ inputPath, outDir, keyframesOnly }) {
+  const filters = keyframesOnly
+    ? `showinfo,scale='min(${MAX_FRAME_WIDTH},iw)':-2`
+    : `fps=1/${FALLBACK_INTERVAL_SEC},showinfo,scale='min(${MAX_FRAME_WIDTH},iw)':-2`;
+
+  const args = [
+    '-hide_banner',
+    '-y',
+    ...(keyframesOnly ? ['-skip_frame', 'nokey'] : []),
+    '-i', inputPath,
+    '-vf', filters,
+    '-vsync', 'vfr',
+    '-frames:v', String(MAX_FRAMES),
+    '-q:v', '3',
+    path.join(outDir, 'frame_%04d.jpg')
+  ];
+
+  return new Promise((resolve, reject) => {
+    const proc = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    const times = [];
+    let tail = '';
+    let pending = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      proc.kill('SIGKILL');
+    }, FFMPEG_TIMEOUT_MS);
+
+    proc.stderr.on('data', (chunk) => {
+      pending += chunk.toString();
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        // showinfo prints one line per emitted frame, in output order
+        const match = /Parsed_showinfo.*\bpts_time:\s*([0-9.]+)/.exec(line);
+        if (match) times.push(Math.round(parseFloat(match[1]) * 1000));
+      }
+      tail = (tail + chunk.toString()).slice(-8000);
+    });
+
+    proc.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        const error = new Error(`ffmpeg frame sampling timed out after ${FFMPEG_TIMEOUT_MS / 1000}s`);
+        error.code = 'FFMPEG_TIMEOUT';
+        return reject(error);
+      }
+      if (code === 0) return resolve(times);
+      return reject(new Error(`ffmpeg frame sampling failed (code ${code}). ${tail}`.trim()));
+    });
+  });
+}
+
+/**
+ * Sample keyframes from a video file
+ * Falls back to fixed-interval sampling when the video has too few keyframes
+ *
+ * @param {string} inputPath - Path to the video file
+ * @returns {Promise<{frames: Array<{path: string, timeMs: number}>, cleanup: Function}>}
+ */
+export async function sampleKeyframes(inputPath) {
+  const outDir = path.join(os.tmpdir(), 'satark-frames', `${Date.now()}-${randomUUID()}`);
+  await fs.ensureDir(outDir);
+  const cleanup = () => fs.remove(outDir).catch(() => {});
+
+  try {
+    let times = await runFfmpegFrames({ inputPath, outDir, keyframesOnly: true });
+    if (times.length < 2) {
+      await fs.emptyDir(outDir);
+      times = await runFfmpegFrames({ inputPath, outDir, keyframesOnly: false });
+    }
+
+    const files = (await fs.readdir(outDir)).filter(f => f.endsWith('.jpg')).sort();
+    const frames = [];
+    let lastTimeMs = -Infinity;
+    files.forEach((file, idx) => {
+      const timeMs = times[idx] ?? idx * FALLBACK_INTERVAL_SEC * 1000;
+      if (timeMs - lastTimeMs < MIN_FRAME_GAP_MS) return;
+      lastTimeMs = timeMs;
+      frames.push({ path: path.join(outDir, file), timeMs });
+    });
+
+    console.log(`🖼️  Sampled ${frames.length} frame(s) for OCR`);
+    return { frames, cleanup };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
+
+/* ------------------------------------------------------------------
+   TIMELINE FUSION
+------------------------------------------------------------------- */
+
+function collapseWhitespace(text) {
+  return (text || '').toString().replace(/\s+/g, ' ').trim();
+}
+
+function wordSimilarity(a, b) {
+  const A = new Set(a.toLowerCase().split(' ').filter(Boolean));
+  const B = new Set(b.toLowerCase().split(' ').filter(Boolean));
+  if (A.size === 0 || B.size === 0) return 0;
+  let inter = 0;
+  for (const w of A) if (B.has(w)) inter++;
+  return inter / (A.size + B.size - inter);
+}
+
+/**
+ * Merge per-frame OCR results into on-screen text spans
+ * Consecutive frames showing the same text become one span.
+ *
+ * @param {Array<{timeMs: number, text: string, confidence: number}>} ocrFrames
+ * @param {number|null} durationMs - Video duration (closes the last span)
+ * @returns {Array<{startMs: number, endMs: number, text: string, confidence: number, frameCount: number}>}
+ */
+export function mergeOcrFrames(ocrFrames, durationMs = null) {
+  const sorted = [...(ocrFrames || [])].sort((a, b) => a.timeMs - b.timeMs);
+  const spans = [];
+
+  sorted.forEach((frame, idx) => {
+    const nextTimeMs = sorted[idx + 1]?.timeMs ?? (durationMs || frame.timeMs + DEFAULT_FRAME_SPAN_MS);
+    const text = collapseWhitespace(frame.text);
+    const last = spans[spans.length - 1];
+
+    if (!text || text.length < MIN_OCR_CHARS || (frame.confidence ?? 0) < MIN_OCR_CONFIDENCE) {
+      return;
+    }
+
+    if (last && last.endMs >= frame.timeMs && wordSimilarity(last.text, text) >= SAME_TEXT_SIMILARITY) {
+      last.endMs = Math.max(last.endMs, nextTimeMs);
+      last.confidence = Math.max(last.confidence, frame.confidence);
+      last.frameCount += 1;
+      return;
+    }
+
+    spans.push({
+      startMs: frame.timeMs,
+      endMs: Math.max(frame.timeMs, nextTimeMs),
+      text,
+      confidence: frame.confidence,
+      frameCount: 1
+    });
+  });
+
+  return spans;
+}
+
+/**
+ * Fuse transcript segments and on-screen text spans into one timeline
+ * The returned text has one line per entry; each entry records its offsets.
+ *
+ * @param {Object} params
+ * @param {Array} params.segments - Whisper segments [{ index, startMs, endMs, text }]
+ * @param {Array} params.screenSpans - Output of mergeOcrFrames
+ * @returns {{text: string, timeline: Array}}
+ */
+export function fuseTimeline({ segments = [], screenSpans = [] }) {
+  const entries = [
+    ...segments.map(seg => ({
+      source: 'speech',
+      startMs: seg.startMs,
+      endMs: seg.endMs,
+      text: collapseWhitespace(seg.text),
+      segmentIndex: seg.index
+    })),
+    ...screenSpans.map(span => ({
+      source: 'screen',
+      startMs: span.startMs,
+      endMs: span.endMs,
+      text: span.text,
+      confidence: span.confidence
+    }))
+  ]
+    .filter(entry => entry.text)
+    .sort((a, b) => a.startMs - b.startMs || (a.source === 'speech' ? -1 : 1));
+
+  let text = '';
+  const timeline = entries.map((entry) => {
+    const start = text ? text.length + 1 : 0;
+    text = text ? `${text}\n${entry.text}` : entry.text;
+    return { ...entry, start, end: start + entry.text.length };
+  });
+
+  return { text, timeline };
+}
+
+/**
+ * Find the timeline entry a violation's evidence came from
+ *
+ * @param {Array} timeline - Timeline from fuseTimeline
+ * @param {string} evidence - Evidence line from the audit engine
+ * @returns {Object|null}
+ */
+export function locateTimelineEntry(timeline, evidence) {
+  const needle = collapseWhitespace(evidence).replace(/^["']+|["']+$/g, '').toLowerCase();
+  if (!needle || !Array.isArray(timeline) || timeline.length === 0) return null;
+
+  const exact = timeline.find(entry => entry.text.toLowerCase().includes(needle));
+  if (exact) return exact;
+
+  let best = null;
+  let bestScore = 0;
+  for (const entry of timeline) {
+    const score = wordSimilarity(entry.text, needle);
+    if (score > bestScore) {
+      bestScore = score;
+      best = entry;
+    }
+  }
+  return bestScore >= 0.3 ? best : null;
+}
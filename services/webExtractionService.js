@@ -0,0 +1,434 @@
+/**
+ * WEB PAGE EXTRACTION SERVICE
+ * Shared by the research source type (POST /api/audit) and URL content audits (POST /api/audit/content)
+ *
+ * - Picks the main article content with Readability-style scoring
+ * - Captures title, meta description, Open Graph tags, image alt text and outbound links
+ * - Every extracted block keeps its DOM path and character offsets into the audited text
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+
+const FETCH_TIMEOUT_MS = 20000;
+const MAX_HTML_BYTES = 5 * 1024 * 1024; // 5MB
+const MAX_TEXT_CHARS = 100000;
+const MAX_LINKS = 200;
+const MAX_IMAGES = 200;
+const MIN_PARAGRAPH_CHARS = 25;
+
+/* ------------------------------------------------------------------
+   READABILITY HEURISTICS
+------------------------------------------------------------------- */
+
+const STRIP_TAGS = 'script, style, noscript, template, iframe, svg, canvas, object, embed';
+
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_CLASS = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE_CLASS = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+const SCORABLE_TAGS = 'p, pre, td, section, h2, h3, h4, h5, h6';
+const BLOCK_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'li', 'blockquote', 'pre', 'td', 'th', 'figcaption', 'dt', 'dd'];
+
+function collapseWhitespace(text) {
+  return (text || '').toString().replace(/\s+/g, ' ').trim();
+}
+
+function classWeight(el) {
+  const attribs = el.attribs || {};
+  let weight = 0;
+  for (const value of [attribs.class, attribs.id]) {
+    if (!value) continue;
+    if (NEGATIVE_CLASS.test(value)) weight -= 25;
+    if (POSITIVE_CLASS.test(value)) weight += 25;
+  }
+  return weight;
+}
+
+function initialTagScore(tagName) {
+  switch (tagName) {
+    case 'div':
+    case 'article':
+    case 'main':
+      return 5;
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      return 3;
+    case 'address':
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'dd':
+    case 'dt':
+    case 'li':
+    case 'form':
+      return -3;
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'th':
+      return -5;
+    default:
+      return 0;
+  }
+}
+
+function linkDensity($, el) {
+  const textLength = collapseWhitespace($(el).text()).length;
+  if (textLength === 0) return 0;
+  let linkLength = 0;
+  $(el).find('a').each((_, a) => {
+    linkLength += collapseWhitespace($(a).text()).length;
+  });
+  return linkLength / textLength;
+}
+
+// Paths stamped on the document as loaded, before pruning, so they select the same element on the live page
+const stampedPaths = new WeakMap();
+
+function stampDomPaths($) {
+  const visit = (node, path) => {
+    const children = (node.children || []).filter(c => c.type === 'tag');
+    const totals = new Map();
+    for (const child of children) totals.set(child.name, (totals.get(child.name) || 0) + 1);
+    const seen = new Map();
+    for (const child of children) {
+      const nth = (seen.get(child.name) || 0) + 1;
+      seen.set(child.name, nth);
+      let part = child.name;
+      if (child.attribs?.id) {
+        part += `#${child.attribs.id}`;
+      } else if (node.type === 'tag' && totals.get(child.name) > 1) {
+        part += `:nth-of-type(${nth})`;
+      }
+      const childPath = path ? `${path} > ${part}` : part;
+      stampedPaths.set(child, childPath);
+      visit(child, childPath);
+    }
+  };
+  visit($.root()[0], '');
+}
+
+/**
+ * Build a CSS-style DOM path for an element, e.g. "html > body > div#main > p:nth-of-type(3)"
+ * Elements of a document loaded by extractFromHtml keep the path they had before pruning.
+ */
+export function getDomPath(el) {
+  const stamped = stampedPaths.get(el);
+  if (stamped) return stamped;
+  const parts = [];
+  let node = el;
+  while (node && node.type === 'tag') {
+    let part = node.name;
+    if (node.attribs?.id) {
+      part += `#${node.attribs.id}`;
+    } else if (node.parent && node.parent.type === 'tag') {
+      const sameTag = node.parent.children.filter(c => c.type === 'tag' && c.name === node.name);
+      if (sameTag.length > 1) {
+        part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+      }
+    }
+    parts.unshift(part);
+    node = node.parent;
+  }
+  return parts.join(' > ');
+}
+
+function removeUnlikelyCandidates($) {
+  $('body *').each((_, el) => {
+    const tag = el.name;
+    if (tag === 'body' || tag === 'a' || tag === 'article' || tag === 'main') return;
+    const matchString = `${el.attribs?.class || ''} ${el.attribs?.id || ''}`;
+    if (UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString)) {
+      $(el).remove();
+    }
+  });
+  $('nav, aside, footer').remove();
+}
+
+function findMainContent($) {
+  const scores = new Map();
+  const ensureScore = (el) => {
+    if (!scores.has(el)) {
+      scores.set(el, initialTagScore(el.name) + classWeight(el));
+    }
+  };
+
+  $(SCORABLE_TAGS).each((_, el) => {
+    const text = collapseWhitespace($(el).text());
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+
+    const contentScore = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+
+    let ancestor = el.parent;
+    let level = 0;
+    while (ancestor && ancestor.type === 'tag' && level < 3) {
+      ensureScore(ancestor);
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+      ancestor = ancestor.parent;
+      level++;
+    }
+  });
+
+  let top = null;
+  let topScore = -Infinity;
+  for (const [el, score] of scores) {
+    const finalScore = score * (1 - linkDensity($, el));
+    scores.set(el, finalScore);
+    if (finalScore > topScore) {
+      topScore = finalScore;
+      top = el;
+    }
+  }
+
+  if (!top) return [];
+
+  // Like Readability, pull in siblings that score well or hold substantial prose.
+  const threshold = Math.max(10, topScore * 0.2);
+  const siblings = top.parent ? top.parent.children.filter(c => c.type === 'tag') : [top];
+  return siblings.filter((sib) => {
+    if (sib === top) return true;
+    if ((scores.get(sib) || 0) >= threshold) return true;
+    if (sib.name === 'p') {
+      const text = collapseWhitespace($(sib).text());
+      return text.length > 80 && linkDensity($, sib) < 0.25;
+    }
+    return false;
+  });
+}
+
+function collectBlocks($, containers) {
+  const blocks = [];
+  const seen = new Set();
+
+  for (const container of containers) {
+    const candidates = BLOCK_TAGS.includes(container.name)
+      ? [container]
+      : $(container).find(BLOCK_TAGS.join(', ')).toArray();
+
+    for (const el of candidates) {
+      // Skip blocks nested in another block we already took (e.g. <p> inside <li>)
+      if ($(el).parents(BLOCK_TAGS.join(', ')).toArray().some(p => seen.has(p))) continue;
+      const text = collapseWhitespace($(el).text());
+      if (!text) continue;
+      seen.add(el);
+      blocks.push({ kind: 'content', tag: el.name, domPath: getDomPath(el), text });
+    }
+
+    if (candidates.length === 0) {
+      const text = collapseWhitespace($(container).text());
+      if (text) blocks.push({ kind: 'content', tag: container.name, domPath: getDomPath(container), text });
+    }
+  }
+
+  return blocks;
+}
+
+/* ------------------------------------------------------------------
+   METADATA
+------------------------------------------------------------------- */
+
+function readMeta($, selector) {
+  const el = $(selector).first();
+  if (!el.length) return null;
+  const content = collapseWhitespace(el.attr('content'));
+  return content ? { text: content, domPath: getDomPath(el[0]) } : null;
+}
+
+function extractOpenGraph($) {
+  const og = {};
+  $('meta[property^="og:"], meta[name^="og:"]').each((_, el) => {
+    const key = ($(el).attr('property') || $(el).attr('name') || '').slice(3).trim();
+    const value = collapseWhitespace($(el).attr('content'));
+    if (key && value && !og[key]) og[key] = value;
+  });
+  return og;
+}
+
+function resolveUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+function extractImages($, baseUrl) {
+  const images = [];
+  $('img[alt]').each((_, el) => {
+    if (images.length >= MAX_IMAGES) return false;
+    const alt = collapseWhitespace($(el).attr('alt'));
+    if (!alt) return;
+    images.push({
+      src: resolveUrl($(el).attr('src') || '', baseUrl),
+      alt,
+      domPath: getDomPath(el)
+    });
+  });
+  return images;
+}
+
+function extractOutboundLinks($, baseUrl) {
+  let pageHost = null;
+  try {
+    pageHost = new URL(baseUrl).hostname.replace(/^www\./, '');
+  } catch {
+    pageHost = null;
+  }
+
+  const links = [];
+  const seen = new Set();
+  $('a[href]').each((_, el) => {
+    if (links.length >= MAX_LINKS) return false;
+    const href = resolveUrl($(el).attr('href'), baseUrl);
+    if (!href || !/^https?:/i.test(href)) return;
+    const host = new URL(href).hostname.replace(/^www\./, '');
+    if (pageHost && host === pageHost) return;
+    if (seen.has(href)) return;
+    seen.add(href);
+    links.push({ href, text: collapseWhitespace($(el).text()), domPath: getDomPath(el) });
+  });
+  return links;
+}
+
+/* ------------------------------------------------------------------
+   PUBLIC API
+------------------------------------------------------------------- */
+
+/**
+ * Extract auditable content from an HTML document
+ *
+ * @param {string} html - Raw HTML
+ * @param {string} baseUrl - Page URL (used to resolve links and detect outbound links)
+ * @returns {{text: string, title: string, description: string|null, openGraph: Object, images: Array, links: Array, blocks: Array}}
+ */
+export function extractFromHtml(html, baseUrl = '') {
+  const $ = cheerio.load(html || '');
+  stampDomPaths($);
+
+  // Metadata and links are read before any pruning so navigation links are kept.
+  const titleEl = $('head > title').first();
+  const title = collapseWhitespace(titleEl.text()) || null;
+  const description = readMeta($, 'meta[name="description" i]');
+  const openGraph = extractOpenGraph($);
+  const links = extractOutboundLinks($, baseUrl);
+
+  $(STRIP_TAGS).remove();
+  $('*').contents().filter((_, node) => node.type === 'comment').remove();
+
+  const images = extractImages($, baseUrl);
+
+  removeUnlikelyCandidates($);
+  let contentBlocks = collectBlocks($, findMainContent($));
+  if (contentBlocks.length === 0 && $('body').length) {
+    const bodyText = collapseWhitespace($('body').text());
+    if (bodyText) contentBlocks = [{ kind: 'content', tag: 'body', domPath: 'html > body', text: bodyText }];
+  }
+
+  const blocks = [];
+  if (title) blocks.push({ kind: 'title', tag: 'title', domPath: getDomPath(titleEl[0]), text: title });
+  if (description) blocks.push({ kind: 'meta', tag: 'meta', domPath: description.domPath, text: description.text });
+  const ogDescription = readMeta($, 'meta[property="og:description"], meta[name="og:description"]');
+  if (ogDescription && ogDescription.text !== description?.text) {
+    blocks.push({ kind: 'meta', tag: 'meta', domPath: ogDescription.domPath, text: ogDescription.text });
+  }
+  blocks.push(...contentBlocks);
+  for (const img of images) {
+    blocks.push({ kind: 'alt', tag: 'img', domPath: img.domPath, text: img.alt });
+  }
+
+  // Assemble audited text block by block so every block keeps exact offsets.
+  let text = '';
+  const positioned = [];
+  for (const block of blocks) {
+    const separator = text ? '\n\n' : '';
+    if (text.length + separator.length + block.text.length > MAX_TEXT_CHARS) break;
+    const start = text.length + separator.length;
+    text += separator + block.text;
+    positioned.push({ ...block, start, end: start + block.text.length });
+  }
+
+  return {
+    text,
+    title: title || openGraph.title || null,
+    description: description?.text || ogDescription?.text || null,
+    openGraph,
+    images,
+    links,
+    blocks: positioned
+  };
+}
+
+/**
+ * Fetch a web page and extract auditable content
+ *
+ * @param {string} url - http(s) URL
+ * @param {Object} options - { timeout }
+ * @returns {Promise<Object>} Extraction result (see extractFromHtml) plus url and finalUrl
+ */
+export async function extractWebPage(url, options = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Only http and https URLs are supported');
+  }
+
+  const res = await axios.get(parsed.toString(), {
+    timeout: options.timeout || FETCH_TIMEOUT_MS,
+    responseType: 'text',
+    maxContentLength: MAX_HTML_BYTES,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; SatarkAI-ComplianceAuditor/1.0)',
+      Accept: 'text/html,application/xhtml+xml'
+    }
+  });
+
+  const finalUrl = res.request?.res?.responseUrl || parsed.toString();
+  const result = extractFromHtml(String(res.data || ''), finalUrl);
+
+  console.log(`🌐 Extracted ${result.blocks.length} blocks (${result.text.length} chars) from ${finalUrl}`);
+
+  return { url: parsed.toString(), finalUrl, ...result };
+}
+
+/**
+ * Find the extracted block that contains a violation's evidence
+ *
+ * @param {Array} blocks - Blocks from extractFromHtml/extractWebPage
+ * @param {string} evidence - Evidence line from the audit engine
+ * @returns {Object|null} Matching block or null
+ */
+export function locateEvidenceBlock(blocks, evidence) {
+  const needle = collapseWhitespace(evidence).replace(/^["']+|["']+$/g, '').toLowerCase();
+  if (!needle || !Array.isArray(blocks)) return null;
+
+  const exact = blocks.find(b => b.text.toLowerCase().includes(needle));
+  if (exact) return exact;
+
+  // Fall back to the block with the largest word overlap.
+  const words = new Set(needle.split(' ').filter(w => w.length >= 3));
+  if (words.size === 0) return null;
+  let best = null;
+  let bestScore = 0;
+  for (const block of blocks) {
+    const blockWords = new Set(block.text.toLowerCase().split(' '));
+    let hits = 0;
+    for (const w of words) if (blockWords.has(w)) hits++;
+    const score = hits / words.size;
+    if (score > bestScore) {
+      bestScore = score;
+      best = block;
+    }
+  }
+  return bestScore >= 0.5 ? best : null;
+}
@@ -0,0 +1,190 @@
+/**
+ * ZIP ARCHIVES
+ *
+ * Reads uploaded ZIP archives with limits on entry count, uncompressed size and
+ * compression ratio (zip bombs). Entry names that are absolute or climb out of the
+ * archive (path traversal) are rejected; directories, symlinks, macOS resource forks
+ * and hidden files are skipped.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import yauzl from 'yauzl';
+
+export const ZIP_LIMITS = {
+  maxEntries: Number(process.env.ZIP_MAX_ENTRIES) || 100,
+  maxEntryBytes: Number(process.env.ZIP_MAX_ENTRY_BYTES) || 100 * 1024 * 1024,
+  maxTotalBytes: Number(process.env.ZIP_MAX_TOTAL_BYTES) || 250 * 1024 * 1024,
+  // Uncompressed / compressed size; office files and text rarely exceed ~20x
+  maxRatio: Number(process.env.ZIP_MAX_RATIO) || 100
+};
+
+// Entries this small can't be a meaningful bomb, and tiny text files compress very well
+const RATIO_MIN_BYTES = 1024 * 1024;
+
+function zipError(message, code = 'INVALID_ARCHIVE', status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+export function isZipFile(filename, mimeType) {
+  const mime = (mimeType || '').toLowerCase();
+  return mime === 'application/zip' || mime === 'application/x-zip-compressed' || /\.zip$/i.test(filename || '');
+}
+
+function isSkippedEntry(entry) {
+  const name = entry.fileName;
+  if (name.endsWith('/')) return true;
+  // Unix mode lives in the high 16 bits of the external attributes
+  if (((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000) return true;
+  const parts = name.split('/');
+  return parts.includes('__MACOSX') || parts.some(p => p.startsWith('.'));
+}
+
+function assertSafeName(name) {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/'));
+  if (path.posix.isAbsolute(normalized) || /^[a-zA-Z]:/.test(normalized) || normalized.split('/').includes('..')) {
+    throw zipError(`Archive entry has an unsafe path: ${name}`, 'UNSAFE_ARCHIVE_PATH');
+  }
+  return normalized;
+}
+
+function openBuffer(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, validateEntrySizes: true, strictFileNames: false }, (err, zipfile) => {
+      if (err) return reject(zipError(`Invalid ZIP archive: ${err.message}`));
+      resolve(zipfile);
+    });
+  });
+}
+
+function openEntryStream(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (err, stream) => {
+      if (err) return reject(zipError(`Cannot read ${entry.fileName}: ${err.message}`));
+      resolve(stream);
+    });
+  });
+}
+
+// Declared sizes can lie, so count what is actually inflated
+function byteLimit(maxBytes, name) {
+  let size = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        return callback(zipError(`${name} is larger than allowed once unpacked`, 'ARCHIVE_TOO_LARGE', 413));
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Visit every file entry of an archive, enforcing the limits
+ * onFile(entry, stream, { name, maxBytes }) must consume the stream and resolve to the bytes written.
+ */
+async function walkZip(buffer, limits, onFile) {
+  const { maxEntries, maxEntryBytes, maxTotalBytes, maxRatio } = { ...ZIP_LIMITS, ...limits };
+  const zipfile = await openBuffer(buffer);
+
+  return await new Promise((resolve, reject) => {
+    let count = 0;
+    let totalBytes = 0;
+
+    const fail = err => {
+      zipfile.close();
+      reject(err);
+    };
+
+    zipfile.on('error', err => {
+      if (err.code) return fail(err);
+      // yauzl validates entry names itself and reports traversal as a plain error
+      if (/(relative|absolute) path/.test(err.message)) {
+        return fail(zipError(`Archive entry has an unsafe path (${err.message})`, 'UNSAFE_ARCHIVE_PATH'));
+      }
+      fail(zipError(`Invalid ZIP archive: ${err.message}`));
+    });
+    zipfile.on('end', () => resolve(count));
+    zipfile.on('entry', async entry => {
+      try {
+        if (isSkippedEntry(entry)) return zipfile.readEntry();
+        const name = assertSafeName(entry.fileName);
+        if (count >= maxEntries) {
+          throw zipError(`Archive contains more than ${maxEntries} files`, 'TOO_MANY_ENTRIES', 413);
+        }
+        if (entry.uncompressedSize > maxEntryBytes || totalBytes + entry.uncompressedSize > maxTotalBytes) {
+          throw zipError('Archive is larger than allowed once unpacked', 'ARCHIVE_TOO_LARGE', 413);
+        }
+        if (entry.uncompressedSize > RATIO_MIN_BYTES && entry.uncompressedSize / Math.max(entry.compressedSize, 1) > maxRatio) {
+          throw zipError(`${name} is compressed suspiciously well (possible zip bomb)`, 'ZIP_BOMB', 413);
+        }
+
+        const stream = await openEntryStream(zipfile, entry);
+        totalBytes += await onFile(entry, stream, { name, maxBytes: Math.min(maxEntryBytes, maxTotalBytes - totalBytes) });
+        count += 1;
+        zipfile.readEntry();
+      } catch (err) {
+        fail(err);
+      }
+    });
+    zipfile.readEntry();
+  });
+}
+
+/**
+ * Read the files in a ZIP archive into memory
+ *
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} limits - Overrides for ZIP_LIMITS
+ * @returns {Promise<Array<{name: string, path: string, buffer: Buffer}>>} Files in archive order
+ * @throws {Error} code INVALID_ARCHIVE / UNSAFE_ARCHIVE_PATH (400), TOO_MANY_ENTRIES / ARCHIVE_TOO_LARGE / ZIP_BOMB (413)
+ */
+export async function readZipEntries(buffer, limits = {}) {
+  const files = [];
+  await walkZip(buffer, limits, async (entry, stream, { name, maxBytes }) => {
+    const chunks = [];
+    await pipeline(stream, byteLimit(maxBytes, name), async function* (source) {
+      for await (const chunk of source) chunks.push(chunk);
+    });
+    const data = Buffer.concat(chunks);
+    files.push({ name: path.posix.basename(name), path: name, buffer: data });
+    return data.length;
+  });
+  return files;
+}
+
+/**
+ * Unpack a ZIP archive into a directory (which must be empty or missing)
+ *
+ * @param {Buffer} buffer - Archive contents
+ * @param {string} dir - Destination directory
+ * @param {Object} limits - Overrides for ZIP_LIMITS
+ * @returns {Promise<Array<{name: string, path: string, filePath: string, size: number}>>} Files in archive order
+ * @throws {Error} Same codes as readZipEntries
+ */
+export async function extractZipToDir(buffer, dir, limits = {}) {
+  const root = path.resolve(dir);
+  const files = [];
+  await fs.ensureDir(root);
+
+  await walkZip(buffer, limits, async (entry, stream, { name, maxBytes }) => {
+    const filePath = path.resolve(root, name);
+    // Belt and braces: the normalized name must still land inside the directory
+    if (!filePath.startsWith(root + path.sep)) {
+      stream.destroy();
+      throw zipError(`Archive entry has an unsafe path: ${entry.fileName}`, 'UNSAFE_ARCHIVE_PATH');
+    }
+    await fs.ensureDir(path.dirname(filePath));
+    await pipeline(stream, byteLimit(maxBytes, name), fs.createWriteStream(filePath, { flags: 'wx' }));
+    const { size } = await fs.stat(filePath);
+    files.push({ name: path.posix.basename(name), path: name, filePath, size });
+    return size;
+  });
+  return files;
+}